@@ -0,0 +1,147 @@
+const { Pool } = require('pg');
+const {
+    OperationsError,
+    parseStatuses,
+    listStoreOrders,
+    advanceOrders,
+    reassignOrderStore,
+    reassignOrderRider,
+    getDailyTotals,
+    setUserRole
+} = require('../utils/operations');
+const { OrderStatusError } = require('../utils/order-status');
+const { InventoryError, setStock } = require('../utils/inventory');
+const { AuthError, requireRole, resolveStoreId } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// action → { method, roles allowed besides admin, handler }
+const ACTIONS = {
+    orders: { method: 'GET', roles: ['store_staff'], handler: (req, res, auth) => handleListOrders(req, res, auth) },
+    'daily-totals': { method: 'GET', roles: ['store_staff'], handler: (req, res, auth) => handleDailyTotals(req, res, auth) },
+    advance: { method: 'POST', roles: ['store_staff'], handler: (req, res, auth) => handleAdvanceOrders(req, res, auth) },
+    reassign: { method: 'POST', roles: [], handler: (req, res, auth) => handleReassignStore(req, res, auth) },
+    'assign-rider': { method: 'POST', roles: ['store_staff'], handler: (req, res, auth) => handleAssignRider(req, res, auth) },
+    role: { method: 'POST', roles: [], handler: (req, res, auth) => handleSetRole(req, res, auth) },
+    stock: { method: 'POST', roles: ['store_staff'], handler: (req, res, auth) => handleSetStock(req, res, auth) }
+};
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const action = ACTIONS[req.query.action];
+    if (!action) {
+        return res.status(400).json({ error: `Unknown action: ${req.query.action}`, actions: Object.keys(ACTIONS) });
+    }
+    if (action.method !== req.method) {
+        return res.status(405).json({ error: `Use ${action.method} for ${req.query.action}` });
+    }
+
+    // Store staff only ever see and change their own store's orders
+    const auth = await requireRole(req, res, action.roles, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        await action.handler(req, res, auth);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof OperationsError || error instanceof OrderStatusError || error instanceof InventoryError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        // Operators act on live orders, so there is no in-memory fallback
+        console.error('Error handling admin request:', error.message);
+        res.status(503).json({ error: 'Store operations are unavailable right now' });
+    }
+}
+
+// GET ?action=orders&storeId=X&status=confirmed,packed&flagged=true&limit=50
+const handleListOrders = async (req, res, auth) => {
+    const storeId = resolveStoreId(auth, req.query.storeId);
+    const statuses = parseStatuses(req.query.status);
+    const flagged = req.query.flagged === 'true';
+    const orders = await listStoreOrders(pool, { storeId, statuses, flagged, limit: req.query.limit });
+    res.status(200).json({ success: true, storeId, statuses, orders });
+};
+
+// GET ?action=daily-totals&from=YYYY-MM-DD&to=YYYY-MM-DD&storeId=X
+const handleDailyTotals = async (req, res, auth) => {
+    const storeId = resolveStoreId(auth, req.query.storeId);
+    const report = await getDailyTotals(pool, { from: req.query.from, to: req.query.to, storeId });
+    res.status(200).json({ success: true, storeId, ...report });
+};
+
+// POST ?action=advance { orderIds, status?, note? }
+// Without a status every order moves one step along the fulfilment flow.
+const handleAdvanceOrders = async (req, res, auth) => {
+    const { orderIds, status, note } = req.body;
+    const storeId = auth.isAdmin ? null : resolveStoreId(auth, null);
+    const changedBy = auth.userId || req.body.changedBy || 'admin';
+
+    const results = await advanceOrders(pool, orderIds, { status: status || null, changedBy, note, storeId, otpRequired: !auth.isAdmin });
+    const updated = results.filter(result => result.success).length;
+    res.status(200).json({
+        success: updated === results.length,
+        updated,
+        failed: results.length - updated,
+        results
+    });
+};
+
+// POST ?action=reassign { orderId, storeId, note? }
+const handleReassignStore = async (req, res, auth) => {
+    const { orderId, storeId, note } = req.body;
+    const changedBy = auth.userId || req.body.changedBy || 'admin';
+
+    const result = await reassignOrderStore(pool, orderId, storeId, { changedBy, note });
+    res.status(200).json({ success: true, ...result });
+};
+
+// POST ?action=assign-rider { orderId, riderId, note? }
+const handleAssignRider = async (req, res, auth) => {
+    const { orderId, riderId, note } = req.body;
+    const storeId = auth.isAdmin ? null : resolveStoreId(auth, null);
+    const changedBy = auth.userId || req.body.changedBy || 'admin';
+
+    const result = await reassignOrderRider(pool, orderId, riderId, { changedBy, note, storeId });
+    res.status(200).json({ success: true, ...result });
+};
+
+// POST ?action=stock { storeId, productId, unit, quantity }
+const handleSetStock = async (req, res, auth) => {
+    const { productId, unit, quantity } = req.body;
+    const storeId = resolveStoreId(auth, req.body.storeId);
+    if (storeId === null) {
+        return res.status(400).json({ error: 'storeId is required' });
+    }
+
+    const stock = await setStock(pool, { storeId, productId, unit, quantity });
+    res.status(200).json({ success: true, stock });
+};
+
+// POST ?action=role { userId, role, storeId? }
+const handleSetRole = async (req, res, auth) => {
+    const { userId, role, storeId } = req.body;
+    const user = await setUserRole(pool, userId, { role, storeId });
+    res.status(200).json({ success: true, user });
+};
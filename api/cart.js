@@ -0,0 +1,78 @@
+const { Pool } = require('pg');
+const {
+    CartError,
+    getCart,
+    replaceCart,
+    mergeCart,
+    setCartItem,
+    clearCart
+} = require('../utils/cart');
+const { AuthError, requireAuth, resolveUserId } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// The signed-in user's cart; every response is the cart as it stands after the request
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        const userId = resolveUserId(auth, req.query.userId);
+        if (!userId) {
+            return res.status(400).json({ error: 'User ID is required' });
+        }
+
+        const storeId = req.query.storeId ? parseInt(req.query.storeId) : null;
+        if (storeId !== null && isNaN(storeId)) {
+            return res.status(400).json({ error: 'storeId must be a number' });
+        }
+
+        let skipped = [];
+        if (req.method === 'PUT') {
+            // { items: [{ productId, unit, quantity }] } replaces the cart
+            ({ skipped } = await replaceCart(pool, userId, req.body.items));
+        } else if (req.method === 'PATCH') {
+            // { productId, unit, quantity } sets one variant; quantity 0 removes it
+            await setCartItem(pool, userId, req.body);
+        } else if (req.method === 'POST') {
+            if (req.query.action !== 'merge') {
+                return res.status(400).json({ error: 'Use POST /api/cart?action=merge to merge a guest cart' });
+            }
+            ({ skipped } = await mergeCart(pool, userId, req.body.items));
+        } else if (req.method === 'DELETE') {
+            await clearCart(pool, userId);
+        } else if (req.method !== 'GET') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const cart = await getCart(pool, userId, { storeId });
+        res.status(200).json({ success: true, userId, ...cart, skipped });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof CartError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        // The browser keeps its own copy, so there is no in-memory fallback
+        console.error('Error handling cart request:', error.message);
+        res.status(503).json({ error: 'Your cart could not be synced right now' });
+    }
+}
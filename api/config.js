@@ -1,5 +1,5 @@
 // API endpoint to provide client configuration
-export default function handler(req, res) {
+module.exports = function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+const {
+    CouponError,
+    publicCoupon,
+    listCoupons,
+    createCoupon,
+    updateCoupon,
+    applyCoupon
+} = require('../utils/coupons');
+const { PricingError, quoteOrder } = require('../utils/pricing');
+const { AuthError, requireAuth, requireAdmin, resolveUserId } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// POST ?action=validate checks a code against a cart; everything else is coupon management (admin)
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method === 'POST' && req.query.action === 'validate') {
+        return handleValidateCoupon(req, res);
+    }
+
+    if (!['GET', 'POST', 'PUT'].includes(req.method)) {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!(await requireAdmin(req, res, { db: pool }))) {
+        return;
+    }
+
+    const id = parseInt(req.query.id);
+    if (req.method === 'PUT' && isNaN(id)) {
+        return res.status(400).json({ error: 'Coupon ID is required' });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ success: true, coupons: await listCoupons(pool) });
+        }
+        if (req.method === 'POST') {
+            const coupon = await createCoupon(pool, req.body);
+            return res.status(201).json({ success: true, coupon });
+        }
+        const coupon = await updateCoupon(pool, id, req.body);
+        res.status(200).json({ success: true, coupon });
+    } catch (error) {
+        if (error instanceof CouponError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        console.error('Coupon update error:', error.message);
+        res.status(503).json({ error: 'Coupons are unavailable right now' });
+    }
+}
+
+// POST ?action=validate { code, items } → the cart's price breakdown with the coupon applied
+const handleValidateCoupon = async (req, res) => {
+    // First-order and per-user limits depend on who is asking
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        const userId = resolveUserId(auth, req.body.userId);
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required when validating as an admin' });
+        }
+
+        const pricing = await quoteOrder(pool, req.body.items);
+        const applied = await applyCoupon(pool, req.body.code, pricing, { userId });
+        res.status(200).json({
+            success: true,
+            valid: true,
+            coupon: publicCoupon(applied.coupon),
+            discount: applied.discount,
+            pricing: applied.pricing
+        });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof CouponError || error instanceof PricingError) {
+            return res.status(error.statusCode).json({ valid: false, error: error.message, details: error.details });
+        }
+        console.error('Error validating coupon:', error.message);
+        res.status(503).json({ error: 'Coupons are unavailable right now' });
+    }
+};
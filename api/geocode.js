@@ -0,0 +1,46 @@
+const { GeocodeError, checkRateLimit, reverseGeocode, searchAddress } = require('../utils/geocode');
+const { clientAddress } = require('../utils/auth');
+
+// GET ?lat=X&lng=Y → the address at a point
+// GET ?q=text[&limit=5] → places matching an address or locality
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { lat, lng, q, limit } = req.query;
+    if (q === undefined && (lat === undefined || lng === undefined)) {
+        return res.status(400).json({ error: 'lat and lng, or q, are required' });
+    }
+
+    try {
+        // Rate limits are per caller address
+        checkRateLimit(clientAddress(req));
+
+        if (q !== undefined) {
+            const found = await searchAddress(q, limit);
+            return res.status(200).json({ success: true, ...found });
+        }
+        const found = await reverseGeocode(lat, lng);
+        res.status(200).json({ success: true, ...found });
+    } catch (error) {
+        if (error instanceof GeocodeError) {
+            if (error.details.retryAfter) {
+                res.setHeader('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Error geocoding:', error.message);
+        res.status(500).json({ error: 'Failed to look up the address' });
+    }
+}
@@ -1,4 +1,4 @@
-export default async function handler(req, res) {
+module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -17,6 +17,6 @@ export default async function handler(req, res) {
         message: 'Food Delivery API is running with Neon PostgreSQL',
         database: 'Neon PostgreSQL',
         timestamp: new Date().toISOString(),
-        environment: 'Vercel Serverless'
+        environment: process.env.VERCEL ? 'Vercel Serverless' : 'Development'
     });
 }
\ No newline at end of file
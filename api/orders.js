@@ -1,4 +1,17 @@
 const { Pool } = require('pg');
+const { PRICING_RULES, PricingError, quoteOrder, compareClientTotal } = require('../utils/pricing');
+const { OrderStatusError, assertTransition, transitionOrder, getStatusHistory } = require('../utils/order-status');
+const { InventoryError } = require('../utils/inventory');
+const { insertOrder, formatOrder } = require('../utils/orders');
+const { estimateDelivery, formatEta } = require('../utils/eta');
+const { AddressError, getAddress, toDeliveryAddress } = require('../utils/addresses');
+const { CouponError, applyCoupon } = require('../utils/coupons');
+const { loadStores, rankStoresByDistance, checkServiceability } = require('../utils/stores');
+const { SlotError, parseDeliveryChoice, checkSlotServiceability, describeDelivery } = require('../utils/delivery-slots');
+const { parseCoordinates } = require('../utils/geo');
+const { customerDeliveryOtp } = require('../utils/delivery-proof');
+const { withIdempotency } = require('../utils/idempotency');
+const { AuthError, requireAuth, requireAuthOrGuest, hasRole, resolveUserId, resolveStoreId } = require('../utils/auth');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
@@ -11,34 +24,54 @@ const pool = new Pool({
 let mockOrders = [];
 let orderIdCounter = 1;
 
-export default async function handler(req, res) {
+module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    // Orders are read and placed as the signed-in user; admins see everyone's.
+    // Guests (no token) can place orders but not read them back.
+    const auth = req.method === 'POST'
+        ? await requireAuthOrGuest(req, res, { db: pool })
+        : await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
     try {
         if (req.method === 'GET') {
-            await handleGetOrders(req, res);
+            await handleGetOrders(req, res, auth);
         } else if (req.method === 'POST') {
-            await handleCreateOrder(req, res);
+            // Keys are per user so two customers can never replay each other's orders;
+            // guests share a user ID, so theirs are per client address
+            const scope = auth.isGuest ? `orders:guest:${auth.client}` : `orders:${auth.userId || 'admin'}`;
+            await withIdempotency(pool, scope, req, res, (req, res) => handleCreateOrder(req, res, auth));
         } else if (req.method === 'PUT') {
-            await handleUpdateOrder(req, res);
+            if (!hasRole(auth, ['store_staff'])) {
+                return res.status(403).json({ error: 'Requires one of these roles: store_staff, admin' });
+            }
+            await handleUpdateOrder(req, res, auth);
         } else {
             res.status(405).json({ error: 'Method not allowed' });
         }
     } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error handling orders:', error.message);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 }
 
-const handleGetOrders = async (req, res) => {
-    const { userId } = req.query;
+const handleGetOrders = async (req, res, auth) => {
+    const { includeHistory } = req.query;
+    const userId = resolveUserId(auth, req.query.userId);
+    const withTimeline = includeHistory === 'true';
     
     try {
         // Try database first
@@ -52,17 +85,19 @@ const handleGetOrders = async (req, res) => {
         }
         
         const result = await pool.query(query, params);
-        const orders = result.rows.map(order => ({
-            id: order.id,
-            userId: order.user_id,
-            items: order.items,
-            total: order.total_amount,
-            status: order.status,
-            paymentMethod: order.payment_method,
-            orderDate: order.created_at,
-            deliveryAddress: order.delivery_address
+        // Only the customer sees the OTP they give the rider
+        const orders = result.rows.map(row => ({
+            ...formatOrder(row),
+            deliveryOtp: row.user_id === auth.userId ? customerDeliveryOtp(row) : null
         }));
         
+        if (withTimeline) {
+            const timelines = await getStatusHistory(pool, orders.map(order => order.id));
+            orders.forEach(order => {
+                order.timeline = timelines[order.id] || [];
+            });
+        }
+        
         res.status(200).json(orders);
     } catch (error) {
         console.error('Database error, using fallback storage:', error.message);
@@ -78,7 +113,9 @@ const handleGetOrders = async (req, res) => {
                 status: order.status,
                 paymentMethod: order.payment_method,
                 orderDate: order.created_at,
-                deliveryAddress: order.delivery_address
+                deliveryAddress: order.delivery_address,
+                pricing: order.price_breakdown,
+                ...(withTimeline && { timeline: order.status_history })
             }));
             res.status(200).json(formattedOrders);
         } else {
@@ -87,30 +124,115 @@ const handleGetOrders = async (req, res) => {
     }
 };
 
-const handleCreateOrder = async (req, res) => {
-    const { userId, items, total, totalAmount, paymentMethod = 'COD', paymentId, deliveryAddress } = req.body;
+const handleCreateOrder = async (req, res, auth) => {
+    const { items, total, totalAmount, paymentMethod = 'COD', paymentId, addressId, couponCode } = req.body;
+    let { deliveryAddress } = req.body;
+    let savedAddressId = null;
+    const userId = resolveUserId(auth, req.body.userId);
+    if (!userId) {
+        return res.status(400).json({ error: 'userId is required when ordering as an admin' });
+    }
+    // Online payments, coupons and saved addresses belong to an account
+    if (auth.isGuest && (paymentMethod !== 'COD' || paymentId || couponCode || addressId)) {
+        return res.status(401).json({ error: 'Sign in to pay online, use a coupon or use a saved address' });
+    }
     
     // Handle both 'total' and 'totalAmount' field names for compatibility
-    const orderTotal = total || totalAmount;
+    const clientTotal = total !== undefined ? total : totalAmount;
     
-    // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({ error: 'Items are required and must be a non-empty array' });
+    // Price the order on the server; the client total is only compared
+    let pricing;
+    try {
+        pricing = await quoteOrder(pool, items);
+    } catch (error) {
+        if (error instanceof PricingError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        throw error;
     }
     
-    if (!orderTotal || isNaN(orderTotal) || orderTotal <= 0) {
-        return res.status(400).json({ error: 'Valid total amount is required' });
+    // The coupon is checked here; its use is claimed when the order is written
+    if (couponCode) {
+        try {
+            ({ pricing } = await applyCoupon(pool, couponCode, pricing, { userId }));
+        } catch (error) {
+            if (error instanceof CouponError) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            console.error('Error applying coupon:', error.message);
+            return res.status(503).json({ error: 'Coupons are unavailable right now, try again without the code' });
+        }
+    }
+    
+    const priceMismatch = compareClientTotal(pricing, clientTotal);
+    if (priceMismatch && PRICING_RULES.strictTotals) {
+        return res.status(409).json({
+            error: 'Order total does not match server pricing',
+            priceMismatch,
+            pricing
+        });
+    }
+    
+    // A saved address is copied onto the order as it is now
+    if (addressId !== undefined && addressId !== null) {
+        try {
+            deliveryAddress = toDeliveryAddress(await getAddress(pool, userId, addressId));
+            savedAddressId = deliveryAddress.addressId;
+        } catch (error) {
+            if (error instanceof AddressError) {
+                return res.status(error.statusCode).json({ error: error.message, details: error.details });
+            }
+            console.error('Error loading saved address:', error.message);
+            return res.status(503).json({ error: 'Saved addresses are unavailable right now, send deliveryAddress instead' });
+        }
+    }
+    
+    // Deliver only inside a store's radius, and while it is open (instant)
+    // or for the whole of the chosen slot (scheduled)
+    const coordinates = parseCoordinates(deliveryAddress);
+    if (!coordinates) {
+        return res.status(400).json({
+            error: addressId ? 'This saved address has no map location yet' : 'deliveryAddress with coordinates is required'
+        });
+    }
+    const stores = await loadStores(pool);
+    let delivery;
+    try {
+        const [nearest] = rankStoresByDistance(stores, coordinates);
+        delivery = parseDeliveryChoice(req.body, nearest && nearest.timezone);
+    } catch (error) {
+        if (error instanceof SlotError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        throw error;
+    }
+    const serviceability = delivery.slot
+        ? checkSlotServiceability(stores, coordinates, delivery.slot)
+        : checkServiceability(stores, coordinates);
+    if (!serviceability.serviceable) {
+        return res.status(422).json({
+            error: serviceability.message,
+            reason: serviceability.reason,
+            store: serviceability.store
+        });
     }
     
     try {
         // Try database first
-        const result = await pool.query(
-            `INSERT INTO orders (user_id, items, total_amount, payment_method, payment_id, delivery_address) 
-             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-            [userId || 'guest-user', JSON.stringify(items), parseFloat(orderTotal), paymentMethod, paymentId, JSON.stringify(deliveryAddress)]
-        );
-        
-        const newOrder = result.rows[0];
+        const newOrder = await insertOrder(pool, {
+            userId,
+            pricing,
+            paymentMethod,
+            paymentId,
+            deliveryAddress,
+            addressId: savedAddressId,
+            couponCode: couponCode || null,
+            storeIds: serviceability.candidates.map(store => store.id),
+            slot: delivery.slot,
+            guestClient: auth.isGuest ? auth.client : null
+        });
+        const store = serviceability.candidates.find(candidate => candidate.id === newOrder.store_id) || serviceability.store;
+        const eta = formatEta(newOrder);
         
         res.status(201).json({
             success: true,
@@ -123,28 +245,71 @@ const handleCreateOrder = async (req, res) => {
                 status: newOrder.status,
                 paymentMethod: newOrder.payment_method,
                 orderDate: newOrder.created_at,
-                deliveryTime: '12 minutes'
+                storeId: newOrder.store_id,
+                ...describeDelivery(delivery, store, eta),
+                eta,
+                // Guests cannot look the order up later, so they get the OTP for the rider now
+                ...(auth.isGuest && { deliveryOtp: newOrder.delivery_otp })
             },
+            pricing,
+            priceMismatch,
             message: 'Order placed successfully'
         });
     } catch (error) {
+        if (error instanceof InventoryError || error instanceof CouponError || error instanceof SlotError ||
+            error instanceof OrderStatusError) {
+            if (error.details.retryAfter) {
+                res.setHeader('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        // A coupon's use can only be counted in the database
+        if (couponCode) {
+            console.error('Error placing order with a coupon:', error.message);
+            return res.status(503).json({ error: 'Orders with a coupon cannot be placed right now, try again without the code' });
+        }
+        // Slot places are counted in the database too
+        if (delivery.slot) {
+            console.error('Error placing a scheduled order:', error.message);
+            return res.status(503).json({ error: 'Scheduled delivery is unavailable right now, try instant delivery' });
+        }
+        
         console.error('Database error, using fallback storage:', error.message);
         
         // Fallback to in-memory storage
         const newOrder = {
             id: orderIdCounter++,
-            user_id: userId || 'guest-user',
-            items: items,
-            total_amount: parseFloat(orderTotal),
+            user_id: userId,
+            items: pricing.items,
+            total_amount: pricing.total,
             status: 'pending',
             payment_method: paymentMethod,
             payment_id: paymentId,
             delivery_address: deliveryAddress,
+            address_id: savedAddressId,
+            store_id: serviceability.store.id,
+            price_breakdown: pricing,
             created_at: new Date().toISOString()
         };
+        newOrder.status_history = [{
+            from: null,
+            to: newOrder.status,
+            changedBy: newOrder.user_id,
+            note: 'Order placed',
+            changedAt: newOrder.created_at
+        }];
         
         mockOrders.push(newOrder);
         
+        // Estimated without the store's queue, which only the database knows
+        const estimate = estimateDelivery({ store: serviceability.store, coordinates, slot: delivery.slot });
+        const eta = {
+            earliest: estimate.earliest.toISOString(),
+            latest: estimate.latest.toISOString(),
+            minMinutes: estimate.minMinutes,
+            maxMinutes: estimate.maxMinutes
+        };
+        
         res.status(201).json({
             success: true,
             _id: newOrder.id,
@@ -156,34 +321,44 @@ const handleCreateOrder = async (req, res) => {
                 status: newOrder.status,
                 paymentMethod: newOrder.payment_method,
                 orderDate: newOrder.created_at,
-                deliveryTime: '12 minutes'
+                storeId: newOrder.store_id,
+                ...describeDelivery(delivery, serviceability.store, eta),
+                eta
             },
+            pricing,
+            priceMismatch,
             message: 'Order placed successfully'
         });
     }
 };
 
-const handleUpdateOrder = async (req, res) => {
+const handleUpdateOrder = async (req, res, auth) => {
     const { id } = req.query;
-    const { status } = req.body;
+    const { status, note } = req.body;
+    // Signed-in admins are recorded by user ID; the admin key may name itself
+    const changedBy = auth.userId || req.body.changedBy || 'admin';
+    // Store staff can only move their own store's orders
+    const storeId = auth.isAdmin ? null : resolveStoreId(auth, null);
+    // Store staff cannot skip the OTP handover; admins can close an order by hand
+    const otpRequired = !auth.isAdmin;
     
     if (!id) {
         return res.status(400).json({ error: 'Order ID is required' });
     }
     
+    if (!status) {
+        return res.status(400).json({ error: 'Status is required' });
+    }
+    
     try {
         // Try database first
-        const result = await pool.query(
-            'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
-            [status, id]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+        const { order, change } = await transitionOrder(pool, id, status, { changedBy, note, storeId, otpRequired });
+        res.status(200).json({ ...formatOrder(order), change });
+    } catch (error) {
+        if (error instanceof OrderStatusError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
         }
         
-        res.status(200).json(result.rows[0]);
-    } catch (error) {
         console.error('Database error, using fallback storage:', error.message);
         
         // Fallback to in-memory storage
@@ -192,7 +367,25 @@ const handleUpdateOrder = async (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
         
-        mockOrders[orderIndex].status = status;
-        res.status(200).json(mockOrders[orderIndex]);
+        const order = mockOrders[orderIndex];
+        if (storeId !== null && order.store_id !== storeId) {
+            return res.status(403).json({ error: 'Order belongs to another store' });
+        }
+        try {
+            assertTransition(order.status, status, { otpRequired });
+        } catch (transitionError) {
+            return res.status(transitionError.statusCode).json({ error: transitionError.message, details: transitionError.details });
+        }
+        
+        const change = {
+            from: order.status,
+            to: status,
+            changedBy,
+            note: note || null,
+            changedAt: new Date().toISOString()
+        };
+        order.status = status;
+        order.status_history = [...(order.status_history || []), change];
+        res.status(200).json({ ...formatOrder(order), change });
     }
-};
\ No newline at end of file
+};
@@ -1,9 +1,31 @@
-export default async function handler(req, res) {
+const { Pool } = require('pg');
+const { RazorpayError, getRazorpayConfig, verifyPaymentSignature, fetchGatewayPayment, findOrderByGatewayOrder, recordGatewayPayment } = require('../utils/razorpay');
+const { requireAuth } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Fallback in-memory storage for when database is not available
+const mockVerifiedPayments = new Map();
+
+const NOT_CONFIRMED_MESSAGES = {
+    unknown_order: 'No order is waiting for this payment',
+    amount_mismatch: 'The amount paid does not match the order total',
+    already_paid: 'The order was already paid with another payment',
+    order_cancelled: 'The order was cancelled before this payment arrived',
+    not_payable: 'The order is no longer waiting for payment'
+};
+
+module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
+
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
@@ -12,18 +34,101 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Checkout responses are sent back by the customer who started the payment
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
     try {
         const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
-        
-        // For demo purposes, always return success
-        // In production, you would verify the signature with Razorpay
+
+        if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'razorpay_payment_id, razorpay_order_id and razorpay_signature are required'
+            });
+        }
+
+        const { keySecret } = getRazorpayConfig();
+        if (!keySecret) {
+            console.error('Payment verification failed: RAZORPAY_KEY_SECRET is not configured');
+            return res.status(500).json({ success: false, error: 'Payment verification is not configured' });
+        }
+
+        const valid = verifyPaymentSignature({
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        }, keySecret);
+
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid payment signature' });
+        }
+
+        let order = null;
+        try {
+            order = await findOrderByGatewayOrder(pool, razorpay_order_id);
+        } catch (error) {
+            console.error('Database error, order owner not checked:', error.message);
+        }
+        if (order && !auth.isAdmin && order.user_id !== auth.userId) {
+            return res.status(403).json({ success: false, error: 'You can only pay for your own orders' });
+        }
+
+        // The signature only covers the two IDs, so the amount comes from Razorpay itself
+        const gatewayPayment = await fetchGatewayPayment(razorpay_payment_id);
+        if (gatewayPayment.order_id !== razorpay_order_id || gatewayPayment.status !== 'captured') {
+            return res.status(409).json({
+                success: false,
+                error: 'Payment has not been captured for this order',
+                details: { status: gatewayPayment.status }
+            });
+        }
+
+        const payment = {
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+            amount: gatewayPayment.amount / 100
+        };
+
+        let result;
+        try {
+            // Try database first
+            result = await recordGatewayPayment(pool, payment);
+        } catch (error) {
+            console.error('Database error, using fallback storage:', error.message);
+
+            // Fallback to in-memory storage; no order can be confirmed without the database
+            const existing = mockVerifiedPayments.get(razorpay_payment_id);
+            const record = existing || { ...payment, verified_at: new Date().toISOString() };
+            mockVerifiedPayments.set(razorpay_payment_id, record);
+            result = { payment: record, order: null, confirmed: false, reason: 'unknown_order', replayed: Boolean(existing) };
+        }
+
+        if (!result.confirmed) {
+            return res.status(409).json({
+                success: false,
+                error: NOT_CONFIRMED_MESSAGES[result.reason],
+                details: { reason: result.reason },
+                paymentId: razorpay_payment_id
+            });
+        }
+
         res.status(200).json({
             success: true,
-            message: 'Payment verified successfully',
-            paymentId: razorpay_payment_id
+            message: result.replayed ? 'Payment already verified' : 'Payment verified successfully',
+            paymentId: razorpay_payment_id,
+            orderId: result.order.id,
+            orderStatus: result.order.status,
+            alreadyVerified: result.replayed
         });
     } catch (error) {
+        if (error instanceof RazorpayError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details });
+        }
         console.error('Payment verification failed:', error.message);
         res.status(500).json({ error: 'Payment verification failed' });
     }
-}
\ No newline at end of file
+}
@@ -3,123 +3,52 @@
  * Handles payment verification and processing
  */
 
-// Simulated payment gateway integration
-// In production, integrate with real payment gateways like:
-// - Razorpay
-// - Stripe
-// - PayU
-// - Paytm
+// Simulated payment gateway for local development, only taken with
+// PAYMENT_SIMULATOR=true; real payments go through Razorpay
+// (/api/razorpay-order, then /api/payment-verify)
+
+const { Pool } = require('pg');
+const { paymentSimulatorEnabled, savePaymentAttempt, findPayment } = require('../utils/payments');
+const { withIdempotency } = require('../utils/idempotency');
+const { requireAuth } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
 
-const payments = new Map(); // In-memory storage (use database in production)
+// Fallback in-memory storage for when database is not available
+const payments = new Map();
 
 module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
-    // Process Payment
-    if (req.method === 'POST') {
-        try {
-            const {
-                orderId,
-                amount,
-                paymentMethod,
-                cardDetails,
-                upiId,
-                walletType,
-                bankCode,
-                customerEmail,
-                customerPhone
-            } = req.body;
-
-            // Validate required fields
-            if (!orderId || !amount || !paymentMethod) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required fields'
-                });
-            }
-
-            // Validate amount
-            if (amount <= 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid amount'
-                });
-            }
-
-            // Process based on payment method
-            let paymentResult;
-            switch (paymentMethod) {
-                case 'card':
-                    paymentResult = await processCardPayment(cardDetails, amount);
-                    break;
-                case 'upi':
-                    paymentResult = await processUPIPayment(upiId, amount);
-                    break;
-                case 'wallet':
-                    paymentResult = await processWalletPayment(walletType, amount);
-                    break;
-                case 'netbanking':
-                    paymentResult = await processNetBankingPayment(bankCode, amount);
-                    break;
-                default:
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid payment method'
-                    });
-            }
-
-            // Generate transaction details
-            const transactionId = generateTransactionId();
-            const timestamp = new Date().toISOString();
-
-            // Store payment record
-            const paymentRecord = {
-                transactionId,
-                orderId,
-                amount,
-                paymentMethod,
-                status: paymentResult.success ? 'success' : 'failed',
-                timestamp,
-                customerEmail,
-                customerPhone,
-                gatewayResponse: paymentResult
-            };
-
-            payments.set(transactionId, paymentRecord);
-
-            // Return response
-            if (paymentResult.success) {
-                return res.status(200).json({
-                    success: true,
-                    transactionId,
-                    orderId,
-                    amount,
-                    paymentMethod,
-                    timestamp,
-                    message: 'Payment processed successfully'
-                });
-            } else {
-                return res.status(400).json({
-                    success: false,
-                    error: paymentResult.error || 'Payment failed',
-                    orderId
-                });
-            }
+    // Payments are made and looked up as the signed-in user; admins see everyone's
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
 
-        } catch (error) {
-            console.error('Payment processing error:', error);
-            return res.status(500).json({
+    // Process Payment (retries with the same Idempotency-Key replay the first result)
+    if (req.method === 'POST') {
+        if (!paymentSimulatorEnabled()) {
+            return res.status(503).json({
                 success: false,
-                error: 'Internal server error'
+                error: 'Simulated payments are turned off; pay with Razorpay',
+                details: { reason: 'simulator_disabled' }
             });
         }
+        const scope = `payment:${auth.userId || 'admin'}`;
+        return withIdempotency(pool, scope, req, res, (req, res) => processPayment(req, res, auth));
     }
 
     // Get Payment Status
@@ -133,9 +62,17 @@ module.exports = async function handler(req, res) {
             });
         }
 
-        const payment = payments.get(transactionId);
+        let payment;
+        try {
+            // Try database first
+            payment = await findPayment(pool, transactionId);
+        } catch (error) {
+            console.error('Database error, using fallback storage:', error.message);
+        }
+        payment = payment || payments.get(transactionId);
 
-        if (!payment) {
+        // Someone else's payment is answered like one that does not exist
+        if (!payment || (!auth.isAdmin && payment.userId !== auth.userId)) {
             return res.status(404).json({
                 success: false,
                 error: 'Transaction not found'
@@ -154,6 +91,117 @@ module.exports = async function handler(req, res) {
     });
 };
 
+// Process Payment
+async function processPayment(req, res, auth) {
+    try {
+        const {
+            orderId,
+            amount,
+            paymentMethod,
+            cardDetails,
+            upiId,
+            walletType,
+            bankCode,
+            customerEmail,
+            customerPhone
+        } = req.body;
+
+        // Validate required fields
+        if (!orderId || !amount || !paymentMethod) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        // Validate amount
+        if (amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid amount'
+            });
+        }
+
+        // Process based on payment method
+        let paymentResult;
+        switch (paymentMethod) {
+            case 'card':
+                paymentResult = await processCardPayment(cardDetails, amount);
+                break;
+            case 'upi':
+                paymentResult = await processUPIPayment(upiId, amount);
+                break;
+            case 'wallet':
+                paymentResult = await processWalletPayment(walletType, amount);
+                break;
+            case 'netbanking':
+                paymentResult = await processNetBankingPayment(bankCode, amount);
+                break;
+            default:
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid payment method'
+                });
+        }
+
+        // Generate transaction details
+        const transactionId = generateTransactionId();
+        const timestamp = new Date().toISOString();
+
+        // Store payment record
+        const paymentRecord = {
+            transactionId,
+            orderId,
+            amount,
+            paymentMethod,
+            status: paymentResult.success ? 'success' : 'failed',
+            timestamp,
+            customerEmail,
+            customerPhone,
+            userId: auth.userId,
+            gatewayResponse: paymentResult
+        };
+
+        // Whether the payment confirmed the order it names (only the payer's own order, for its total)
+        let saved = null;
+        try {
+            // Try database first
+            saved = await savePaymentAttempt(pool, paymentRecord);
+        } catch (error) {
+            console.error('Database error, using fallback storage:', error.message);
+            payments.set(transactionId, paymentRecord);
+        }
+
+        // Return response
+        if (paymentResult.success) {
+            return res.status(200).json({
+                success: true,
+                transactionId,
+                orderId,
+                amount,
+                paymentMethod,
+                timestamp,
+                orderStatus: saved && saved.order ? saved.order.status : null,
+                orderNotConfirmed: saved ? saved.rejected : null,
+                message: 'Payment processed successfully'
+            });
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: paymentResult.error || 'Payment failed',
+                orderId
+            });
+        }
+
+    } catch (error) {
+        console.error('Payment processing error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+}
+
 // Payment Processing Functions
 
 async function processCardPayment(cardDetails, amount) {
@@ -0,0 +1,42 @@
+const { Pool } = require('pg');
+const { PricingError, quoteOrder } = require('../utils/pricing');
+const { requireAuthOrGuest } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Returns the server-side price breakdown for a cart without placing an order
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Same callers as POST /api/orders: signed-in users, or guests without a token
+    if (!(await requireAuthOrGuest(req, res, { db: pool }))) {
+        return;
+    }
+
+    try {
+        const pricing = await quoteOrder(pool, req.body.items);
+        res.status(200).json({ success: true, pricing });
+    } catch (error) {
+        if (error instanceof PricingError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        console.error('Error pricing order:', error.message);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+}
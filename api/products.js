@@ -1,4 +1,9 @@
 const { Pool } = require('pg');
+const fallbackProducts = require('../utils/fallback-products');
+const { InventoryError, getStockLevels, applyStockFlags } = require('../utils/inventory');
+const { ProductError, listProducts, createProduct, updateProduct, archiveProduct } = require('../utils/products');
+const { parseSearchParams, searchProducts, searchFallbackProducts } = require('../utils/product-search');
+const { requireAdmin } = require('../utils/auth');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
@@ -7,37 +12,97 @@ const pool = new Pool({
     }
 });
 
-export default async function handler(req, res) {
+module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
-    if (req.method !== 'GET') {
+    if (req.method === 'GET') {
+        return handleGetProducts(req, res);
+    }
+
+    if (!['POST', 'PUT', 'DELETE'].includes(req.method)) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Catalog changes are for the ops team only
+    if (!(await requireAdmin(req, res, { db: pool }))) {
+        return;
+    }
+
+    const id = parseInt(req.query.id);
+    if (req.method !== 'POST' && isNaN(id)) {
+        return res.status(400).json({ error: 'Product ID is required' });
+    }
+
+    try {
+        if (req.method === 'POST') {
+            const product = await createProduct(pool, req.body);
+            return res.status(201).json({ success: true, product });
+        }
+        if (req.method === 'PUT') {
+            const product = await updateProduct(pool, id, req.body);
+            return res.status(200).json({ success: true, product });
+        }
+        // ?unit=X archives a single variant
+        const product = await archiveProduct(pool, id, { unit: req.query.unit });
+        res.status(200).json({ success: true, product });
+    } catch (error) {
+        if (error instanceof ProductError || error instanceof InventoryError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        console.error('Product update error:', error.message);
+        res.status(503).json({ error: 'Catalog is unavailable', details: error.message });
+    }
+}
+
+const handleGetProducts = async (req, res) => {
+    // ?storeId=X limits the out-of-stock flags to one store
+    const { storeId, includeArchived } = req.query;
+
+    // Archived products are only listed for admins
+    if (includeArchived === 'true' && !(await requireAdmin(req, res, { db: pool }))) {
+        return;
+    }
+
+    // ?action=search pages through matches as { products, nextCursor }; the plain
+    // listing stays a bare array for existing callers
+    if (req.query.action === 'search') {
+        let search;
+        try {
+            search = parseSearchParams(req.query);
+        } catch (error) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        return handleSearchProducts(req, res, search);
+    }
+
     try {
         // Try to get products from database
-        const result = await pool.query('SELECT * FROM products ORDER BY id');
-        res.status(200).json(result.rows);
+        const products = await listProducts(pool, { includeArchived: includeArchived === 'true' });
+        const stockLevels = await getStockLevels(pool, { storeId });
+        res.status(200).json(applyStockFlags(products, stockLevels));
     } catch (error) {
         console.error('Database error, falling back to sample data:', error.message);
         
         // Fallback to sample data if database is not available
-        const fallbackProducts = [
-            { id: 1, name: 'Fresh Apples', image: 'https://images.unsplash.com/photo-1579613832125-5d34a13ffe2a?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Fruits', variants: [{unit: '500 g', price: 75}, {unit: '1 kg', price: 150}] },
-            { id: 2, name: 'Ripe Bananas', image: 'https://images.unsplash.com/photo-1528825871115-3581a5387919?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Fruits', variants: [{unit: '6 pcs', price: 30}, {unit: '1 dozen', price: 50}] },
-            { id: 3, name: 'Tomatoes', image: 'https://cdn.zeptonow.com/production/tr:w-403,ar-1024-1024,pr-true,f-auto,q-80/cms/product_variant/04a3037a-04a3-47f3-9db4-23ae268177aa.jpeg', category: 'Vegetables', variants: [{unit: '250 g', price: 24}, {unit: '500 g', price: 42}] },
-            { id: 4, name: 'Organic Milk', image: 'https://images.unsplash.com/photo-1559598467-f8b76c8155d0?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Dairy', variants: [{unit: '500 ml', price: 25}, {unit: '1 litre', price: 48}] },
-            { id: 5, name: 'Whole Wheat Bread', image: 'https://cdn.zeptonow.com/production/tr:w-1280,ar-1200-1200,pr-true,f-auto,q-80/cms/product_variant/68de0f15-ba46-4a79-95ec-0e2a33ce9dcc.jpeg', category: 'Bakery', variants: [{unit: '1 loaf', price: 45}] },
-            { id: 6, name: 'Eggs', image: 'https://cdn.zeptonow.com/production/tr:w-1280,ar-1200-1200,pr-true,f-auto,q-80/cms/product_variant/35241f67-e64e-4f15-8c9e-175186993049.jpeg', category: 'Dairy', variants: [{unit: '6 pack', price: 40}, {unit: '12 pack', price: 70}] }
-        ];
-        
-        res.status(200).json(fallbackProducts);
+        res.status(200).json(applyStockFlags(fallbackProducts, null));
+    }
+};
+
+const handleSearchProducts = async (req, res, search) => {
+    try {
+        const { products, nextCursor } = await searchProducts(pool, search);
+        const stockLevels = await getStockLevels(pool, { storeId: req.query.storeId });
+        res.status(200).json({ products: applyStockFlags(products, stockLevels), nextCursor });
+    } catch (error) {
+        console.error('Database error, searching sample data:', error.message);
+        const { products, nextCursor } = searchFallbackProducts(fallbackProducts, search);
+        res.status(200).json({ products: applyStockFlags(products, null), nextCursor });
     }
-}
\ No newline at end of file
+};
@@ -0,0 +1,43 @@
+const { Pool } = require('pg');
+const { RazorpayError, createGatewayOrder } = require('../utils/razorpay');
+const { requireAuth } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// POST { orderId } → the Razorpay order to open checkout with, created on the
+// server for the order's total so the amount paid never comes from the browser
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        const gatewayOrder = await createGatewayOrder(pool, (req.body || {}).orderId, auth.isAdmin ? null : auth.userId);
+        res.status(200).json({ success: true, ...gatewayOrder });
+    } catch (error) {
+        if (error instanceof RazorpayError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        console.error('Error creating Razorpay order:', error.message);
+        res.status(500).json({ error: 'Failed to start the payment' });
+    }
+}
@@ -0,0 +1,86 @@
+const { Pool } = require('pg');
+const { getRazorpayConfig, verifyWebhookSignature, findOrderByGatewayOrder, recordGatewayPayment } = require('../utils/razorpay');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// The signature covers the exact bytes Razorpay sent, so the body is read from
+// the request stream rather than re-serialized from a parsed object
+const readRawBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+// Events we act on; everything else is acknowledged and ignored
+const HANDLED_EVENTS = ['payment.captured', 'order.paid', 'payment.failed'];
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { webhookSecret } = getRazorpayConfig();
+        const rawBody = await readRawBody(req);
+
+        if (!verifyWebhookSignature(rawBody, req.headers['x-razorpay-signature'], webhookSecret)) {
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+
+        let event;
+        try {
+            event = JSON.parse(rawBody);
+        } catch (error) {
+            return res.status(400).json({ error: 'Webhook body is not valid JSON' });
+        }
+        if (!HANDLED_EVENTS.includes(event.event)) {
+            return res.status(200).json({ received: true, ignored: event.event });
+        }
+
+        const payment = event.payload && event.payload.payment && event.payload.payment.entity;
+        if (!payment || !payment.id) {
+            return res.status(400).json({ error: 'Webhook payload has no payment entity' });
+        }
+
+        // A failed attempt leaves the order waiting: checkout may retry on the same Razorpay
+        // order, and orders left unpaid are cancelled by releaseUnpaidOrders
+        if (event.event === 'payment.failed') {
+            const order = await findOrderByGatewayOrder(pool, payment.order_id);
+            return res.status(200).json({ received: true, paymentId: payment.id, orderStatus: order ? order.status : null });
+        }
+
+        // The order is the one the Razorpay order was created for, confirmed only for its full total
+        const result = await recordGatewayPayment(pool, {
+            razorpayOrderId: payment.order_id,
+            razorpayPaymentId: payment.id,
+            signature: null,
+            amount: typeof payment.amount === 'number' ? payment.amount / 100 : null,
+            source: 'webhook'
+        });
+
+        res.status(200).json({
+            received: true,
+            paymentId: payment.id,
+            orderConfirmed: result.confirmed,
+            reason: result.reason,
+            alreadyRecorded: result.replayed
+        });
+    } catch (error) {
+        // A non-2xx response makes the gateway retry the delivery later
+        console.error('Webhook processing failed:', error.message);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+}
+
+// Turn off Vercel's body parser so the raw body is left to read
+module.exports.config = {
+    api: {
+        bodyParser: false
+    }
+};
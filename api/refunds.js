@@ -0,0 +1,123 @@
+const { Pool } = require('pg');
+const { RefundError, createRefund, listRefunds } = require('../utils/refunds');
+const { OrderStatusError } = require('../utils/order-status');
+const { findOrderOwner } = require('../utils/orders');
+const { RazorpayError } = require('../utils/razorpay');
+const { requireAuth } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            await handleListRefunds(req, res, auth);
+        } else if (req.method === 'POST') {
+            await handleCreateRefund(req, res, auth);
+        } else {
+            res.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (error) {
+        if (error instanceof RefundError || error instanceof OrderStatusError || error instanceof RazorpayError) {
+            return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details });
+        }
+
+        // Refunds move money, so there is no in-memory fallback
+        console.error('Error handling refunds:', error.message);
+        res.status(503).json({ success: false, error: 'Refunds are unavailable right now', details: error.message });
+    }
+}
+
+/**
+ * Customers work on their own orders by order ID only; answers 403/404 otherwise
+ * @returns {Promise<boolean>} - true when the request may continue
+ */
+const checkOrderOwner = async (res, auth, orderId) => {
+    if (!orderId) {
+        res.status(400).json({ success: false, error: 'orderId is required' });
+        return false;
+    }
+    const owner = await findOrderOwner(pool, orderId);
+    if (!owner) {
+        res.status(404).json({ success: false, error: 'Order not found' });
+        return false;
+    }
+    if (owner !== auth.userId) {
+        res.status(403).json({ success: false, error: 'You can only access your own orders' });
+        return false;
+    }
+    return true;
+};
+
+const handleListRefunds = async (req, res, auth) => {
+    const { orderId } = req.query;
+    const transactionId = auth.isAdmin ? req.query.transactionId : undefined;
+
+    if (!transactionId && !orderId) {
+        return res.status(400).json({ success: false, error: 'transactionId or orderId is required' });
+    }
+    if (!auth.isAdmin && !(await checkOrderOwner(res, auth, orderId))) {
+        return;
+    }
+
+    const refunds = await listRefunds(pool, { transactionId, orderId });
+    res.status(200).json({ success: true, refunds });
+};
+
+// POST { transactionId | orderId, reason, items?: [{ productId, unit, quantity }], cancel? }
+// Without items the remaining captured amount is refunded in full.
+const handleCreateRefund = async (req, res, auth) => {
+    const { orderId, items, reason, cancel } = req.body;
+    const transactionId = auth.isAdmin ? req.body.transactionId : undefined;
+
+    if (items !== undefined && !Array.isArray(items)) {
+        return res.status(400).json({ success: false, error: 'items must be an array' });
+    }
+
+    // Customers may cancel their own orders; other refunds are issued by admins
+    if (!auth.isAdmin) {
+        if (cancel !== true) {
+            return res.status(403).json({ success: false, error: 'Admin access required' });
+        }
+        if (!(await checkOrderOwner(res, auth, orderId))) {
+            return;
+        }
+    }
+    const initiatedBy = auth.userId || req.body.initiatedBy || 'admin';
+
+    const result = await createRefund(pool, {
+        transactionId,
+        orderId,
+        items: items || [],
+        reason,
+        initiatedBy,
+        cancel: cancel === true
+    });
+
+    res.status(result.refund ? 201 : 200).json({
+        success: true,
+        refund: result.refund,
+        orderStatus: result.order ? result.order.status : null,
+        totalRefunded: result.totalRefunded,
+        remaining: result.remaining,
+        message: result.refund ? 'Refund processed successfully' : 'Order cancelled'
+    });
+};
@@ -0,0 +1,152 @@
+const { Pool } = require('pg');
+const {
+    RiderError,
+    listRiders,
+    getRider,
+    findRiderByUser,
+    createRider,
+    updateRider,
+    setShiftStatus,
+    listActiveDeliveries
+} = require('../utils/riders');
+const { TrackingError, recordLocationPing } = require('../utils/tracking');
+const { DeliveryProofError, completeDelivery } = require('../utils/delivery-proof');
+const { OrderStatusError } = require('../utils/order-status');
+const { formatOrder } = require('../utils/orders');
+const { AuthError, requireRole, resolveStoreId } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// action → { method, roles allowed besides admin, handler }; no action is rider management
+const ACTIONS = {
+    deliveries: { method: 'GET', roles: ['rider'], handler: (req, res, auth) => handleListDeliveries(req, res, auth) },
+    shift: { method: 'POST', roles: ['rider'], handler: (req, res, auth) => handleSetShift(req, res, auth) },
+    location: { method: 'POST', roles: ['rider'], handler: (req, res, auth) => handleLocationPing(req, res, auth) },
+    deliver: { method: 'POST', roles: ['rider'], handler: (req, res, auth) => handleDeliver(req, res, auth) }
+};
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    let action;
+    if (req.query.action) {
+        action = ACTIONS[req.query.action];
+        if (!action) {
+            return res.status(400).json({ error: `Unknown action: ${req.query.action}`, actions: Object.keys(ACTIONS) });
+        }
+        if (action.method !== req.method) {
+            return res.status(405).json({ error: `Use ${action.method} for ${req.query.action}` });
+        }
+    } else if (req.method === 'GET') {
+        // Store staff see their own store's riders
+        action = { roles: ['store_staff'], handler: handleListRiders };
+    } else if (req.method === 'POST') {
+        action = { roles: [], handler: handleCreateRider };
+    } else if (req.method === 'PUT') {
+        action = { roles: [], handler: handleUpdateRider };
+    } else {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const auth = await requireRole(req, res, action.roles, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        await action.handler(req, res, auth);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof RiderError || error instanceof DeliveryProofError || error instanceof OrderStatusError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+        if (error instanceof TrackingError) {
+            if (error.details.retryAfter) {
+                res.setHeader('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        // Dispatch works on live orders, so there is no in-memory fallback
+        console.error('Error handling rider request:', error.message);
+        res.status(503).json({ error: 'Rider dispatch is unavailable right now' });
+    }
+}
+
+/**
+ * The rider a request acts for: riders act for themselves, admins name one with riderId
+ */
+const resolveRider = async (auth, requestedRiderId) => {
+    if (auth.isAdmin) {
+        if (!requestedRiderId) {
+            throw new RiderError('riderId is required when acting as an admin');
+        }
+        return getRider(pool, requestedRiderId);
+    }
+    const rider = await findRiderByUser(pool, auth.userId);
+    if (requestedRiderId && parseInt(requestedRiderId) !== rider.id) {
+        throw new AuthError('You can only access your own deliveries', 403);
+    }
+    return rider;
+};
+
+// GET ?action=deliveries[&riderId=X] → the rider's packed and out-for-delivery orders
+const handleListDeliveries = async (req, res, auth) => {
+    const rider = await resolveRider(auth, req.query.riderId);
+    const deliveries = await listActiveDeliveries(pool, rider.id);
+    res.status(200).json({ success: true, rider, deliveries });
+};
+
+// POST ?action=shift { status: on_shift | on_break | off_shift, riderId? }
+const handleSetShift = async (req, res, auth) => {
+    const rider = await resolveRider(auth, req.body.riderId);
+    const result = await setShiftStatus(pool, rider.id, req.body.status);
+    res.status(200).json({ success: true, ...result });
+};
+
+// POST ?action=location { lat, lng, accuracy, speed?, heading?, timestamp?, riderId? }
+const handleLocationPing = async (req, res, auth) => {
+    const rider = await resolveRider(auth, req.body.riderId);
+    const result = await recordLocationPing(pool, rider.id, req.body);
+    res.status(200).json({ success: true, ...result });
+};
+
+// POST ?action=deliver { orderId, otp, photo?, signature?, riderId? } images as data URLs
+const handleDeliver = async (req, res, auth) => {
+    const rider = await resolveRider(auth, req.body.riderId);
+    const { order, change, proofs } = await completeDelivery(pool, rider, req.body.orderId, req.body);
+    res.status(200).json({ success: true, order: formatOrder(order), change, proofs });
+};
+
+// GET ?storeId=X&shiftStatus=on_shift
+const handleListRiders = async (req, res, auth) => {
+    const storeId = resolveStoreId(auth, req.query.storeId);
+    const riders = await listRiders(pool, { storeId, shiftStatus: req.query.shiftStatus || null });
+    res.status(200).json({ success: true, storeId, riders });
+};
+
+// POST { userId, name, phone?, storeId } (admin)
+const handleCreateRider = async (req, res) => {
+    const rider = await createRider(pool, req.body);
+    res.status(201).json({ success: true, rider });
+};
+
+// PUT ?id=X { name?, phone?, storeId?, isActive? } (admin)
+const handleUpdateRider = async (req, res) => {
+    const rider = await updateRider(pool, req.query.id, req.body);
+    res.status(200).json({ success: true, rider });
+};
@@ -0,0 +1,96 @@
+const { Pool } = require('pg');
+const { loadStores, isStoreOpen, rankStoresByDistance, checkServiceability } = require('../utils/stores');
+const { listSlots } = require('../utils/delivery-slots');
+const { estimateForAddress } = require('../utils/eta');
+const { parseCoordinates } = require('../utils/geo');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Falls back to the built-in store list when the database is down
+    const stores = await loadStores(pool);
+    const { action, lat, lng } = req.query;
+
+    if (!action) {
+        return res.status(200).json(stores.map(store => ({ ...store, openNow: isStoreOpen(store) })));
+    }
+
+    const coordinates = parseCoordinates({ lat, lng });
+    if (!coordinates) {
+        return res.status(400).json({ error: 'Valid lat and lng are required' });
+    }
+
+    if (action === 'nearest') {
+        const ranked = rankStoresByDistance(stores, coordinates);
+        return res.status(200).json({ success: true, store: ranked[0] || null, stores: ranked });
+    }
+
+    if (action === 'serviceability') {
+        const { serviceable, reason, message, store } = checkServiceability(stores, coordinates);
+        return res.status(200).json({ success: true, serviceable, reason, message, store });
+    }
+
+    // Delivery window for a new order to an address from the store it would go to
+    if (action === 'eta') {
+        const { serviceable, reason, message, store } = checkServiceability(stores, coordinates);
+        if (!serviceable) {
+            return res.status(200).json({ success: true, serviceable, reason, message, store, eta: null });
+        }
+
+        let estimate;
+        try {
+            estimate = await estimateForAddress(pool, store, coordinates);
+        } catch (error) {
+            console.error('Database error, estimating without the store queue:', error.message);
+            estimate = await estimateForAddress(null, store, coordinates);
+        }
+        return res.status(200).json({ success: true, serviceable, store, eta: estimate });
+    }
+
+    // Delivery options for an address: instant now, or a slot at the nearest store in range
+    if (action === 'slots') {
+        const store = rankStoresByDistance(stores, coordinates).find(candidate => candidate.withinRadius);
+        if (!store) {
+            const { reason, message } = checkServiceability(stores, coordinates);
+            return res.status(200).json({ success: true, serviceable: false, reason, message, store: null, instant: null, slots: [] });
+        }
+
+        let slots, eta;
+        try {
+            slots = await listSlots(pool, store);
+            eta = await estimateForAddress(pool, store, coordinates);
+        } catch (error) {
+            // Without the database the slots are shown but places cannot be counted
+            console.error('Database error, slot bookings unavailable:', error.message);
+            slots = await listSlots(null, store);
+            eta = await estimateForAddress(null, store, coordinates);
+        }
+        return res.status(200).json({
+            success: true,
+            serviceable: true,
+            store,
+            instant: { available: store.openNow, deliveryTime: `${eta.minMinutes}-${eta.maxMinutes} minutes` },
+            slots
+        });
+    }
+
+    res.status(400).json({ error: `Unknown action: ${action}` });
+}
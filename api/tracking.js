@@ -0,0 +1,135 @@
+const { Pool } = require('pg');
+const {
+    TRACKING_STREAM_SECONDS,
+    TRACKING_POLL_SECONDS,
+    TrackingError,
+    loadTrackedOrder,
+    canTrackOrder,
+    getOrderTracking,
+    listOrderEvents
+} = require('../utils/tracking');
+const { DeliveryProofError, listDeliveryProofs, readDeliveryProof } = require('../utils/delivery-proof');
+const { requireAuth } = require('../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// GET ?orderId=X[&trail=true] → the rider's latest position, remaining distance and ETA
+// GET ?orderId=X&action=events → status and tracking events: a Server-Sent Events stream
+//   with Accept: text/event-stream, JSON to poll otherwise; resumes after Last-Event-ID
+// GET ?orderId=X&action=proofs[&proofId=Y] → delivery photos and signatures (the image itself with proofId)
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!req.query.orderId) {
+        return res.status(400).json({ error: 'orderId is required' });
+    }
+
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        const order = await loadTrackedOrder(pool, req.query.orderId);
+        if (!canTrackOrder(auth, order)) {
+            return res.status(403).json({ error: 'You can only track your own orders' });
+        }
+
+        if (req.query.action === 'events') {
+            const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+            if ((req.headers.accept || '').includes('text/event-stream')) {
+                return await streamOrderEvents(req, res, order, lastEventId);
+            }
+            const batch = await listOrderEvents(pool, order, lastEventId);
+            return res.status(200).json({ success: true, ...batch, pollAfterSeconds: TRACKING_POLL_SECONDS });
+        }
+        if (req.query.action === 'proofs') {
+            if (!req.query.proofId) {
+                return res.status(200).json({ success: true, proofs: await listDeliveryProofs(pool, order.id) });
+            }
+            const { proof, data } = await readDeliveryProof(pool, order.id, req.query.proofId);
+            res.setHeader('Content-Type', proof.contentType);
+            res.setHeader('Cache-Control', 'private, max-age=86400');
+            return res.status(200).end(data);
+        }
+        if (req.query.action) {
+            return res.status(400).json({ error: `Unknown action: ${req.query.action}` });
+        }
+
+        const tracking = await getOrderTracking(pool, order, { includeTrail: req.query.trail === 'true' });
+        res.status(200).json({ success: true, tracking });
+    } catch (error) {
+        if (error instanceof TrackingError || error instanceof DeliveryProofError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        // Positions only exist in the database, so there is no fallback
+        console.error('Error loading order tracking:', error.message);
+        res.status(503).json({ error: 'Live tracking is unavailable right now' });
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const writeEvent = (res, event) => {
+    res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+/**
+ * Push an order's events for up to TRACKING_STREAM_SECONDS, then end the
+ * response; the client reconnects with Last-Event-ID and carries on where it
+ * stopped. Short connections keep this working on serverless functions.
+ * Ends with an "end" event once the order is delivered, cancelled or refunded.
+ */
+const streamOrderEvents = async (req, res, order, lastEventId) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${TRACKING_POLL_SECONDS * 1000}\n\n`);
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const endsAt = Date.now() + TRACKING_STREAM_SECONDS * 1000;
+    let cursor = lastEventId;
+    try {
+        while (!closed) {
+            const batch = await listOrderEvents(pool, order, cursor);
+            batch.events.forEach(event => writeEvent(res, event));
+            cursor = batch.lastEventId;
+
+            if (batch.finished) {
+                writeEvent(res, { type: 'end', data: { orderId: order.id } });
+                break;
+            }
+            if (Date.now() >= endsAt) {
+                break;
+            }
+            await sleep(TRACKING_POLL_SECONDS * 1000);
+        }
+    } catch (error) {
+        // Headers are already sent, so the failure goes down the stream
+        console.error('Error streaming order events:', error.message);
+        writeEvent(res, { type: 'error', data: { error: 'Live tracking is unavailable right now' } });
+    }
+    res.end();
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { AuthError, requireAuth, resolveUserId } = require('../utils/auth');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
@@ -10,7 +11,7 @@ const pool = new Pool({
 // Fallback in-memory storage for when database is not available
 let mockUsers = {};
 
-export default async function handler(req, res) {
+module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -20,22 +21,31 @@ export default async function handler(req, res) {
         return res.status(200).end();
     }
 
+    // Users can only read and write their own profile; admins any profile
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
     try {
         if (req.method === 'GET') {
-            await handleGetUser(req, res);
+            await handleGetUser(req, res, auth);
         } else if (req.method === 'POST') {
-            await handleCreateOrUpdateUser(req, res);
+            await handleCreateOrUpdateUser(req, res, auth);
         } else {
             res.status(405).json({ error: 'Method not allowed' });
         }
     } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Error handling users:', error.message);
         res.status(500).json({ error: 'Internal server error' });
     }
 }
 
-const handleGetUser = async (req, res) => {
-    const { userId } = req.query;
+const handleGetUser = async (req, res, auth) => {
+    const userId = resolveUserId(auth, req.query.userId);
     
     if (!userId) {
         return res.status(400).json({ error: 'User ID is required' });
@@ -63,8 +73,9 @@ const handleGetUser = async (req, res) => {
     }
 };
 
-const handleCreateOrUpdateUser = async (req, res) => {
-    const { userId, name, email, address } = req.body;
+const handleCreateOrUpdateUser = async (req, res, auth) => {
+    const { name, email, address } = req.body;
+    const userId = resolveUserId(auth, req.body.userId);
     
     if (!userId) {
         return res.status(400).json({ error: 'User ID is required' });
@@ -0,0 +1,74 @@
+const { Pool } = require('pg');
+const {
+    AddressError,
+    listAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress
+} = require('../../../utils/addresses');
+const { AuthError, requireAuth, resolveUserId } = require('../../../utils/auth');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// /api/users/:id/addresses[/:addressId] (or ?addressId=X); ":id" may be "me"
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const auth = await requireAuth(req, res, { db: pool });
+    if (!auth) {
+        return;
+    }
+
+    try {
+        const userId = resolveUserId(auth, req.query.id === 'me' ? auth.userId : req.query.id);
+        if (!userId) {
+            return res.status(400).json({ error: 'User ID is required' });
+        }
+        const { addressId } = req.query;
+
+        if (req.method === 'GET') {
+            if (addressId) {
+                return res.status(200).json(await getAddress(pool, userId, addressId));
+            }
+            return res.status(200).json(await listAddresses(pool, userId));
+        }
+        if (req.method === 'POST') {
+            return res.status(201).json(await createAddress(pool, userId, req.body));
+        }
+        if (req.method === 'PUT' || req.method === 'DELETE') {
+            if (!addressId) {
+                return res.status(400).json({ error: 'Address ID is required' });
+            }
+            if (req.method === 'PUT') {
+                return res.status(200).json(await updateAddress(pool, userId, addressId, req.body));
+            }
+            const newDefault = await deleteAddress(pool, userId, addressId);
+            return res.status(200).json({ success: true, newDefault });
+        }
+        res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof AddressError) {
+            return res.status(error.statusCode).json({ error: error.message, details: error.details });
+        }
+
+        // The pages keep a local copy of the addresses while this is down
+        console.error('Error handling addresses:', error.message);
+        res.status(503).json({ error: 'Saved addresses are unavailable right now' });
+    }
+}
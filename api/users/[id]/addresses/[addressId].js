@@ -0,0 +1,2 @@
+// /api/users/:id/addresses/:addressId is served by the collection handler
+module.exports = require('../addresses');
@@ -1,5 +1,8 @@
 const { Pool } = require('pg');
 require('dotenv').config({ path: '.env.local' });
+const fallbackProducts = require('../utils/fallback-products');
+const fallbackStores = require('../utils/fallback-stores');
+const { migrate } = require('./migrate');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
@@ -16,52 +19,31 @@ const initDatabase = async () => {
         const client = await pool.connect();
         console.log('✅ Connected to Neon PostgreSQL database');
         
-        // Create products table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS products (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                image VARCHAR(500),
-                category VARCHAR(100),
-                variants JSONB NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('✅ Products table created/verified');
+        // Bring the schema up to date (database/migrations)
+        const applied = await migrate(pool);
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database schema is up to date');
 
-        // Create orders table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS orders (
-                id SERIAL PRIMARY KEY,
-                user_id VARCHAR(100) NOT NULL,
-                items JSONB NOT NULL,
-                total_amount DECIMAL(10,2) NOT NULL,
-                status VARCHAR(50) DEFAULT 'pending',
-                payment_method VARCHAR(50) DEFAULT 'COD',
-                payment_id VARCHAR(100),
-                delivery_address JSONB,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('✅ Orders table created/verified');
+        // Insert the storefront's products that are not in the table yet
+        const newProductIds = await insertCatalogProducts(client);
+        await backfillProductPriceRange(client);
 
-        // Create users table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                user_id VARCHAR(100) UNIQUE NOT NULL,
-                name VARCHAR(255),
-                email VARCHAR(255),
-                address TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('✅ Users table created/verified');
+        // Insert the stores and their opening stock if empty
+        const storeCount = await client.query('SELECT COUNT(*) FROM stores');
+        if (parseInt(storeCount.rows[0].count) === 0) {
+            await insertSampleStores(client);
+        } else {
+            await backfillStoreLocations(client);
+        }
+        const inventoryCount = await client.query('SELECT COUNT(*) FROM inventory');
+        if (parseInt(inventoryCount.rows[0].count) === 0) {
+            await insertSampleInventory(client);
+        } else if (newProductIds.length > 0) {
+            await insertSampleInventory(client, 50, newProductIds);
+        }
 
-        // Insert sample products if table is empty
-        const productCount = await client.query('SELECT COUNT(*) FROM products');
-        if (parseInt(productCount.rows[0].count) === 0) {
-            await insertSampleProducts(client);
+        const couponCount = await client.query('SELECT COUNT(*) FROM coupons');
+        if (parseInt(couponCount.rows[0].count) === 0) {
+            await insertSampleCoupons(client);
         }
 
         client.release();
@@ -73,34 +55,106 @@ const initDatabase = async () => {
     }
 };
 
-const insertSampleProducts = async (client) => {
-    const sampleProducts = [
-        // Fruits
-        { name: 'Fresh Apples', image: 'https://images.unsplash.com/photo-1579613832125-5d34a13ffe2a?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Fruits', variants: [{unit: '500 g', price: 75}, {unit: '1 kg', price: 150}] },
-        { name: 'Ripe Bananas', image: 'https://images.unsplash.com/photo-1528825871115-3581a5387919?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Fruits', variants: [{unit: '6 pcs', price: 30}, {unit: '1 dozen', price: 50}] },
-        { name: 'Mangoes', image: 'https://images.unsplash.com/photo-1553279768-865429fa0078?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Fruits', variants: [{unit: '500 g', price: 200}, {unit: '1 kg', price: 380}] },
-        
-        // Vegetables
-        { name: 'Tomatoes', image: 'https://cdn.zeptonow.com/production/tr:w-403,ar-1024-1024,pr-true,f-auto,q-80/cms/product_variant/04a3037a-04a3-47f3-9db4-23ae268177aa.jpeg', category: 'Vegetables', variants: [{unit: '250 g', price: 24}, {unit: '500 g', price: 42}] },
-        { name: 'Onion (Pyaz)', image: 'https://cdn.zeptonow.com/production/tr:w-403,ar-3000-3000,pr-true,f-auto,q-80/cms/product_variant/49dcc487-39ac-45a3-8ed6-654ff0afa825.jpeg', category: 'Vegetables', variants: [{unit: '500 g', price: 15}, {unit: '1 kg', price: 31}] },
-        { name: 'Carrots', image: 'https://cdn.zeptonow.com/production/tr:w-403,ar-3000-3000,pr-true,f-auto,q-80/cms/product_variant/0ee41064-38af-4d97-ba56-2b26ee7cc9f9.jpeg', category: 'Vegetables', variants: [{unit: '250 g', price: 15}, {unit: '500 g', price: 28}] },
-        
-        // Dairy
-        { name: 'Organic Milk', image: 'https://images.unsplash.com/photo-1559598467-f8b76c8155d0?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb&w=400', category: 'Dairy', variants: [{unit: '500 ml', price: 25}, {unit: '1 litre', price: 48}] },
-        { name: 'Eggs', image: 'https://cdn.zeptonow.com/production/tr:w-1280,ar-1200-1200,pr-true,f-auto,q-80/cms/product_variant/35241f67-e64e-4f15-8c9e-175186993049.jpeg', category: 'Dairy', variants: [{unit: '6 pack', price: 40}, {unit: '12 pack', price: 70}] },
-        { name: 'Cheddar Cheese', image: 'https://cdn.zeptonow.com/production/tr:w-1280,ar-1000-1000,pr-true,f-auto,q-80/cms/product_variant/19b40e18-47b0-40bb-806c-f8e9319f6f16.jpeg', category: 'Dairy', variants: [{unit: '100 g', price: 110}, {unit: '200 g', price: 200}] },
-        
-        // Bakery
-        { name: 'Whole Wheat Bread', image: 'https://cdn.zeptonow.com/production/tr:w-1280,ar-1200-1200,pr-true,f-auto,q-80/cms/product_variant/68de0f15-ba46-4a79-95ec-0e2a33ce9dcc.jpeg', category: 'Bakery', variants: [{unit: '1 loaf', price: 45}] }
+// Fill min_price/max_price for rows written before the columns existed
+const backfillProductPriceRange = async (client) => {
+    const result = await client.query(`
+        UPDATE products p SET min_price = r.min_price, max_price = r.max_price
+        FROM (
+            SELECT id, MIN((v->>'price')::numeric) AS min_price, MAX((v->>'price')::numeric) AS max_price
+            FROM products, jsonb_array_elements(variants) AS v
+            WHERE NOT COALESCE((v->>'archived')::boolean, FALSE)
+            GROUP BY id
+        ) r
+        WHERE p.id = r.id AND p.min_price IS NULL
+    `);
+    if (result.rowCount > 0) {
+        console.log(`✅ Price range filled in for ${result.rowCount} products`);
+    }
+};
+
+// The storefront prices and orders products by these ids, so they are kept
+// as they are; existing rows are left alone
+const insertCatalogProducts = async (client) => {
+    const inserted = [];
+    for (const product of fallbackProducts) {
+        const result = await client.query(
+            `INSERT INTO products (id, name, image, category, variants) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (id) DO NOTHING RETURNING id`,
+            [product.id, product.name, product.image, product.category, JSON.stringify(product.variants)]
+        );
+        if (result.rows.length > 0) {
+            inserted.push(product.id);
+            continue;
+        }
+        const existing = await client.query('SELECT name FROM products WHERE id = $1', [product.id]);
+        if (existing.rows[0].name !== product.name) {
+            console.warn(`⚠️ Product ${product.id} is "${existing.rows[0].name}" but the storefront sells "${product.name}" under that id`);
+        }
+    }
+    if (inserted.length > 0) {
+        // Products created later must not take a storefront id
+        await client.query(`SELECT setval(pg_get_serial_sequence('products', 'id'), (SELECT MAX(id) FROM products))`);
+        console.log(`✅ ${inserted.length} catalog products inserted`);
+    }
+    return inserted;
+};
+
+const insertSampleStores = async (client) => {
+    for (const store of fallbackStores) {
+        await client.query(
+            `INSERT INTO stores (name, address, area, city, latitude, longitude, delivery_radius_km,
+                                 avg_delivery_minutes, opens_at, closes_at, timezone, contact_number)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [store.name, store.address, store.area, store.city, store.latitude, store.longitude, store.delivery_radius_km,
+             store.avg_delivery_minutes, store.opens_at, store.closes_at, store.timezone, store.contact_number]
+        );
+    }
+    console.log('✅ Sample stores inserted');
+};
+
+// Stores created before locations were tracked only had a name
+const backfillStoreLocations = async (client) => {
+    for (const store of fallbackStores) {
+        await client.query(
+            `UPDATE stores SET address = $2, area = $3, city = $4, latitude = $5, longitude = $6
+             WHERE name = $1 AND latitude IS NULL`,
+            [store.name, store.address, store.area, store.city, store.latitude, store.longitude]
+        );
+    }
+};
+
+// Opening stock in every store, for all products or only the given ones
+const insertSampleInventory = async (client, openingStock = 50, productIds = null) => {
+    await client.query(
+        `INSERT INTO inventory (store_id, product_id, unit, quantity)
+         SELECT s.id, p.id, v->>'unit', $1
+         FROM stores s
+         CROSS JOIN products p
+         CROSS JOIN LATERAL jsonb_array_elements(p.variants) v
+         WHERE $2::int[] IS NULL OR p.id = ANY($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [openingStock, productIds]
+    );
+    console.log('✅ Sample inventory inserted');
+};
+
+const insertSampleCoupons = async (client) => {
+    const sampleCoupons = [
+        { code: 'WELCOME50', description: '₹50 off your first order over ₹199', type: 'flat', value: 50, minOrder: 199, firstOrderOnly: true },
+        { code: 'DAIRY10', description: '10% off dairy, up to ₹60', type: 'percent', value: 10, maxDiscount: 60, categories: ['Dairy'], perUserLimit: 3 },
+        { code: 'SAVE100', description: '₹100 off orders over ₹999', type: 'flat', value: 100, minOrder: 999, perUserLimit: 1 }
     ];
 
-    for (const product of sampleProducts) {
+    for (const coupon of sampleCoupons) {
         await client.query(
-            'INSERT INTO products (name, image, category, variants) VALUES ($1, $2, $3, $4)',
-            [product.name, product.image, product.category, JSON.stringify(product.variants)]
+            `INSERT INTO coupons (code, description, discount_type, discount_value, max_discount, min_order_value,
+                                  categories, first_order_only, per_user_limit)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [coupon.code, coupon.description, coupon.type, coupon.value, coupon.maxDiscount || null, coupon.minOrder || 0,
+             coupon.categories || null, coupon.firstOrderOnly || false, coupon.perUserLimit || null]
         );
     }
-    console.log('✅ Sample products inserted');
+    console.log('✅ Sample coupons inserted');
 };
 
 // Run initialization
@@ -0,0 +1,298 @@
+// Schema Migrations
+// Applies the numbered migrations in database/migrations and records them in
+// schema_migrations. Each migration exports up(client) and down(client) and
+// runs in its own transaction; an advisory lock keeps two runners (say, two
+// deploys) from migrating at the same time.
+//
+// Usage:
+//   node database/migrate.js up [--to 3]          Apply pending migrations (up to a version)
+//   node database/migrate.js down [--steps 1]     Roll back the latest migrations
+//   node database/migrate.js down --to 1          Roll back everything after a version
+//   node database/migrate.js status               Applied and pending migrations
+//   node database/migrate.js create add_user_phone
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const MIGRATION_TEMPLATE = `// {title}
+
+async function up(client) {
+    // await client.query('ALTER TABLE ...');
+}
+
+async function down(client) {
+    // Undo everything up() did
+}
+
+module.exports = { up, down };
+`;
+
+/**
+ * Read the migration files in version order
+ * @returns {Array<object>} - [{ version, name, file, checksum, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => MIGRATION_FILE.test(file))
+        .map(file => {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const fullPath = path.join(dir, file);
+            const migration = require(fullPath);
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up() function`);
+            }
+            return {
+                version: parseInt(version),
+                name,
+                file,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+        }
+    });
+    return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64),
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+/**
+ * Run work on one connection while holding the migrations lock
+ */
+async function withMigrationLock(pool, work) {
+    const client = await pool.connect();
+    try {
+        await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+        try {
+            await ensureMigrationsTable(client);
+            return await work(client);
+        } finally {
+            await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Run one migration step and its schema_migrations bookkeeping atomically
+ */
+async function runStep(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        if (direction === 'up') {
+            await migration.up(client);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+        } else {
+            await migration.down(client);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {object} options - { to } highest version to apply, { log }
+ * @returns {Promise<Array>} - Migrations that were applied
+ */
+async function migrate(pool, { to = null, log = console.log, dir = MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+        const pending = migrations.filter(migration =>
+            !applied.has(migration.version) && (to === null || migration.version <= to));
+
+        for (const migration of pending) {
+            await runStep(client, migration, 'up');
+            log(`✅ Applied ${migration.file}`);
+        }
+        return pending;
+    });
+}
+
+/**
+ * Roll back the latest migrations, newest first
+ * @param {object} options - { steps } how many to undo, or { to } the version to go back to; { log }
+ * @returns {Promise<Array>} - Migrations that were rolled back
+ */
+async function rollback(pool, { steps = 1, to = null, log = console.log, dir = MIGRATIONS_DIR } = {}) {
+    const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+    return withMigrationLock(pool, async (client) => {
+        const applied = (await getAppliedMigrations(client)).reverse();
+        const targets = to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+
+        const rolledBack = [];
+        for (const row of targets) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${migration.file} cannot be rolled back (no down() function)`);
+            }
+            await runStep(client, migration, 'down');
+            log(`↩️  Rolled back ${migration.file}`);
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+}
+
+/**
+ * Every known migration with whether it is applied; files edited after they
+ * were applied are flagged as changed
+ * @returns {Promise<Array>} - [{ version, name, applied, appliedAt, changed, missing }]
+ */
+async function getMigrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+        const status = migrations.map(migration => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: Boolean(row),
+                appliedAt: row ? row.applied_at : null,
+                changed: Boolean(row && row.checksum && row.checksum !== migration.checksum),
+                missing: false
+            };
+        });
+
+        // Applied on this database but no longer in the migrations folder
+        applied.forEach((row, version) => {
+            if (!migrations.some(migration => migration.version === version)) {
+                status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, changed: false, missing: true });
+            }
+        });
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+/**
+ * Write an empty migration with the next version number
+ * @returns {string} - Path of the new file
+ */
+function createMigration(name, dir = MIGRATIONS_DIR) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('A migration name is required, e.g. add_user_phone');
+    }
+
+    const versions = fs.readdirSync(dir)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(match => parseInt(match[1]));
+    const version = String(Math.max(0, ...versions) + 1).padStart(3, '0');
+
+    const file = path.join(dir, `${version}_${slug}.js`);
+    const title = `${version} ${slug.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}`;
+    fs.writeFileSync(file, MIGRATION_TEMPLATE.replace('{title}', title));
+    return file;
+}
+
+const readOption = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    if (index === -1) {
+        return null;
+    }
+    const value = parseInt(args[index + 1]);
+    if (isNaN(value) || value < 0) {
+        throw new Error(`--${name} needs a number`);
+    }
+    return value;
+};
+
+async function main(args) {
+    const [command = 'status', ...rest] = args;
+
+    if (command === 'create') {
+        console.log(`📝 Created ${path.relative(process.cwd(), createMigration(rest[0]))}`);
+        return;
+    }
+
+    const { Pool } = require('pg');
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(pool, { to: readOption(rest, 'to') });
+            console.log(applied.length > 0 ? `🎉 Applied ${applied.length} migration(s)` : '✅ Database schema is up to date');
+        } else if (command === 'down') {
+            const to = readOption(rest, 'to');
+            const steps = readOption(rest, 'steps');
+            const rolledBack = await rollback(pool, { to, steps: steps === null ? 1 : steps });
+            console.log(rolledBack.length > 0 ? `🎉 Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        } else if (command === 'status') {
+            const status = await getMigrationStatus(pool);
+            status.forEach(migration => {
+                const state = migration.missing ? 'applied, file missing'
+                    : migration.changed ? 'applied, file changed since'
+                    : migration.applied ? 'applied' : 'pending';
+                const when = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+                console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name}: ${state}${when}`);
+            });
+            console.log(`${status.filter(migration => !migration.applied).length} pending`);
+        } else {
+            throw new Error(`Unknown command "${command}" (use up, down, status or create)`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    require('dotenv').config({ path: '.env.local' });
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    migrate,
+    rollback,
+    getMigrationStatus,
+    createMigration
+};
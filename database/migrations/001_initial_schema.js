@@ -0,0 +1,236 @@
+// 001 Initial Schema
+// The schema as database/init.js left it before migrations existed. Every
+// statement is idempotent so databases created by the old init.js are brought
+// up to date instead of failing on tables that already exist.
+
+async function up(client) {
+    // Product catalog
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS products (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            image VARCHAR(500),
+            category VARCHAR(100),
+            variants JSONB NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        ALTER TABLE products
+            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS min_price DECIMAL(10,2),
+            ADD COLUMN IF NOT EXISTS max_price DECIMAL(10,2)
+    `);
+
+    // Indexes for /api/products search, filters and sort orders
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_category ON products (lower(category)) WHERE archived_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_price ON products (min_price, id) WHERE archived_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_name ON products (lower(name), id) WHERE archived_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_newest ON products (created_at DESC, id DESC) WHERE archived_at IS NULL');
+
+    // pg_trgm is optional; a savepoint keeps the migration going without it
+    await client.query('SAVEPOINT pg_trgm');
+    try {
+        await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (lower(name) gin_trgm_ops)');
+        await client.query('RELEASE SAVEPOINT pg_trgm');
+    } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT pg_trgm');
+        console.warn('⚠️ pg_trgm is not available, product name search will scan the table:', error.message);
+    }
+
+    // Stores (the warehouses orders are picked from)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS stores (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            address TEXT,
+            area VARCHAR(255),
+            city VARCHAR(100),
+            latitude DECIMAL(9,6),
+            longitude DECIMAL(9,6),
+            delivery_radius_km DECIMAL(5,2) DEFAULT 5,
+            avg_delivery_minutes INTEGER DEFAULT 12,
+            opens_at TIME DEFAULT '06:00',
+            closes_at TIME DEFAULT '23:00',
+            timezone VARCHAR(50) DEFAULT 'Asia/Kolkata',
+            contact_number VARCHAR(20),
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        ALTER TABLE stores
+            ADD COLUMN IF NOT EXISTS address TEXT,
+            ADD COLUMN IF NOT EXISTS area VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6),
+            ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6),
+            ADD COLUMN IF NOT EXISTS delivery_radius_km DECIMAL(5,2) DEFAULT 5,
+            ADD COLUMN IF NOT EXISTS avg_delivery_minutes INTEGER DEFAULT 12,
+            ADD COLUMN IF NOT EXISTS opens_at TIME DEFAULT '06:00',
+            ADD COLUMN IF NOT EXISTS closes_at TIME DEFAULT '23:00',
+            ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) DEFAULT 'Asia/Kolkata',
+            ADD COLUMN IF NOT EXISTS contact_number VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE
+    `);
+
+    // Orders
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS orders (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(100) NOT NULL,
+            items JSONB NOT NULL,
+            total_amount DECIMAL(10,2) NOT NULL,
+            status VARCHAR(50) DEFAULT 'pending',
+            payment_method VARCHAR(50) DEFAULT 'COD',
+            payment_id VARCHAR(100),
+            delivery_address JSONB,
+            price_breakdown JSONB,
+            store_id INTEGER REFERENCES stores(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS price_breakdown JSONB');
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS store_id INTEGER REFERENCES stores(id)');
+    // Store order queues (/api/admin?action=orders)
+    await client.query('CREATE INDEX IF NOT EXISTS idx_orders_store_status ON orders (store_id, status, created_at DESC)');
+
+    // Stock per store and product variant
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS inventory (
+            store_id INTEGER NOT NULL REFERENCES stores(id),
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            unit VARCHAR(50) NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+            reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0 AND reserved <= quantity),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (store_id, product_id, unit)
+        )
+    `);
+
+    // Stock held for an order until it ships or is released
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            store_id INTEGER NOT NULL REFERENCES stores(id),
+            product_id INTEGER NOT NULL,
+            unit VARCHAR(50) NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            status VARCHAR(20) DEFAULT 'reserved',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations (order_id)');
+
+    // Order status audit trail
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            from_status VARCHAR(50),
+            to_status VARCHAR(50) NOT NULL,
+            changed_by VARCHAR(100),
+            note TEXT,
+            changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history (order_id, changed_at)');
+
+    // Signature-verified Razorpay payments
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS razorpay_payments (
+            id SERIAL PRIMARY KEY,
+            razorpay_payment_id VARCHAR(100) UNIQUE NOT NULL,
+            razorpay_order_id VARCHAR(100) NOT NULL,
+            order_id INTEGER REFERENCES orders(id),
+            signature VARCHAR(128),
+            amount DECIMAL(10,2),
+            source VARCHAR(20) DEFAULT 'checkout',
+            verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Every attempt made through /api/payment
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id SERIAL PRIMARY KEY,
+            transaction_id VARCHAR(50) UNIQUE NOT NULL,
+            order_reference VARCHAR(100),
+            order_id INTEGER REFERENCES orders(id),
+            amount DECIMAL(10,2) NOT NULL,
+            payment_method VARCHAR(50) NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            customer_email VARCHAR(255),
+            customer_phone VARCHAR(50),
+            gateway_response JSONB,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_order ON payments (order_id)');
+
+    // Full and partial refunds
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id SERIAL PRIMARY KEY,
+            refund_id VARCHAR(50) UNIQUE NOT NULL,
+            transaction_id VARCHAR(50) NOT NULL REFERENCES payments(transaction_id),
+            order_id INTEGER REFERENCES orders(id),
+            amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+            items JSONB DEFAULT '[]',
+            reason TEXT NOT NULL,
+            initiated_by VARCHAR(100),
+            status VARCHAR(20) DEFAULT 'processed',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_refunds_transaction ON refunds (transaction_id)');
+
+    // Stored responses for retried POSTs
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            scope VARCHAR(150) NOT NULL,
+            idempotency_key VARCHAR(255) NOT NULL,
+            request_hash VARCHAR(64) NOT NULL,
+            status_code INTEGER,
+            response_body JSONB,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            PRIMARY KEY (scope, idempotency_key)
+        )
+    `);
+    await client.query('ALTER TABLE idempotency_keys ALTER COLUMN scope TYPE VARCHAR(150)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at)');
+
+    // User profiles and roles
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(100) UNIQUE NOT NULL,
+            name VARCHAR(255),
+            email VARCHAR(255),
+            address TEXT,
+            role VARCHAR(20) NOT NULL DEFAULT 'customer',
+            store_id INTEGER REFERENCES stores(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'customer',
+            ADD COLUMN IF NOT EXISTS store_id INTEGER REFERENCES stores(id)
+    `);
+}
+
+async function down(client) {
+    // Dependent tables first
+    await client.query(`
+        DROP TABLE IF EXISTS users, idempotency_keys, refunds, payments, razorpay_payments,
+            order_status_history, stock_reservations, inventory, orders, stores, products
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+// 002 Addresses
+// Several saved addresses per user (replacing the single users.address text)
+// and the address an order was placed for. Existing profile addresses are
+// copied over as each user's default "Home" address.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE addresses (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(100) NOT NULL,
+            label VARCHAR(50) NOT NULL DEFAULT 'Home',
+            flat VARCHAR(100),
+            street VARCHAR(255) NOT NULL,
+            landmark VARCHAR(255),
+            area VARCHAR(255),
+            city VARCHAR(100),
+            state VARCHAR(100),
+            pincode VARCHAR(10),
+            phone VARCHAR(20),
+            latitude DECIMAL(9,6),
+            longitude DECIMAL(9,6),
+            accuracy_m INTEGER,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            deleted_at TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX idx_addresses_user ON addresses (user_id) WHERE deleted_at IS NULL');
+    // At most one default address per user
+    await client.query('CREATE UNIQUE INDEX idx_addresses_default ON addresses (user_id) WHERE is_default AND deleted_at IS NULL');
+
+    await client.query('ALTER TABLE orders ADD COLUMN address_id INTEGER REFERENCES addresses(id)');
+
+    await client.query(`
+        INSERT INTO addresses (user_id, label, street, is_default)
+        SELECT user_id, 'Home', left(trim(address), 255), TRUE
+        FROM users
+        WHERE trim(COALESCE(address, '')) <> ''
+    `);
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE orders DROP COLUMN address_id');
+    await client.query('DROP TABLE addresses');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// 003 Carts
+// A signed-in user's cart on the server, one row per product variant. Carts
+// expire when they have not been touched for CART_TTL_DAYS.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE carts (
+            user_id VARCHAR(100) PRIMARY KEY,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL
+        )
+    `);
+    await client.query('CREATE INDEX idx_carts_expires ON carts (expires_at)');
+
+    // price is the catalog price when the line was last written, so a read can
+    // tell the user what changed since
+    await client.query(`
+        CREATE TABLE cart_items (
+            user_id VARCHAR(100) NOT NULL REFERENCES carts(user_id) ON DELETE CASCADE,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            unit VARCHAR(50) NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            price DECIMAL(10,2) NOT NULL,
+            added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, product_id, unit)
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS cart_items, carts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// 004 Coupons
+// Coupon codes and their rules, and the coupon an order was placed with.
+// Usage limits are counted from the orders themselves, so a cancelled order
+// gives its use back.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE coupons (
+            id SERIAL PRIMARY KEY,
+            code VARCHAR(40) UNIQUE NOT NULL,
+            description TEXT,
+            discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('flat', 'percent')),
+            discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+            max_discount DECIMAL(10,2),
+            min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+            categories TEXT[],
+            first_order_only BOOLEAN NOT NULL DEFAULT FALSE,
+            per_user_limit INTEGER CHECK (per_user_limit > 0),
+            usage_limit INTEGER CHECK (usage_limit > 0),
+            starts_at TIMESTAMP,
+            ends_at TIMESTAMP,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (discount_type = 'flat' OR discount_value <= 100),
+            CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+        )
+    `);
+
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN coupon_id INTEGER REFERENCES coupons(id),
+            ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+    `);
+    await client.query('CREATE INDEX idx_orders_coupon_user ON orders (coupon_id, user_id) WHERE coupon_id IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE orders DROP COLUMN IF EXISTS coupon_id, DROP COLUMN IF EXISTS discount_amount');
+    await client.query('DROP TABLE IF EXISTS coupons');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// 005 Delivery Slots
+// Instant or scheduled delivery per order, and how many scheduled orders a
+// store takes per slot. Bookings are counted from the orders themselves.
+
+async function up(client) {
+    await client.query('ALTER TABLE stores ADD COLUMN slot_capacity INTEGER NOT NULL DEFAULT 20 CHECK (slot_capacity > 0)');
+
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN delivery_type VARCHAR(20) NOT NULL DEFAULT 'instant',
+            ADD COLUMN delivery_slot_start TIMESTAMP,
+            ADD COLUMN delivery_slot_end TIMESTAMP
+    `);
+    await client.query(`
+        CREATE INDEX idx_orders_store_slot ON orders (store_id, delivery_slot_start)
+        WHERE delivery_slot_start IS NOT NULL
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS delivery_type,
+            DROP COLUMN IF EXISTS delivery_slot_start,
+            DROP COLUMN IF EXISTS delivery_slot_end
+    `);
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS slot_capacity');
+}
+
+module.exports = { up, down };
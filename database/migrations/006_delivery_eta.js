@@ -0,0 +1,26 @@
+// 006 Delivery ETA
+// The delivery window promised for each order, recalculated on every status
+// change, and how many riders a store has on duty to carry orders out.
+
+async function up(client) {
+    await client.query('ALTER TABLE stores ADD COLUMN riders_on_duty INTEGER NOT NULL DEFAULT 4 CHECK (riders_on_duty >= 0)');
+
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN eta_earliest TIMESTAMP,
+            ADD COLUMN eta_latest TIMESTAMP,
+            ADD COLUMN eta_updated_at TIMESTAMP
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS eta_earliest,
+            DROP COLUMN IF EXISTS eta_latest,
+            DROP COLUMN IF EXISTS eta_updated_at
+    `);
+    await client.query('ALTER TABLE stores DROP COLUMN IF EXISTS riders_on_duty');
+}
+
+module.exports = { up, down };
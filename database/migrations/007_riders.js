@@ -0,0 +1,51 @@
+// 007 Riders
+// Delivery riders, their shifts and the rider each order is assigned to.
+// A rider is busy while an order assigned to them is packed or out for
+// delivery; last_* is where they were last seen, used to pick the nearest.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE riders (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(100) UNIQUE NOT NULL REFERENCES users(user_id),
+            name VARCHAR(100) NOT NULL,
+            phone VARCHAR(20),
+            store_id INTEGER NOT NULL REFERENCES stores(id),
+            shift_status VARCHAR(20) NOT NULL DEFAULT 'off_shift'
+                CHECK (shift_status IN ('off_shift', 'on_shift', 'on_break')),
+            last_latitude DECIMAL(9,6),
+            last_longitude DECIMAL(9,6),
+            last_seen_at TIMESTAMP,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX idx_riders_store_shift ON riders (store_id, shift_status) WHERE is_active');
+
+    // One row per shift; ended_at is NULL while it is running
+    await client.query(`
+        CREATE TABLE rider_shifts (
+            id SERIAL PRIMARY KEY,
+            rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+            started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ended_at TIMESTAMP
+        )
+    `);
+    await client.query('CREATE UNIQUE INDEX idx_rider_shifts_open ON rider_shifts (rider_id) WHERE ended_at IS NULL');
+
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN rider_id INTEGER REFERENCES riders(id),
+            ADD COLUMN rider_assigned_at TIMESTAMP
+    `);
+    await client.query('CREATE INDEX idx_orders_rider_status ON orders (rider_id, status) WHERE rider_id IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE orders DROP COLUMN IF EXISTS rider_id, DROP COLUMN IF EXISTS rider_assigned_at');
+    await client.query('DROP TABLE IF EXISTS rider_shifts');
+    await client.query('DROP TABLE IF EXISTS riders');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// 008 Rider Locations
+// Location pings from riders on a delivery: the breadcrumb trail of each
+// order. recorded_at is when the phone took the fix, received_at when it
+// reached the server.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE rider_locations (
+            id BIGSERIAL PRIMARY KEY,
+            rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            latitude DECIMAL(9,6) NOT NULL,
+            longitude DECIMAL(9,6) NOT NULL,
+            accuracy_m INTEGER NOT NULL,
+            speed_kmh DECIMAL(5,1),
+            heading SMALLINT,
+            recorded_at TIMESTAMP NOT NULL,
+            received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX idx_rider_locations_order ON rider_locations (order_id, recorded_at)');
+
+    await client.query('ALTER TABLE riders ADD COLUMN last_accuracy_m INTEGER');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE riders DROP COLUMN IF EXISTS last_accuracy_m');
+    await client.query('DROP TABLE IF EXISTS rider_locations');
+}
+
+module.exports = { up, down };
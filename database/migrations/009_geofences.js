@@ -0,0 +1,26 @@
+// 009 Geofences
+// Geofence events on orders: when the rider came within reach of the address,
+// and how far from it they were when the order was marked delivered
+// (delivery_flagged when that was too far to be believable).
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN rider_nearby_at TIMESTAMP,
+            ADD COLUMN delivered_distance_m INTEGER,
+            ADD COLUMN delivery_flagged BOOLEAN NOT NULL DEFAULT false
+    `);
+    await client.query('CREATE INDEX idx_orders_delivery_flagged ON orders (store_id) WHERE delivery_flagged');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_orders_delivery_flagged');
+    await client.query(`
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS delivery_flagged,
+            DROP COLUMN IF EXISTS delivered_distance_m,
+            DROP COLUMN IF EXISTS rider_nearby_at
+    `);
+}
+
+module.exports = { up, down };
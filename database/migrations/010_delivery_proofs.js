@@ -0,0 +1,42 @@
+// 010 Delivery Proofs
+// The OTP a customer gives the rider at the door, with the number of wrong
+// tries, and the photos and signatures riders take when they hand an order over
+// (files are stored on disk; the rows link them to the order).
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN delivery_otp VARCHAR(6),
+            ADD COLUMN delivery_otp_attempts INTEGER NOT NULL DEFAULT 0
+    `);
+    // Orders still on their way get an OTP too
+    await client.query(`
+        UPDATE orders SET delivery_otp = LPAD(FLOOR(RANDOM() * 10000)::int::text, 4, '0')
+        WHERE status IN ('pending', 'confirmed', 'packed', 'out_for_delivery')
+    `);
+
+    await client.query(`
+        CREATE TABLE delivery_proofs (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            kind VARCHAR(20) NOT NULL CHECK (kind IN ('photo', 'signature')),
+            file_name VARCHAR(255) NOT NULL,
+            content_type VARCHAR(50) NOT NULL,
+            size_bytes INTEGER NOT NULL,
+            uploaded_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX idx_delivery_proofs_order ON delivery_proofs (order_id)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS delivery_proofs');
+    await client.query(`
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS delivery_otp_attempts,
+            DROP COLUMN IF EXISTS delivery_otp
+    `);
+}
+
+module.exports = { up, down };
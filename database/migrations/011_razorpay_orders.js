@@ -0,0 +1,16 @@
+// 011 Razorpay Orders
+// The gateway order created for each of our orders, so a signed checkout
+// response or webhook is matched to the order it was created for rather than
+// to an order ID sent by the browser.
+
+async function up(client) {
+    await client.query('ALTER TABLE orders ADD COLUMN razorpay_order_id VARCHAR(100)');
+    await client.query('CREATE UNIQUE INDEX idx_orders_razorpay_order ON orders (razorpay_order_id) WHERE razorpay_order_id IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_orders_razorpay_order');
+    await client.query('ALTER TABLE orders DROP COLUMN IF EXISTS razorpay_order_id');
+}
+
+module.exports = { up, down };
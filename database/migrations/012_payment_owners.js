@@ -0,0 +1,15 @@
+// 012 Payment Owners
+// The signed-in user who made each payment through /api/payment, so a payment
+// only ever confirms an order placed by the same user.
+
+async function up(client) {
+    await client.query('ALTER TABLE payments ADD COLUMN user_id VARCHAR(100)');
+    await client.query('CREATE INDEX idx_payments_user ON payments (user_id)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_payments_user');
+    await client.query('ALTER TABLE payments DROP COLUMN IF EXISTS user_id');
+}
+
+module.exports = { up, down };
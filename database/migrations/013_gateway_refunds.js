@@ -0,0 +1,29 @@
+// 013 Gateway Refunds
+// Refunds of Razorpay payments, which are issued through Razorpay and point at
+// razorpay_payments instead of payments. Each refund belongs to exactly one of
+// the two.
+
+async function up(client) {
+    await client.query('ALTER TABLE refunds ALTER COLUMN transaction_id DROP NOT NULL');
+    await client.query(`
+        ALTER TABLE refunds
+            ADD COLUMN razorpay_payment_id VARCHAR(100) REFERENCES razorpay_payments(razorpay_payment_id),
+            ADD COLUMN gateway_refund_id VARCHAR(100),
+            ADD CONSTRAINT refunds_one_payment CHECK ((transaction_id IS NULL) <> (razorpay_payment_id IS NULL))
+    `);
+    await client.query('CREATE INDEX idx_refunds_razorpay_payment ON refunds (razorpay_payment_id)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_refunds_razorpay_payment');
+    await client.query('DELETE FROM refunds WHERE transaction_id IS NULL');
+    await client.query(`
+        ALTER TABLE refunds
+            DROP CONSTRAINT IF EXISTS refunds_one_payment,
+            DROP COLUMN IF EXISTS gateway_refund_id,
+            DROP COLUMN IF EXISTS razorpay_payment_id
+    `);
+    await client.query('ALTER TABLE refunds ALTER COLUMN transaction_id SET NOT NULL');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// 014 Unapplied Gateway Payments
+// Why a captured Razorpay payment was not applied to its order (the order was
+// cancelled, already paid, or for another amount), so the payment can be found
+// and refunded instead of being lost.
+
+async function up(client) {
+    await client.query('ALTER TABLE razorpay_payments ADD COLUMN unapplied_reason VARCHAR(30)');
+    await client.query('CREATE INDEX idx_razorpay_payments_unapplied ON razorpay_payments (verified_at) WHERE unapplied_reason IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_razorpay_payments_unapplied');
+    await client.query('ALTER TABLE razorpay_payments DROP COLUMN IF EXISTS unapplied_reason');
+}
+
+module.exports = { up, down };
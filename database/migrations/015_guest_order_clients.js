@@ -0,0 +1,16 @@
+// 015 Guest Order Clients
+// The address a guest order was placed from. Every guest shares one user ID, so
+// this is what limits how many orders (and how much reserved stock) one client
+// can place without signing in.
+
+async function up(client) {
+    await client.query('ALTER TABLE orders ADD COLUMN guest_client VARCHAR(64)');
+    await client.query('CREATE INDEX idx_orders_guest_client ON orders (guest_client, created_at) WHERE guest_client IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_orders_guest_client');
+    await client.query('ALTER TABLE orders DROP COLUMN IF EXISTS guest_client');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+/**
+ * API Authentication Helper
+ * Adds the signed-in user's Clerk session token to API requests
+ */
+
+// Load Clerk on pages that have not initialized it themselves
+async function getClerk() {
+    if (!window.Clerk) return null;
+    if (!window.Clerk.loaded) {
+        try {
+            const response = await fetch('/api/config');
+            const config = await response.json();
+            if (!config.CLERK_PUBLISHABLE_KEY) return null;
+            await window.Clerk.load({ publishableKey: config.CLERK_PUBLISHABLE_KEY });
+        } catch (error) {
+            console.error('Error loading Clerk:', error);
+            return null;
+        }
+    }
+    return window.Clerk;
+}
+
+// Authorization header for API calls; empty when nobody is signed in
+async function getAuthHeaders() {
+    const clerk = await getClerk();
+    if (!clerk || !clerk.session) return {};
+
+    const token = await clerk.session.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
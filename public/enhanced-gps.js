@@ -14,24 +14,8 @@ class EnhancedGPS {
         this.retryAttempts = 3;
         this.isTracking = false;
         
-        // Geocoding APIs with fallbacks
-        this.geocodingAPIs = [
-            {
-                name: 'Nominatim',
-                url: (lat, lng) => `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`,
-                parse: (data) => this.parseNominatim(data)
-            },
-            {
-                name: 'OpenCage',
-                url: (lat, lng) => `https://api.opencagedata.com/geocode/v1/json?q=${lat}+${lng}&key=free&limit=1`,
-                parse: (data) => this.parseOpenCage(data)
-            },
-            {
-                name: 'BigDataCloud',
-                url: (lat, lng) => `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lng}&localityLanguage=en`,
-                parse: (data) => this.parseBigDataCloud(data)
-            }
-        ];
+        // Addresses come from our server, which picks the geocoding provider
+        this.geocodeEndpoint = '/api/geocode';
     }
 
     /**
@@ -301,118 +285,32 @@ class EnhancedGPS {
     }
 
     /**
-     * Get address from coordinates with multiple API fallbacks
+     * Get address from coordinates through the server's geocoding proxy
      */
-    async getAddressFromCoordinates(lat, lng, retryCount = 0) {
-        const api = this.geocodingAPIs[retryCount];
-        
-        if (!api) {
-            throw new Error('All geocoding APIs failed');
-        }
+    async getAddressFromCoordinates(lat, lng) {
+        const response = await fetch(`${this.geocodeEndpoint}?lat=${lat}&lng=${lng}`);
+        const data = await response.json().catch(() => ({}));
 
-        try {
-            console.log(`🗺️ Trying ${api.name} API...`);
-            
-            const response = await fetch(api.url(lat, lng), {
-                headers: {
-                    'User-Agent': 'FoodDeliveryApp/1.0'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-            const parsed = api.parse(data);
-            
-            if (parsed && parsed.formattedAddress) {
-                console.log(`✅ ${api.name} success:`, parsed);
-                return parsed;
-            }
-            
-            throw new Error('Invalid response format');
-
-        } catch (error) {
-            console.warn(`❌ ${api.name} failed:`, error.message);
-            
-            // Try next API
-            if (retryCount < this.geocodingAPIs.length - 1) {
-                await this.sleep(500); // Small delay between attempts
-                return this.getAddressFromCoordinates(lat, lng, retryCount + 1);
-            }
-            
-            throw new Error('All geocoding services failed');
-        }
-    }
-
-    /**
-     * Parse Nominatim response
-     */
-    parseNominatim(data) {
-        if (!data || !data.address) {
-            throw new Error('Invalid Nominatim response');
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
         }
 
-        const addr = data.address;
-        return {
-            formattedAddress: data.display_name,
-            street: addr.road || addr.pedestrian || addr.footway || '',
-            area: addr.suburb || addr.neighbourhood || addr.residential || '',
-            city: addr.city || addr.town || addr.village || addr.municipality || '',
-            state: addr.state || addr.state_district || '',
-            country: addr.country || '',
-            pincode: addr.postcode || '',
-            landmark: addr.amenity || addr.building || ''
-        };
+        console.log(`✅ Address from ${data.provider}${data.cached ? ' (cached)' : ''}:`, data.address);
+        return data.address;
     }
 
     /**
-     * Parse OpenCage response
+     * Search addresses and localities by text
+     * @returns {Promise<Array>} Matches, best first
      */
-    parseOpenCage(data) {
-        if (!data || !data.results || data.results.length === 0) {
-            throw new Error('Invalid OpenCage response');
-        }
-
-        const result = data.results[0];
-        const comp = result.components;
-        
-        return {
-            formattedAddress: result.formatted,
-            street: comp.road || comp.street || '',
-            area: comp.suburb || comp.neighbourhood || '',
-            city: comp.city || comp.town || comp.village || '',
-            state: comp.state || comp.state_district || '',
-            country: comp.country || '',
-            pincode: comp.postcode || '',
-            landmark: comp.building || comp.amenity || ''
-        };
-    }
+    async searchAddress(query, limit = 5) {
+        const response = await fetch(`${this.geocodeEndpoint}?q=${encodeURIComponent(query)}&limit=${limit}`);
+        const data = await response.json().catch(() => ({}));
 
-    /**
-     * Parse BigDataCloud response
-     */
-    parseBigDataCloud(data) {
-        if (!data) {
-            throw new Error('Invalid BigDataCloud response');
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
         }
-
-        return {
-            formattedAddress: [
-                data.locality,
-                data.city,
-                data.principalSubdivision,
-                data.countryName
-            ].filter(Boolean).join(', '),
-            street: data.localityInfo?.administrative?.[5]?.name || '',
-            area: data.locality || '',
-            city: data.city || '',
-            state: data.principalSubdivision || '',
-            country: data.countryName || '',
-            pincode: data.postcode || '',
-            landmark: ''
-        };
+        return data.results;
     }
 
     /**
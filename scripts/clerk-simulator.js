@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Local Clerk Stand-in
+// Publishes a JWKS and mints RS256 session tokens shaped like Clerk's so the
+// authenticated API can be exercised without a Clerk instance.
+//
+// Usage:
+//   node scripts/clerk-simulator.js
+//   CLERK_JWKS_URL=http://localhost:4020/.well-known/jwks.json node local-server.js
+//
+// Endpoints:
+//   GET  /.well-known/jwks.json      Public signing key (what the API verifies against)
+//   GET  /public-key                 Same key as PEM, for CLERK_JWT_KEY
+//   POST /tokens                     Mint a token: { userId, role? (public metadata), expiresIn? (seconds) }
+
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config({ path: '.env.local' });
+
+const PORT = process.env.CLERK_SIMULATOR_PORT || 4020;
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a session token with the simulator key
+ * @param {object} signer - { privateKey, kid }
+ * @param {object} claims - JWT claims (sub, exp, ...)
+ */
+function signSessionToken({ privateKey, kid }, claims) {
+    const header = base64url({ alg: 'RS256', typ: 'JWT', kid });
+    const payload = base64url(claims);
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Build the simulator Express app with a fresh signing key
+ * @param {object} options - { issuer, azp }
+ */
+function createSimulatorApp(options = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const signer = { privateKey, kid: `ins_local_${crypto.randomBytes(6).toString('hex')}` };
+    const issuer = options.issuer || `http://localhost:${PORT}`;
+    const azp = options.azp || 'http://localhost:3000';
+
+    const app = express();
+    app.use(express.json());
+
+    app.get('/.well-known/jwks.json', (req, res) => {
+        const jwk = publicKey.export({ format: 'jwk' });
+        res.json({ keys: [{ ...jwk, kid: signer.kid, alg: 'RS256', use: 'sig' }] });
+    });
+
+    app.get('/public-key', (req, res) => {
+        res.type('text/plain').send(publicKey.export({ type: 'spki', format: 'pem' }));
+    });
+
+    app.post('/tokens', (req, res) => {
+        const { userId, role, expiresIn = 3600 } = req.body;
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+            sub: userId,
+            sid: `sess_${crypto.randomBytes(8).toString('hex')}`,
+            iss: issuer,
+            azp,
+            iat: now,
+            nbf: now,
+            exp: now + Number(expiresIn),
+            ...(role && { public_metadata: { role } })
+        };
+        res.json({ token: signSessionToken(signer, claims), claims });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    createSimulatorApp().listen(PORT, () => {
+        console.log(`🔐 Clerk simulator running on http://localhost:${PORT}`);
+        console.log(`🔑 JWKS: http://localhost:${PORT}/.well-known/jwks.json`);
+    });
+}
+
+module.exports = { createSimulatorApp, signSessionToken };
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+// Local Razorpay Stand-in
+// Implements the parts of the Razorpay API our payment flow uses so the
+// create order → pay → verify → webhook flow can be exercised offline.
+//
+// Usage:
+//   RAZORPAY_KEY_ID=rzp_test_local RAZORPAY_KEY_SECRET=secret \
+//   RAZORPAY_WEBHOOK_SECRET=whsecret \
+//   RAZORPAY_WEBHOOK_URL=http://localhost:3000/api/razorpay-webhook \
+//   node scripts/razorpay-simulator.js
+//
+// Endpoints:
+//   POST /v1/orders                  Create an order (Basic auth key_id:key_secret)
+//   GET  /v1/orders/:id              Fetch an order
+//   POST /v1/orders/:id/pay          Simulate checkout; returns the signed handler response
+//   GET  /v1/payments/:id            Fetch a payment
+//   POST /v1/payments/:id/refund     Refund part or all of a captured payment; a refund resent
+//                                    with the same X-Refund-Idempotency key (or receipt) is returned again
+//   POST /v1/payments/:id/webhook    Re-deliver the payment.captured (or payment.failed) webhook
+
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config({ path: '.env.local' });
+
+const { getRazorpayConfig, generatePaymentSignature, hmacSha256 } = require('../utils/razorpay');
+
+const PORT = process.env.RAZORPAY_SIMULATOR_PORT || 4010;
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(7).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 14)}`;
+}
+
+/**
+ * Build the simulator Express app
+ * @param {object} options - { keyId, keySecret, webhookSecret, webhookUrl }
+ */
+function createSimulatorApp(options = {}) {
+    const config = { ...getRazorpayConfig(), webhookUrl: process.env.RAZORPAY_WEBHOOK_URL || '', ...options };
+    const orders = new Map();
+    const payments = new Map();
+    const refunds = new Map();
+
+    const app = express();
+    app.use(express.json());
+
+    // Same Basic auth scheme as the real API
+    const requireAuth = (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const [keyId, keySecret] = Buffer.from(header.replace(/^Basic /, ''), 'base64').toString().split(':');
+        if (keyId !== config.keyId || keySecret !== config.keySecret) {
+            return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+        }
+        next();
+    };
+
+    const sendWebhook = async (payment) => {
+        if (!config.webhookUrl) return { delivered: false, reason: 'RAZORPAY_WEBHOOK_URL not set' };
+
+        const body = JSON.stringify({
+            entity: 'event',
+            event: payment.status === 'failed' ? 'payment.failed' : 'payment.captured',
+            contains: ['payment'],
+            payload: { payment: { entity: payment } },
+            created_at: Math.floor(Date.now() / 1000)
+        });
+
+        try {
+            const response = await fetch(config.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Razorpay-Signature': hmacSha256(body, config.webhookSecret)
+                },
+                body
+            });
+            return { delivered: response.ok, status: response.status };
+        } catch (error) {
+            console.error('Webhook delivery failed:', error.message);
+            return { delivered: false, reason: error.message };
+        }
+    };
+
+    app.post('/v1/orders', requireAuth, (req, res) => {
+        const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+
+        if (!Number.isInteger(amount) || amount < 100) {
+            return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be at least INR 1.00' } });
+        }
+
+        const order = {
+            id: randomId('order'),
+            entity: 'order',
+            amount,
+            amount_paid: 0,
+            amount_due: amount,
+            currency,
+            receipt: receipt || null,
+            status: 'created',
+            attempts: 0,
+            notes,
+            created_at: Math.floor(Date.now() / 1000)
+        };
+        orders.set(order.id, order);
+        res.json(order);
+    });
+
+    app.get('/v1/orders/:id', requireAuth, (req, res) => {
+        const order = orders.get(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+        res.json(order);
+    });
+
+    // Stand-in for the checkout popup: pays the order and signs the result
+    app.post('/v1/orders/:id/pay', async (req, res) => {
+        const order = orders.get(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+
+        const { method = 'upi', fail = false } = req.body;
+        order.attempts++;
+
+        const payment = {
+            id: randomId('pay'),
+            entity: 'payment',
+            amount: order.amount,
+            currency: order.currency,
+            status: fail ? 'failed' : 'captured',
+            order_id: order.id,
+            method,
+            captured: !fail,
+            notes: order.notes,
+            created_at: Math.floor(Date.now() / 1000)
+        };
+        payments.set(payment.id, payment);
+
+        if (fail) {
+            await sendWebhook(payment);
+            return res.status(400).json({
+                error: { code: 'BAD_REQUEST_ERROR', description: 'Payment failed', metadata: { payment_id: payment.id, order_id: order.id } }
+            });
+        }
+
+        order.status = 'paid';
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+
+        const webhook = await sendWebhook(payment);
+
+        res.json({
+            razorpay_payment_id: payment.id,
+            razorpay_order_id: order.id,
+            razorpay_signature: generatePaymentSignature(order.id, payment.id, config.keySecret),
+            webhook
+        });
+    });
+
+    app.get('/v1/payments/:id', requireAuth, (req, res) => {
+        const payment = payments.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+        res.json(payment);
+    });
+
+    app.post('/v1/payments/:id/refund', requireAuth, (req, res) => {
+        const payment = payments.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+
+        const idempotencyKey = req.get('X-Refund-Idempotency') || req.body.receipt;
+        const seen = idempotencyKey && refunds.get(`${payment.id}|${idempotencyKey}`);
+        if (seen) {
+            return res.json(seen);
+        }
+
+        const amount = req.body.amount === undefined ? payment.amount - (payment.amount_refunded || 0) : Number(req.body.amount);
+        if (payment.status === 'failed' || !Number.isInteger(amount) || amount <= 0 ||
+            amount > payment.amount - (payment.amount_refunded || 0)) {
+            return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount provided is greater than amount captured' } });
+        }
+
+        payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+        payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+        if (payment.amount_refunded === payment.amount) {
+            payment.status = 'refunded';
+        }
+
+        const refund = {
+            id: randomId('rfnd'),
+            entity: 'refund',
+            amount,
+            currency: payment.currency,
+            payment_id: payment.id,
+            receipt: req.body.receipt || null,
+            notes: req.body.notes || {},
+            status: 'processed',
+            created_at: Math.floor(Date.now() / 1000)
+        };
+        if (idempotencyKey) {
+            refunds.set(`${payment.id}|${idempotencyKey}`, refund);
+        }
+        res.json(refund);
+    });
+
+    app.post('/v1/payments/:id/webhook', async (req, res) => {
+        const payment = payments.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+        }
+        res.json(await sendWebhook(payment));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const config = getRazorpayConfig();
+    if (!config.keyId || !config.keySecret) {
+        console.error('❌ RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+        process.exit(1);
+    }
+
+    createSimulatorApp().listen(PORT, () => {
+        console.log(`💳 Razorpay simulator running on http://localhost:${PORT}`);
+        console.log(`🔑 Key ID: ${config.keyId}`);
+        console.log(`📬 Webhook URL: ${process.env.RAZORPAY_WEBHOOK_URL || 'not set (webhooks disabled)'}`);
+    });
+}
+
+module.exports = { createSimulatorApp };
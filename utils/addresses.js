@@ -0,0 +1,300 @@
+// Saved Addresses
+// A user's delivery addresses with labels, a default flag and the coordinates
+// picked on the map. Deleted addresses are only hidden because past orders
+// still point at them.
+
+const { parseCoordinates } = require('./geo');
+
+const MAX_ADDRESSES = 20;
+
+// Field → maximum length; street is the only required text field
+const TEXT_FIELDS = {
+    label: 50,
+    flat: 100,
+    street: 255,
+    landmark: 255,
+    area: 255,
+    city: 100,
+    state: 100,
+    pincode: 10,
+    phone: 20
+};
+
+/**
+ * Raised when an address is invalid or does not exist
+ */
+class AddressError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'AddressError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Validate a create (street required) or update (only the fields sent) payload
+ * Coordinates may be { lat, lng } or EnhancedGPS's { latitude, longitude, accuracy }.
+ * @returns {object} - Column values to write
+ */
+function validateAddressInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new AddressError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+    Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+        const value = body[field];
+        if (value === undefined) {
+            return;
+        }
+        if (value !== null && typeof value !== 'string') {
+            throw new AddressError(`${field} must be text`, 400, { field });
+        }
+        const trimmed = value === null ? '' : value.trim();
+        if (trimmed.length > maxLength) {
+            throw new AddressError(`${field} can be at most ${maxLength} characters`, 400, { field });
+        }
+        fields[field] = trimmed || null;
+    });
+
+    if (!partial && !fields.street) {
+        throw new AddressError('street is required');
+    }
+    ['street', 'label'].forEach(field => {
+        if (partial && body[field] !== undefined && !fields[field]) {
+            throw new AddressError(`${field} cannot be empty`, 400, { field });
+        }
+    });
+    if (!partial && !fields.label) {
+        fields.label = 'Home';
+    }
+    if (fields.pincode && !/^\d{6}$/.test(fields.pincode)) {
+        throw new AddressError('pincode must be 6 digits', 400, { field: 'pincode' });
+    }
+
+    if (body.coordinates !== undefined) {
+        if (body.coordinates === null) {
+            fields.latitude = null;
+            fields.longitude = null;
+            fields.accuracy_m = null;
+        } else {
+            const coordinates = parseCoordinates(body.coordinates);
+            if (!coordinates) {
+                throw new AddressError('coordinates must be { lat, lng }', 400, { field: 'coordinates' });
+            }
+            const accuracy = parseFloat(body.coordinates.accuracy);
+            fields.latitude = coordinates.lat;
+            fields.longitude = coordinates.lng;
+            fields.accuracy_m = isNaN(accuracy) || accuracy < 0 ? null : Math.round(accuracy);
+        }
+    }
+
+    if (body.isDefault !== undefined && typeof body.isDefault !== 'boolean') {
+        throw new AddressError('isDefault must be true or false');
+    }
+    if (partial && Object.keys(fields).length === 0 && body.isDefault === undefined) {
+        throw new AddressError('Nothing to update');
+    }
+    return fields;
+}
+
+/**
+ * Shape an addresses row for API responses
+ */
+function formatAddress(row) {
+    const hasCoordinates = row.latitude !== null && row.longitude !== null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        label: row.label,
+        flat: row.flat,
+        street: row.street,
+        landmark: row.landmark,
+        area: row.area,
+        city: row.city,
+        state: row.state,
+        pincode: row.pincode,
+        phone: row.phone,
+        coordinates: hasCoordinates
+            ? { lat: Number(row.latitude), lng: Number(row.longitude), accuracy: row.accuracy_m }
+            : null,
+        isDefault: row.is_default,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Copy of an address kept on the order, so later edits do not rewrite
+ * where a past order went
+ */
+function toDeliveryAddress(address) {
+    const parts = [address.flat, address.street, address.area, address.city].filter(Boolean);
+    return {
+        addressId: address.id,
+        label: address.label,
+        address: parts.join(', '),
+        flat: address.flat,
+        street: address.street,
+        landmark: address.landmark,
+        area: address.area,
+        city: address.city,
+        state: address.state,
+        pincode: address.pincode,
+        phone: address.phone,
+        coordinates: address.coordinates
+    };
+}
+
+async function listAddresses(db, userId) {
+    const result = await db.query(
+        `SELECT * FROM addresses WHERE user_id = $1 AND deleted_at IS NULL
+         ORDER BY is_default DESC, updated_at DESC, id DESC`,
+        [userId]
+    );
+    return result.rows.map(formatAddress);
+}
+
+/**
+ * One of the user's addresses
+ * @throws {AddressError} 404 when it does not exist, belongs to someone else or was deleted
+ */
+async function getAddress(db, userId, addressId) {
+    const id = parseInt(addressId);
+    const result = isNaN(id)
+        ? { rows: [] }
+        : await db.query('SELECT * FROM addresses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [id, userId]);
+    if (result.rows.length === 0) {
+        throw new AddressError('Address not found', 404);
+    }
+    return formatAddress(result.rows[0]);
+}
+
+/**
+ * Run work in a transaction that holds a per-user lock, so two requests
+ * cannot both leave a default behind (this also covers a user's first address,
+ * when there are no rows to lock yet)
+ */
+async function withUserAddresses(pool, userId, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('addresses:' || $1))", [userId]);
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const clearDefault = (client, userId) => client.query(
+    'UPDATE addresses SET is_default = FALSE, updated_at = NOW() WHERE user_id = $1 AND is_default',
+    [userId]
+);
+
+/**
+ * Save a new address; the first one becomes the default
+ */
+async function createAddress(pool, userId, body) {
+    const fields = validateAddressInput(body);
+    return withUserAddresses(pool, userId, async (client) => {
+        const count = await client.query(
+            'SELECT COUNT(*)::int AS count FROM addresses WHERE user_id = $1 AND deleted_at IS NULL',
+            [userId]
+        );
+        if (count.rows[0].count >= MAX_ADDRESSES) {
+            throw new AddressError(`You can save at most ${MAX_ADDRESSES} addresses`, 409);
+        }
+
+        const isDefault = body.isDefault === true || count.rows[0].count === 0;
+        if (isDefault) {
+            await clearDefault(client, userId);
+        }
+
+        const columns = ['user_id', ...Object.keys(fields), 'is_default'];
+        const values = [userId, ...Object.values(fields), isDefault];
+        const result = await client.query(
+            `INSERT INTO addresses (${columns.join(', ')})
+             VALUES (${values.map((value, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+            values
+        );
+        return formatAddress(result.rows[0]);
+    });
+}
+
+/**
+ * Update the fields sent; `isDefault: true` makes it the default address
+ */
+async function updateAddress(pool, userId, addressId, body) {
+    const fields = validateAddressInput(body, { partial: true });
+    return withUserAddresses(pool, userId, async (client) => {
+        const current = await getAddress(client, userId, addressId);
+        if (body.isDefault === false && current.isDefault) {
+            throw new AddressError('Make another address the default instead', 409);
+        }
+        if (body.isDefault === true && !current.isDefault) {
+            await clearDefault(client, userId);
+            fields.is_default = true;
+        }
+
+        const assignments = [];
+        const values = [];
+        Object.entries(fields).forEach(([column, value]) => {
+            values.push(value);
+            assignments.push(`${column} = $${values.length}`);
+        });
+        assignments.push('updated_at = NOW()');
+
+        values.push(current.id);
+        const result = await client.query(
+            `UPDATE addresses SET ${assignments.join(', ')} WHERE id = $${values.length} RETURNING *`,
+            values
+        );
+        return formatAddress(result.rows[0]);
+    });
+}
+
+/**
+ * Hide an address; when it was the default the most recently used one takes over
+ * @returns {Promise<object|null>} - The new default address, if one was chosen
+ */
+async function deleteAddress(pool, userId, addressId) {
+    return withUserAddresses(pool, userId, async (client) => {
+        const current = await getAddress(client, userId, addressId);
+        await client.query(
+            'UPDATE addresses SET deleted_at = NOW(), is_default = FALSE, updated_at = NOW() WHERE id = $1',
+            [current.id]
+        );
+        if (!current.isDefault) {
+            return null;
+        }
+
+        const next = await client.query(
+            `UPDATE addresses SET is_default = TRUE, updated_at = NOW()
+             WHERE id = (
+                SELECT id FROM addresses WHERE user_id = $1 AND deleted_at IS NULL
+                ORDER BY updated_at DESC, id DESC LIMIT 1
+             ) RETURNING *`,
+            [userId]
+        );
+        return next.rows.length > 0 ? formatAddress(next.rows[0]) : null;
+    });
+}
+
+module.exports = {
+    MAX_ADDRESSES,
+    AddressError,
+    validateAddressInput,
+    formatAddress,
+    toDeliveryAddress,
+    listAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -0,0 +1,77 @@
+// Vercel Function Adapter
+// Mounts the handlers in api/ on an Express app so local development runs the
+// exact code that is deployed as serverless functions
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Wrap a Vercel-style handler (req, res) as an Express route handler
+ * Route params are merged into req.query the way Vercel passes dynamic path
+ * segments, and a thrown error becomes a 500 instead of a hung request.
+ */
+function adaptHandler(handler) {
+    return async (req, res) => {
+        Object.assign(req.query, req.params);
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`Unhandled error in ${req.method} ${req.path}:`, error.message);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+    };
+}
+
+/**
+ * Express path for a file under api/, following Vercel's file-system routing:
+ * "users/[id]/addresses.js" → "/api/users/:id/addresses"
+ */
+function routeForFile(relativePath) {
+    const segments = relativePath.replace(/\.js$/, '').split(path.sep)
+        .map(segment => segment.replace(/^\[(\w+)\]$/, ':$1'));
+    return `/api/${segments.join('/')}`;
+}
+
+function listApiFiles(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const relativePath = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            return listApiFiles(path.join(dir, entry.name), relativePath);
+        }
+        return entry.name.endsWith('.js') ? [relativePath] : [];
+    });
+}
+
+/**
+ * Whether a handler wants its body parsed; like Vercel, a function exporting
+ * config.api.bodyParser = false reads the raw request stream itself
+ */
+function parsesBody(handler) {
+    return !(handler.config && handler.config.api && handler.config.api.bodyParser === false);
+}
+
+/**
+ * Mount every function in an api/ directory (including nested and dynamic
+ * routes) at /api/<path>
+ * @param {object} app - Express app
+ * @param {string} apiDir - Absolute path of the api/ directory
+ * @param {Function} bodyParser - Middleware parsing request bodies for the functions that want it
+ * @returns {Array<string>} - Mounted routes
+ */
+function mountApiDirectory(app, apiDir, bodyParser) {
+    return listApiFiles(apiDir)
+        .sort()
+        .map(file => {
+            const route = routeForFile(file);
+            const handler = require(path.join(apiDir, file));
+            app.all(route, ...(parsesBody(handler) ? [bodyParser] : []), adaptHandler(handler));
+            return route;
+        });
+}
+
+module.exports = {
+    adaptHandler,
+    mountApiDirectory
+};
@@ -0,0 +1,428 @@
+// API Authentication
+// Verifies Clerk session tokens (RS256 JWTs) sent as "Authorization: Bearer
+// <token>" and works out who is calling. Keys come from CLERK_JWT_KEY (PEM) or
+// the Clerk JWKS endpoint; scripts/clerk-simulator.js is a local stand-in.
+// The ADMIN_API_KEY bearer token is accepted as an admin for scripts and ops,
+// unless it is the .env.example placeholder or shorter than ADMIN_KEY_MIN_LENGTH.
+// Roles (customer, store_staff, rider, admin) are stored on users; a token only
+// carries one in the server-controlled public metadata, never in metadata the
+// user can write.
+
+const crypto = require('crypto');
+
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 5;
+
+const ROLES = ['customer', 'store_staff', 'rider', 'admin'];
+
+const ADMIN_KEY_MIN_LENGTH = 32;
+const ADMIN_KEY_PLACEHOLDER = 'change_me_to_a_long_random_string';
+
+// Orders placed without signing in belong to this shared user ID
+const GUEST_USER_ID = 'guest-user';
+
+/**
+ * Raised when a request is not (or not correctly) authenticated
+ */
+class AuthError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Read the bearer token from a request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Constant-time comparison of two secrets of any length
+ */
+function secretsMatch(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+let weakAdminKeyReported = false;
+
+/**
+ * ADMIN_API_KEY when it is safe to accept: a copied placeholder or a short key
+ * would be an admin login anyone can guess, so those are ignored
+ * @returns {string|null}
+ */
+function usableAdminKey() {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return null;
+    }
+    if (adminKey === ADMIN_KEY_PLACEHOLDER || adminKey.length < ADMIN_KEY_MIN_LENGTH) {
+        if (!weakAdminKeyReported) {
+            weakAdminKeyReported = true;
+            console.error(`ADMIN_API_KEY is ignored: set a random value of at least ${ADMIN_KEY_MIN_LENGTH} characters`);
+        }
+        return null;
+    }
+    return adminKey;
+}
+
+/**
+ * The Clerk instance's Frontend API URL (configured, or encoded in the publishable key)
+ * @returns {string|null} - e.g. "https://clerk.example.com"
+ */
+function getFrontendApiUrl() {
+    let frontendApi = process.env.NEXT_PUBLIC_CLERK_FRONTEND_API;
+    const publishableKey = process.env.NEXT_PUBLIC_CLERK_PUBLISHABLE_KEY;
+    if (!frontendApi && publishableKey) {
+        // pk_test_<base64("clerk.example.com$")>
+        const encoded = publishableKey.split('_').slice(2).join('_');
+        frontendApi = Buffer.from(encoded, 'base64').toString('utf8').replace(/\$$/, '');
+    }
+    if (!frontendApi) {
+        return null;
+    }
+    return `https://${frontendApi.replace(/^https?:\/\//, '').replace(/\/$/, '')}`;
+}
+
+/**
+ * Where the Clerk signing keys are published: CLERK_JWKS_URL, or the Frontend API
+ */
+function getJwksUrl() {
+    if (process.env.CLERK_JWKS_URL) {
+        return process.env.CLERK_JWKS_URL;
+    }
+    const frontendApiUrl = getFrontendApiUrl();
+    return frontendApiUrl ? `${frontendApiUrl}/.well-known/jwks.json` : null;
+}
+
+/**
+ * The issuer our session tokens must carry: CLERK_ISSUER, the Frontend API, or
+ * the origin the JWKS is served from (Clerk serves it from the issuer)
+ */
+function getExpectedIssuer() {
+    if (process.env.CLERK_ISSUER) {
+        return process.env.CLERK_ISSUER.replace(/\/$/, '');
+    }
+    const frontendApiUrl = getFrontendApiUrl();
+    if (frontendApiUrl) {
+        return frontendApiUrl;
+    }
+    return process.env.CLERK_JWKS_URL ? new URL(process.env.CLERK_JWKS_URL).origin : null;
+}
+
+let jwksCache = { url: null, keys: [], fetchedAt: 0 };
+
+async function fetchJwks(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const { keys } = await response.json();
+    jwksCache = { url, keys: keys || [], fetchedAt: Date.now() };
+    return jwksCache.keys;
+}
+
+/**
+ * Public key for a token header; the JWKS is fetched again once when the key
+ * ID is unknown (Clerk rotated its keys)
+ */
+async function getVerificationKey(header) {
+    if (process.env.CLERK_JWT_KEY) {
+        return crypto.createPublicKey(process.env.CLERK_JWT_KEY.replace(/\\n/g, '\n'));
+    }
+
+    const url = getJwksUrl();
+    if (!url) {
+        throw new AuthError('Authentication is not configured', 503);
+    }
+
+    const fresh = jwksCache.url === url && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_MS;
+    let keys = fresh ? jwksCache.keys : await fetchJwks(url);
+    let jwk = keys.find(key => key.kid === header.kid);
+    if (!jwk && fresh) {
+        keys = await fetchJwks(url);
+        jwk = keys.find(key => key.kid === header.kid);
+    }
+    if (!jwk) {
+        throw new AuthError('Invalid session token');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify a Clerk session token and return its claims
+ */
+async function verifySessionToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('Invalid session token');
+    }
+
+    let header, claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch (error) {
+        throw new AuthError('Invalid session token');
+    }
+    if (header.alg !== 'RS256') {
+        throw new AuthError('Invalid session token');
+    }
+
+    const key = await getVerificationKey(header);
+    const valid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+        throw new AuthError('Invalid session token');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_SECONDS) {
+        throw new AuthError('Session token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_SECONDS) {
+        throw new AuthError('Session token is not valid yet');
+    }
+    if (!claims.sub) {
+        throw new AuthError('Invalid session token');
+    }
+
+    // Tokens signed for another Clerk instance are refused
+    const issuer = getExpectedIssuer();
+    if (!issuer) {
+        throw new AuthError('Authentication is not configured', 503);
+    }
+    if (typeof claims.iss !== 'string' || claims.iss.replace(/\/$/, '') !== issuer) {
+        throw new AuthError('Session token was issued by another Clerk instance');
+    }
+
+    // Optional allow-list of origins the token may be issued for; a token without azp is refused
+    const authorizedParties = (process.env.CLERK_AUTHORIZED_PARTIES || '').split(',').map(p => p.trim()).filter(Boolean);
+    if (authorizedParties.length > 0 && !authorizedParties.includes(claims.azp)) {
+        throw new AuthError('Session token was issued for another origin');
+    }
+    return claims;
+}
+
+/**
+ * Role from the user's public metadata, which only the server (Clerk's Backend
+ * API or dashboard) can write. The session token template has to add it as
+ * { "public_metadata": "{{user.public_metadata}}" }; unsafe_metadata and other
+ * claims are never read.
+ */
+function roleFromClaims(claims) {
+    const role = claims.public_metadata && claims.public_metadata.role;
+    return ROLES.includes(role) ? role : 'customer';
+}
+
+/**
+ * Role and store saved on the user's profile
+ * @returns {Promise<object|null>} - { role, storeId }, or null without a profile
+ */
+async function loadStoredRole(db, userId) {
+    const result = await db.query('SELECT role, store_id FROM users WHERE user_id = $1', [userId]);
+    if (result.rows.length === 0) {
+        return null;
+    }
+    return { role: result.rows[0].role, storeId: result.rows[0].store_id };
+}
+
+/**
+ * Identify the caller
+ * The role is taken from ADMIN_USER_IDS, then the users table when a db is given
+ * (a user without a row is a customer); the token's public metadata is only
+ * used when there is no database to ask.
+ * @param {object} options - { db } pg Pool to read stored roles from
+ * @returns {Promise<object>} - { userId, role, storeId, isAdmin, claims }
+ */
+async function authenticate(req, { db = null } = {}) {
+    const token = getBearerToken(req);
+    if (!token) {
+        throw new AuthError('Sign in required');
+    }
+
+    const adminKey = usableAdminKey();
+    if (adminKey && secretsMatch(token, adminKey)) {
+        return { userId: null, role: 'admin', storeId: null, isAdmin: true, claims: null };
+    }
+
+    const claims = await verifySessionToken(token);
+    const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    let stored = null;
+    let roleSource = db ? 'users' : 'claims';
+    if (db && !adminIds.includes(claims.sub)) {
+        try {
+            stored = await loadStoredRole(db, claims.sub);
+        } catch (error) {
+            console.error('Database error, using the role from the session token:', error.message);
+            roleSource = 'claims';
+        }
+    }
+
+    let role;
+    if (adminIds.includes(claims.sub)) {
+        role = 'admin';
+    } else if (roleSource === 'users') {
+        role = stored && ROLES.includes(stored.role) ? stored.role : 'customer';
+    } else {
+        role = roleFromClaims(claims);
+    }
+    return {
+        userId: claims.sub,
+        role,
+        storeId: stored ? stored.storeId : null,
+        isAdmin: role === 'admin',
+        claims
+    };
+}
+
+/**
+ * Authenticate or answer 401/503
+ * @param {object} options - Passed to authenticate
+ * @returns {Promise<object|null>} - The caller, or null when a response was sent
+ */
+async function requireAuth(req, res, options = {}) {
+    try {
+        return await authenticate(req, options);
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            console.error('Authentication failed:', error.message);
+        }
+        res.status(error.statusCode || 503).json({ error: error instanceof AuthError ? error.message : 'Authentication is unavailable' });
+        return null;
+    }
+}
+
+/**
+ * Network address of the caller, named by the hop we trust rather than
+ * X-Forwarded-For, which the client can fill in: Vercel's own client IP header
+ * there, the socket's peer address anywhere else
+ */
+function clientAddress(req) {
+    if (process.env.VERCEL) {
+        const platformIp = req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'];
+        if (platformIp) {
+            return String(platformIp).split(',')[0].trim();
+        }
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Authenticate, or let a request without a bearer token through as a guest
+ * (a token that does not verify is still refused). Guests share one user ID,
+ * so they are told apart by clientAddress.
+ * @returns {Promise<object|null>} - The caller, or null when a response was sent
+ */
+async function requireAuthOrGuest(req, res, options = {}) {
+    if (!getBearerToken(req)) {
+        return {
+            userId: GUEST_USER_ID, role: 'customer', storeId: null, isAdmin: false, isGuest: true, claims: null,
+            client: clientAddress(req)
+        };
+    }
+    return requireAuth(req, res, options);
+}
+
+/**
+ * Whether the caller has one of the roles (admins have every role)
+ */
+function hasRole(auth, roles) {
+    return auth.isAdmin || roles.includes(auth.role);
+}
+
+/**
+ * Authenticate with one of the roles or answer 401/403/503
+ * @param {Array<string>} roles - Roles allowed in addition to admin
+ * @returns {Promise<object|null>} - The caller, or null when a response was sent
+ */
+async function requireRole(req, res, roles, options = {}) {
+    const auth = await requireAuth(req, res, options);
+    if (auth && !hasRole(auth, roles)) {
+        res.status(403).json({ error: `Requires one of these roles: ${[...roles, 'admin'].join(', ')}` });
+        return null;
+    }
+    return auth;
+}
+
+/**
+ * Authenticate as an admin or answer 401/403/503
+ * @returns {Promise<object|null>} - The caller, or null when a response was sent
+ */
+async function requireAdmin(req, res, options = {}) {
+    const auth = await requireAuth(req, res, options);
+    if (auth && !auth.isAdmin) {
+        res.status(403).json({ error: 'Admin access required' });
+        return null;
+    }
+    return auth;
+}
+
+/**
+ * Which user a request acts for: admins may name any user, everyone else is
+ * limited to themselves
+ * @returns {string|null} - null for an admin that named nobody
+ */
+function resolveUserId(auth, requestedUserId) {
+    if (auth.isAdmin) {
+        return requestedUserId || null;
+    }
+    if (requestedUserId && requestedUserId !== auth.userId) {
+        throw new AuthError('You can only access your own data', 403);
+    }
+    return auth.userId;
+}
+
+/**
+ * Which store a request acts for: admins may name any store (or none), store
+ * staff are limited to the store on their profile
+ * @returns {number|null} - null for an admin that named no store
+ */
+function resolveStoreId(auth, requestedStoreId) {
+    const requested = requestedStoreId === undefined || requestedStoreId === null || requestedStoreId === ''
+        ? null
+        : parseInt(requestedStoreId);
+    if (requested !== null && isNaN(requested)) {
+        throw new AuthError('storeId must be a number', 400);
+    }
+    if (auth.isAdmin) {
+        return requested;
+    }
+    if (!auth.storeId) {
+        throw new AuthError('No store is assigned to your account', 403);
+    }
+    if (requested !== null && requested !== auth.storeId) {
+        throw new AuthError('You can only access your own store', 403);
+    }
+    return auth.storeId;
+}
+
+module.exports = {
+    ROLES,
+    GUEST_USER_ID,
+    AuthError,
+    getBearerToken,
+    clientAddress,
+    verifySessionToken,
+    authenticate,
+    requireAuth,
+    requireAuthOrGuest,
+    hasRole,
+    requireRole,
+    requireAdmin,
+    resolveUserId,
+    resolveStoreId
+};
@@ -0,0 +1,270 @@
+// Shopping Cart
+// The signed-in user's cart, kept per product variant. Prices and stock are
+// checked again on every read, since both can change while a cart sits idle.
+
+const { loadCatalogProducts, priceOrder, roundCurrency } = require('./pricing');
+const { getStockLevels } = require('./inventory');
+
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 30;
+const MAX_CART_LINES = 50;
+const MAX_LINE_QUANTITY = 99;
+
+/**
+ * Raised when a cart update is invalid
+ */
+class CartError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'CartError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Check one { productId, unit, quantity } line; quantity 0 is allowed where a
+ * line is being removed
+ */
+function normalizeLine(item, { allowZero = false, index = null } = {}) {
+    const details = index === null ? {} : { index };
+    if (!item || typeof item !== 'object') {
+        throw new CartError('Each cart item must be an object', 400, details);
+    }
+    const productId = parseInt(item.productId);
+    if (isNaN(productId)) {
+        throw new CartError('productId is required', 400, details);
+    }
+    if (typeof item.unit !== 'string' || !item.unit.trim()) {
+        throw new CartError('unit is required', 400, { ...details, productId });
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < (allowZero ? 0 : 1) || quantity > MAX_LINE_QUANTITY) {
+        throw new CartError(`quantity must be a whole number from ${allowZero ? 0 : 1} to ${MAX_LINE_QUANTITY}`, 400, { ...details, productId });
+    }
+    return { productId, unit: item.unit.trim(), quantity };
+}
+
+/**
+ * Check a list of cart lines, adding up lines for the same variant
+ * @returns {Array} - [{ productId, unit, quantity }]
+ */
+function normalizeCartItems(items) {
+    if (!Array.isArray(items)) {
+        throw new CartError('items must be an array');
+    }
+
+    const lines = new Map();
+    items.forEach((item, index) => {
+        const line = normalizeLine(item, { index });
+        const key = `${line.productId}|${line.unit}`;
+        const existing = lines.get(key);
+        if (existing) {
+            existing.quantity = Math.min(MAX_LINE_QUANTITY, existing.quantity + line.quantity);
+        } else {
+            lines.set(key, line);
+        }
+    });
+
+    if (lines.size > MAX_CART_LINES) {
+        throw new CartError(`A cart can hold at most ${MAX_CART_LINES} different items`);
+    }
+    return [...lines.values()];
+}
+
+const findVariant = (product, unit) => {
+    const variants = typeof product.variants === 'string' ? JSON.parse(product.variants) : product.variants;
+    return (variants || []).find(variant => variant.unit === unit && !variant.archived && typeof variant.price === 'number');
+};
+
+/**
+ * Attach the current catalog price to each line
+ * Lines for archived products or variants are left out and reported.
+ * @returns {Promise<object>} - { lines, skipped: [{ productId, unit, reason }] }
+ */
+async function priceLines(db, lines) {
+    const products = new Map((await loadCatalogProducts(db, lines)).map(product => [product.id, product]));
+    const priced = [];
+    const skipped = [];
+    lines.forEach(line => {
+        const product = products.get(line.productId);
+        const variant = product && findVariant(product, line.unit);
+        if (!variant) {
+            skipped.push({ productId: line.productId, unit: line.unit, reason: product ? 'variant_unavailable' : 'product_unavailable' });
+            return;
+        }
+        priced.push({ ...line, price: variant.price });
+    });
+    return { lines: priced, skipped };
+}
+
+/**
+ * Run a cart write in a transaction, holding the user's cart row
+ * Touching the cart pushes its expiry back; expired carts (the user's own
+ * included) are removed first, so an old cart never comes back to life.
+ */
+async function withCart(pool, userId, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM carts WHERE expires_at < NOW()');
+        await client.query(
+            `INSERT INTO carts (user_id, expires_at)
+             VALUES ($1, NOW() + $2 * INTERVAL '1 day')
+             ON CONFLICT (user_id) DO UPDATE
+                SET updated_at = NOW(), expires_at = EXCLUDED.expires_at`,
+            [userId, CART_TTL_DAYS]
+        );
+        const result = await work(client);
+
+        const count = await client.query('SELECT COUNT(*)::int AS count FROM cart_items WHERE user_id = $1', [userId]);
+        if (count.rows[0].count > MAX_CART_LINES) {
+            throw new CartError(`A cart can hold at most ${MAX_CART_LINES} different items`, 409);
+        }
+
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const upsertLine = (client, userId, line, onConflict) => client.query(
+    `INSERT INTO cart_items (user_id, product_id, unit, quantity, price)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, product_id, unit) DO UPDATE
+        SET quantity = ${onConflict}, price = EXCLUDED.price, updated_at = NOW()`,
+    [userId, line.productId, line.unit, line.quantity, line.price]
+);
+
+/**
+ * Replace the whole cart
+ * @returns {Promise<object>} - { skipped } lines that are no longer sold
+ */
+async function replaceCart(pool, userId, items) {
+    const { lines, skipped } = await priceLines(pool, normalizeCartItems(items));
+    await withCart(pool, userId, async (client) => {
+        await client.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
+        for (const line of lines) {
+            await upsertLine(client, userId, line, 'EXCLUDED.quantity');
+        }
+    });
+    return { skipped };
+}
+
+/**
+ * Merge a cart built before signing in into the saved one
+ * A variant in both keeps the larger quantity, so merging the same guest
+ * cart twice (say, from two tabs) does not double it.
+ * @returns {Promise<object>} - { skipped }
+ */
+async function mergeCart(pool, userId, items) {
+    const { lines, skipped } = await priceLines(pool, normalizeCartItems(items));
+    await withCart(pool, userId, async (client) => {
+        for (const line of lines) {
+            await upsertLine(client, userId, line, 'GREATEST(cart_items.quantity, EXCLUDED.quantity)');
+        }
+    });
+    return { skipped };
+}
+
+/**
+ * Set the quantity of one variant; 0 removes it
+ */
+async function setCartItem(pool, userId, item) {
+    const line = normalizeLine(item, { allowZero: true });
+    if (line.quantity === 0) {
+        await withCart(pool, userId, (client) => client.query(
+            'DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2 AND unit = $3',
+            [userId, line.productId, line.unit]
+        ));
+        return;
+    }
+
+    const { lines, skipped } = await priceLines(pool, [line]);
+    if (lines.length === 0) {
+        throw new CartError(`Variant "${line.unit}" is not available for product ${line.productId}`, 400, skipped[0]);
+    }
+    await withCart(pool, userId, (client) => upsertLine(client, userId, lines[0], 'EXCLUDED.quantity'));
+}
+
+async function clearCart(db, userId) {
+    await db.query('DELETE FROM carts WHERE user_id = $1', [userId]);
+}
+
+/**
+ * The cart checked against today's catalog and stock
+ * Each line gets a status: available, low_stock (fewer left than wanted),
+ * out_of_stock or unavailable (no longer sold), and priceChange when the price
+ * moved since the line was added. pricing covers the available lines only.
+ * @param {object} options - { storeId } to check stock in one store instead of all
+ * @returns {Promise<object>} - { items, pricing, hasIssues, updatedAt, expiresAt }
+ */
+async function getCart(db, userId, { storeId = null } = {}) {
+    const result = await db.query(
+        `SELECT c.updated_at AS cart_updated_at, c.expires_at, i.product_id, i.unit, i.quantity, i.price
+         FROM carts c
+         LEFT JOIN cart_items i ON i.user_id = c.user_id
+         WHERE c.user_id = $1 AND c.expires_at > NOW()
+         ORDER BY i.added_at, i.product_id, i.unit`,
+        [userId]
+    );
+    if (result.rows.length === 0) {
+        return { items: [], pricing: null, hasIssues: false, updatedAt: null, expiresAt: null };
+    }
+
+    const rows = result.rows.filter(row => row.product_id !== null);
+    const products = new Map((await loadCatalogProducts(db, rows.map(row => ({ productId: row.product_id }))))
+        .map(product => [product.id, product]));
+    const levels = rows.length > 0 ? await getStockLevels(db, { storeId }) : new Map();
+
+    const items = rows.map(row => {
+        const product = products.get(row.product_id);
+        const variant = product && findVariant(product, row.unit);
+        const addedPrice = roundCurrency(row.price);
+        const line = {
+            productId: row.product_id,
+            unit: row.unit,
+            quantity: row.quantity,
+            name: product ? product.name : null,
+            price: variant ? variant.price : addedPrice,
+            priceChange: null,
+            available: 0,
+            status: 'unavailable'
+        };
+        if (!variant) {
+            return line;
+        }
+
+        line.available = levels.get(`${row.product_id}|${row.unit}`) || 0;
+        line.status = line.available >= row.quantity ? 'available'
+            : line.available > 0 ? 'low_stock' : 'out_of_stock';
+        if (variant.price !== addedPrice) {
+            line.priceChange = { from: addedPrice, to: variant.price };
+        }
+        return line;
+    });
+
+    const purchasable = items.filter(item => item.status === 'available');
+    return {
+        items,
+        pricing: purchasable.length > 0 ? priceOrder(purchasable, [...products.values()]) : null,
+        hasIssues: items.some(item => item.status !== 'available' || item.priceChange),
+        updatedAt: result.rows[0].cart_updated_at,
+        expiresAt: result.rows[0].expires_at
+    };
+}
+
+module.exports = {
+    CART_TTL_DAYS,
+    MAX_CART_LINES,
+    CartError,
+    normalizeCartItems,
+    getCart,
+    replaceCart,
+    mergeCart,
+    setCartItem,
+    clearCart
+};
@@ -0,0 +1,358 @@
+// Coupons
+// Coupon codes with their rules (flat or percent off, minimum order, category
+// restrictions, first order only, usage limits, validity window). A coupon is
+// checked against a server-priced order and turned into a discount line.
+
+const { PRICING_RULES, roundCurrency, summarizeOrder } = require('./pricing');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+const DISCOUNT_TYPES = ['flat', 'percent'];
+
+// Request field → column, for admin create/update
+const COLUMNS = {
+    code: 'code',
+    description: 'description',
+    discountType: 'discount_type',
+    discountValue: 'discount_value',
+    maxDiscount: 'max_discount',
+    minOrderValue: 'min_order_value',
+    categories: 'categories',
+    firstOrderOnly: 'first_order_only',
+    perUserLimit: 'per_user_limit',
+    usageLimit: 'usage_limit',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    isActive: 'is_active'
+};
+
+/**
+ * Raised when a coupon is invalid, unknown or does not apply; details.reason
+ * says why (not_found, inactive, not_started, expired, min_order,
+ * no_eligible_items, first_order_only, per_user_limit, usage_limit)
+ */
+class CouponError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'CouponError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Codes are matched case-insensitively and stored in upper case
+ */
+function normalizeCode(code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!CODE_PATTERN.test(normalized)) {
+        throw new CouponError('Coupon codes are 3 to 40 letters, digits, "-" or "_"');
+    }
+    return normalized;
+}
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && Math.round(value * 100) === value * 100;
+
+/**
+ * Validate a create (code, discountType and discountValue required) or update payload
+ * @returns {object} - Column values to write
+ */
+function validateCouponInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new CouponError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+    const has = (field) => body[field] !== undefined;
+    const optional = (field, check, message) => {
+        if (!has(field)) {
+            return;
+        }
+        if (body[field] !== null && !check(body[field])) {
+            throw new CouponError(message, 400, { field });
+        }
+        fields[COLUMNS[field]] = body[field];
+    };
+
+    if (has('code') || !partial) {
+        fields.code = normalizeCode(body.code);
+    }
+    if (has('discountType') || !partial) {
+        if (!DISCOUNT_TYPES.includes(body.discountType)) {
+            throw new CouponError(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`, 400, { field: 'discountType' });
+        }
+        fields.discount_type = body.discountType;
+    }
+    if (has('discountValue') || !partial) {
+        if (!isAmount(body.discountValue) || body.discountValue <= 0) {
+            throw new CouponError('discountValue must be a positive amount', 400, { field: 'discountValue' });
+        }
+        fields.discount_value = body.discountValue;
+    }
+    if (fields.discount_type === 'percent' && fields.discount_value > 100) {
+        throw new CouponError('A percent discount can be at most 100', 400, { field: 'discountValue' });
+    }
+
+    optional('description', value => typeof value === 'string' && value.length <= 255, 'description must be text of at most 255 characters');
+    optional('maxDiscount', value => isAmount(value) && value > 0, 'maxDiscount must be a positive amount');
+    optional('minOrderValue', value => isAmount(value) && value >= 0, 'minOrderValue must be an amount');
+    optional('categories', value => Array.isArray(value) && value.length > 0 &&
+        value.every(category => typeof category === 'string' && category.trim() && category.length <= 100),
+        'categories must be a non-empty list of category names');
+    optional('perUserLimit', value => Number.isInteger(value) && value > 0, 'perUserLimit must be a positive whole number');
+    optional('usageLimit', value => Number.isInteger(value) && value > 0, 'usageLimit must be a positive whole number');
+    optional('startsAt', value => !isNaN(Date.parse(value)), 'startsAt must be a date');
+    optional('endsAt', value => !isNaN(Date.parse(value)), 'endsAt must be a date');
+    ['firstOrderOnly', 'isActive'].forEach(field => {
+        if (has(field) && typeof body[field] !== 'boolean') {
+            throw new CouponError(`${field} must be true or false`, 400, { field });
+        }
+        if (has(field)) {
+            fields[COLUMNS[field]] = body[field];
+        }
+    });
+
+    if (fields.categories) {
+        fields.categories = fields.categories.map(category => category.trim());
+    }
+    if (fields.min_order_value === null) {
+        fields.min_order_value = 0;
+    }
+    if (partial && Object.keys(fields).length === 0) {
+        throw new CouponError('Nothing to update');
+    }
+    return fields;
+}
+
+/**
+ * Shape a coupons row for API responses
+ */
+function formatCoupon(row) {
+    const amount = (value) => value === null ? null : Number(value);
+    return {
+        id: row.id,
+        code: row.code,
+        description: row.description,
+        discountType: row.discount_type,
+        discountValue: amount(row.discount_value),
+        maxDiscount: amount(row.max_discount),
+        minOrderValue: amount(row.min_order_value),
+        categories: row.categories,
+        firstOrderOnly: row.first_order_only,
+        perUserLimit: row.per_user_limit,
+        usageLimit: row.usage_limit,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        isActive: row.is_active
+    };
+}
+
+/**
+ * What customers are told about a coupon (no usage limits or internal IDs)
+ */
+const publicCoupon = (coupon) => ({
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discountType,
+    discountValue: coupon.discountValue,
+    maxDiscount: coupon.maxDiscount,
+    minOrderValue: coupon.minOrderValue,
+    categories: coupon.categories,
+    endsAt: coupon.endsAt
+});
+
+const constraintError = (error) => {
+    if (error.code === '23505') {
+        return new CouponError('A coupon with this code already exists', 409);
+    }
+    if (error.code === '23514') {
+        return new CouponError('Percent discounts can be at most 100 and endsAt must be after startsAt');
+    }
+    return error;
+};
+
+// Dates are read as instants, whatever time zone they were sent in
+const placeholder = (column, index) => ['starts_at', 'ends_at'].includes(column) ? `$${index}::timestamptz` : `$${index}`;
+
+async function listCoupons(db) {
+    const result = await db.query('SELECT * FROM coupons ORDER BY created_at DESC, id DESC');
+    return result.rows.map(formatCoupon);
+}
+
+async function createCoupon(db, body) {
+    const fields = validateCouponInput(body);
+    const columns = Object.keys(fields);
+    try {
+        const result = await db.query(
+            `INSERT INTO coupons (${columns.join(', ')})
+             VALUES (${columns.map((column, index) => placeholder(column, index + 1)).join(', ')}) RETURNING *`,
+            Object.values(fields)
+        );
+        return formatCoupon(result.rows[0]);
+    } catch (error) {
+        throw constraintError(error);
+    }
+}
+
+/**
+ * Update the fields sent; `isActive: false` switches a coupon off (coupons
+ * used by orders are never deleted)
+ */
+async function updateCoupon(db, id, body) {
+    const fields = validateCouponInput(body, { partial: true });
+    const columns = Object.keys(fields);
+    const values = [...Object.values(fields), id];
+    let result;
+    try {
+        result = await db.query(
+            `UPDATE coupons
+             SET ${columns.map((column, index) => `${column} = ${placeholder(column, index + 1)}`).join(', ')}, updated_at = NOW()
+             WHERE id = $${values.length} RETURNING *`,
+            values
+        );
+    } catch (error) {
+        throw constraintError(error);
+    }
+    if (result.rows.length === 0) {
+        throw new CouponError('Coupon not found', 404);
+    }
+    return formatCoupon(result.rows[0]);
+}
+
+/**
+ * Load a coupon that can be used right now
+ * @param {object} options - { lock } to hold the row until the caller's transaction ends
+ */
+async function findUsableCoupon(db, code, { lock = false } = {}) {
+    const result = await db.query(
+        `SELECT *, (starts_at IS NOT NULL AND starts_at > NOW()) AS not_started,
+                   (ends_at IS NOT NULL AND ends_at <= NOW()) AS expired
+         FROM coupons WHERE code = $1${lock ? ' FOR UPDATE' : ''}`,
+        [normalizeCode(code)]
+    );
+    const row = result.rows[0];
+    if (!row) {
+        throw new CouponError('This coupon code does not exist', 404, { reason: 'not_found' });
+    }
+    if (!row.is_active) {
+        throw new CouponError(`${row.code} is no longer available`, 422, { reason: 'inactive' });
+    }
+    if (row.not_started) {
+        throw new CouponError(`${row.code} is not valid yet`, 422, { reason: 'not_started', startsAt: row.starts_at });
+    }
+    if (row.expired) {
+        throw new CouponError(`${row.code} has expired`, 422, { reason: 'expired', endsAt: row.ends_at });
+    }
+    return formatCoupon(row);
+}
+
+/**
+ * Check first-order and usage limits for a user; cancelled orders do not count
+ */
+async function checkCouponUsage(db, coupon, userId) {
+    if (coupon.firstOrderOnly || coupon.perUserLimit) {
+        const result = await db.query(
+            `SELECT COUNT(*)::int AS orders, COUNT(*) FILTER (WHERE coupon_id = $2)::int AS uses
+             FROM orders WHERE user_id = $1 AND status <> 'cancelled'`,
+            [userId, coupon.id]
+        );
+        const { orders, uses } = result.rows[0];
+        if (coupon.firstOrderOnly && orders > 0) {
+            throw new CouponError(`${coupon.code} is only for your first order`, 422, { reason: 'first_order_only' });
+        }
+        if (coupon.perUserLimit && uses >= coupon.perUserLimit) {
+            throw new CouponError(`You have already used ${coupon.code}`, 422, { reason: 'per_user_limit', limit: coupon.perUserLimit });
+        }
+    }
+
+    if (coupon.usageLimit) {
+        const result = await db.query(
+            "SELECT COUNT(*)::int AS uses FROM orders WHERE coupon_id = $1 AND status <> 'cancelled'",
+            [coupon.id]
+        );
+        if (result.rows[0].uses >= coupon.usageLimit) {
+            throw new CouponError(`${coupon.code} has been fully used`, 422, { reason: 'usage_limit' });
+        }
+    }
+}
+
+/**
+ * Discount a coupon gives on a priced order
+ * Category coupons only count the lines in those categories; the minimum
+ * order value is checked against the whole subtotal.
+ */
+function calculateDiscount(coupon, pricing) {
+    const categories = coupon.categories ? coupon.categories.map(category => category.toLowerCase()) : null;
+    const lines = categories
+        ? pricing.items.filter(line => categories.includes(String(line.category || '').toLowerCase()))
+        : pricing.items;
+    const eligibleSubtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    if (eligibleSubtotal === 0) {
+        throw new CouponError(`${coupon.code} only applies to ${coupon.categories.join(', ')}`, 422, {
+            reason: 'no_eligible_items',
+            categories: coupon.categories
+        });
+    }
+    if (pricing.subtotal < coupon.minOrderValue) {
+        throw new CouponError(`Add ₹${roundCurrency(coupon.minOrderValue - pricing.subtotal)} more to use ${coupon.code}`, 422, {
+            reason: 'min_order',
+            minOrderValue: coupon.minOrderValue,
+            subtotal: pricing.subtotal
+        });
+    }
+
+    let amount = coupon.discountType === 'percent'
+        ? eligibleSubtotal * coupon.discountValue / 100
+        : coupon.discountValue;
+    if (coupon.maxDiscount !== null) {
+        amount = Math.min(amount, coupon.maxDiscount);
+    }
+    return roundCurrency(Math.min(amount, eligibleSubtotal));
+}
+
+/**
+ * Apply a coupon code to a server-priced order for a user
+ * @returns {Promise<object>} - { coupon, discount, pricing } pricing includes the discount
+ */
+async function applyCoupon(db, code, pricing, { userId }) {
+    const coupon = await findUsableCoupon(db, code);
+    const amount = calculateDiscount(coupon, pricing);
+    await checkCouponUsage(db, coupon, userId);
+
+    const discount = {
+        code: coupon.code,
+        description: coupon.description || `Coupon ${coupon.code}`,
+        amount
+    };
+    const rules = { ...PRICING_RULES, deliveryFee: pricing.deliveryFee, gstRate: pricing.gstRate };
+    return {
+        coupon,
+        discount,
+        pricing: summarizeOrder(pricing.items, [...pricing.discounts, discount], rules)
+    };
+}
+
+/**
+ * Claim a use of a coupon inside the order's transaction
+ * The coupon row stays locked until the order commits, so two orders cannot
+ * both take the last use.
+ */
+async function redeemCoupon(client, code, userId) {
+    const coupon = await findUsableCoupon(client, code, { lock: true });
+    await checkCouponUsage(client, coupon, userId);
+    return coupon;
+}
+
+module.exports = {
+    CouponError,
+    normalizeCode,
+    validateCouponInput,
+    formatCoupon,
+    publicCoupon,
+    listCoupons,
+    createCoupon,
+    updateCoupon,
+    calculateDiscount,
+    applyCoupon,
+    redeemCoupon
+};
@@ -0,0 +1,207 @@
+// Proof of Delivery
+// Every order gets a short OTP when it is placed; the customer reads it to the
+// rider, who needs it to mark the order delivered. Wrong codes count against
+// DELIVERY_OTP_MAX_ATTEMPTS, after which only an admin can close the order.
+// Riders may add a photo and a signature, stored under DELIVERY_PROOF_DIR and
+// linked to the order in delivery_proofs.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { assertTransition, applyTransition, FULFILMENT_FLOW } = require('./order-status');
+
+const DELIVERY_OTP_LENGTH = 4;
+const DELIVERY_OTP_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_OTP_MAX_ATTEMPTS) || 5;
+const DELIVERY_PROOF_DIR = process.env.DELIVERY_PROOF_DIR || path.join(__dirname, '..', 'uploads', 'delivery-proofs');
+const DELIVERY_PROOF_MAX_BYTES = parseInt(process.env.DELIVERY_PROOF_MAX_BYTES) || 1024 * 1024;
+const PROOF_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Orders whose OTP the customer still needs
+const OTP_STATUSES = FULFILMENT_FLOW.slice(0, -1);
+
+/**
+ * Raised when a delivery cannot be completed;
+ * details.reason is invalid_proof, wrong_otp or otp_locked where it helps the rider
+ */
+class DeliveryProofError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'DeliveryProofError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Random numeric OTP for a new order
+ */
+function generateDeliveryOtp() {
+    return String(crypto.randomInt(0, 10 ** DELIVERY_OTP_LENGTH)).padStart(DELIVERY_OTP_LENGTH, '0');
+}
+
+/**
+ * The OTP to show the customer: only while the order is on its way
+ * @param {object} order - orders row
+ */
+function customerDeliveryOtp(order) {
+    return OTP_STATUSES.includes(order.status) ? order.delivery_otp || null : null;
+}
+
+function otpMatches(given, expected) {
+    const a = Buffer.from(String(given || '').trim());
+    const b = Buffer.from(String(expected || ''));
+    return a.length === b.length && b.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Decode a proof image sent as a data URL ("data:image/jpeg;base64,...")
+ * @returns {object} - { kind, contentType, data }
+ */
+function parseProofImage(kind, value) {
+    const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(value));
+    if (!match || !PROOF_TYPES[match[1]]) {
+        throw new DeliveryProofError(`${kind} must be a JPEG, PNG or WebP data URL`, 400, { reason: 'invalid_proof' });
+    }
+    const data = Buffer.from(match[2], 'base64');
+    if (data.length === 0 || data.length > DELIVERY_PROOF_MAX_BYTES) {
+        throw new DeliveryProofError(`${kind} must be at most ${Math.round(DELIVERY_PROOF_MAX_BYTES / 1024)} KB`, 400, {
+            reason: 'invalid_proof',
+            maxBytes: DELIVERY_PROOF_MAX_BYTES
+        });
+    }
+    return { kind, contentType: match[1], data };
+}
+
+/**
+ * Mark an order delivered by its rider with the customer's OTP, saving any
+ * photo or signature. A wrong OTP is counted even though nothing else changes.
+ * @param {object} rider - riders row (formatted) of the rider handing it over
+ * @param {object} proof - { otp, photo?, signature? } images as data URLs
+ * @returns {Promise<object>} - { order, change, proofs }
+ */
+async function completeDelivery(pool, rider, orderId, { otp, photo, signature } = {}) {
+    const id = parseInt(orderId);
+    if (isNaN(id)) {
+        throw new DeliveryProofError('orderId is required');
+    }
+    if (!otp) {
+        throw new DeliveryProofError('otp is required');
+    }
+    const images = [];
+    if (photo) images.push(parseProofImage('photo', photo));
+    if (signature) images.push(parseProofImage('signature', signature));
+
+    const client = await pool.connect();
+    const written = [];
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new DeliveryProofError('Order not found', 404);
+        }
+        const order = current.rows[0];
+        if (order.rider_id !== rider.id) {
+            throw new DeliveryProofError('This order is not assigned to you', 403);
+        }
+        assertTransition(order.status, 'delivered');
+
+        if (order.delivery_otp_attempts >= DELIVERY_OTP_MAX_ATTEMPTS) {
+            throw new DeliveryProofError('Too many wrong OTPs; an admin has to close this order', 423, { reason: 'otp_locked' });
+        }
+        if (!otpMatches(otp, order.delivery_otp)) {
+            // The failed try is kept even though the delivery is not
+            const counted = await client.query(
+                'UPDATE orders SET delivery_otp_attempts = delivery_otp_attempts + 1 WHERE id = $1 RETURNING delivery_otp_attempts',
+                [id]
+            );
+            await client.query('COMMIT');
+            const attemptsLeft = Math.max(0, DELIVERY_OTP_MAX_ATTEMPTS - counted.rows[0].delivery_otp_attempts);
+            throw new DeliveryProofError('Wrong OTP', 422, { reason: attemptsLeft > 0 ? 'wrong_otp' : 'otp_locked', attemptsLeft });
+        }
+
+        const proofs = [];
+        for (const image of images) {
+            const fileName = `${id}-${image.kind}-${Date.now()}.${PROOF_TYPES[image.contentType]}`;
+            await fs.promises.mkdir(DELIVERY_PROOF_DIR, { recursive: true });
+            await fs.promises.writeFile(path.join(DELIVERY_PROOF_DIR, fileName), image.data);
+            written.push(fileName);
+
+            const saved = await client.query(
+                `INSERT INTO delivery_proofs (order_id, kind, file_name, content_type, size_bytes, uploaded_by)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+                [id, image.kind, fileName, image.contentType, image.data.length, rider.userId]
+            );
+            proofs.push(formatProof(saved.rows[0]));
+        }
+
+        const result = await applyTransition(client, order, 'delivered', {
+            changedBy: rider.userId,
+            note: images.length > 0 ? `Delivered with OTP (${images.map(image => image.kind).join(' and ')})` : 'Delivered with OTP'
+        });
+
+        await client.query('COMMIT');
+        return { ...result, proofs };
+    } catch (error) {
+        // The wrong-OTP count is already committed; ROLLBACK is then a no-op
+        await client.query('ROLLBACK');
+        await Promise.all(written.map(fileName => fs.promises.unlink(path.join(DELIVERY_PROOF_DIR, fileName)).catch(() => {})));
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Photos and signatures of an order, oldest first
+ */
+async function listDeliveryProofs(db, orderId) {
+    const result = await db.query('SELECT * FROM delivery_proofs WHERE order_id = $1 ORDER BY id', [orderId]);
+    return result.rows.map(formatProof);
+}
+
+/**
+ * One proof with its file contents
+ * @returns {Promise<object>} - { proof, data }
+ * @throws {DeliveryProofError} 404 when the proof or its file is missing
+ */
+async function readDeliveryProof(db, orderId, proofId) {
+    const id = parseInt(proofId);
+    const result = isNaN(id) ? { rows: [] } : await db.query(
+        'SELECT * FROM delivery_proofs WHERE id = $1 AND order_id = $2',
+        [id, orderId]
+    );
+    if (result.rows.length === 0) {
+        throw new DeliveryProofError('Proof not found', 404);
+    }
+    try {
+        const data = await fs.promises.readFile(path.join(DELIVERY_PROOF_DIR, path.basename(result.rows[0].file_name)));
+        return { proof: formatProof(result.rows[0]), data };
+    } catch (error) {
+        console.error('Delivery proof file missing:', error.message);
+        throw new DeliveryProofError('Proof file is no longer available', 404);
+    }
+}
+
+function formatProof(row) {
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        kind: row.kind,
+        contentType: row.content_type,
+        sizeBytes: row.size_bytes,
+        uploadedBy: row.uploaded_by,
+        createdAt: row.created_at,
+        url: `/api/tracking?orderId=${row.order_id}&action=proofs&proofId=${row.id}`
+    };
+}
+
+module.exports = {
+    DELIVERY_OTP_MAX_ATTEMPTS,
+    DeliveryProofError,
+    generateDeliveryOtp,
+    customerDeliveryOtp,
+    completeDelivery,
+    listDeliveryProofs,
+    readDeliveryProof
+};
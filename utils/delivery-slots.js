@@ -0,0 +1,266 @@
+// Delivery Slots
+// Orders are delivered now (instant) or in a scheduled slot. Slots are fixed
+// windows on the store's local clock (9:00-10:00, 10:00-11:00, ...) inside its
+// operating hours, for today and the next few days; each store takes a
+// limited number of scheduled orders per slot.
+
+const { isStoreOpen, rankStoresByDistance } = require('./stores');
+
+const DELIVERY_TYPES = ['instant', 'scheduled'];
+const SLOT_MINUTES = 60;
+const SLOT_LEAD_MINUTES = 30;       // A slot can be booked until this long before it starts
+const SLOT_DAYS_AHEAD = 2;          // Today plus this many days
+const DEFAULT_SLOT_CAPACITY = 20;   // Stores without a slot_capacity (fallback list)
+
+/**
+ * Raised when a delivery choice is invalid or the slot cannot be booked;
+ * details.reason is invalid_slot, too_soon, too_far_ahead, outside_hours or slot_full
+ */
+class SlotError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'SlotError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Calendar date and minutes since midnight of a moment in a time zone
+ */
+function localClock(at, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(at);
+    const part = (type) => parseInt(parts.find(p => p.type === type).value);
+    return {
+        date: `${part('year')}-${String(part('month')).padStart(2, '0')}-${String(part('day')).padStart(2, '0')}`,
+        minutes: part('hour') * 60 + part('minute'),
+        seconds: part('second'),
+        // The wall-clock time read as if it were UTC, to work out the zone's offset
+        asUtc: Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'))
+    };
+}
+
+/**
+ * The moment a store's clock shows a date and time
+ */
+function zonedTime(date, minutes, timeZone) {
+    const guess = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+    const offset = localClock(new Date(guess), timeZone).asUtc - guess;
+    return new Date(guess - offset);
+}
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Whether a store is open for the whole of a slot
+ */
+function isWithinHours(store, slot) {
+    return isStoreOpen(store, slot.start) && isStoreOpen(store, new Date(slot.end.getTime() - 60000));
+}
+
+/**
+ * The slots a store offers from a moment on, earliest first
+ * @returns {Array} - [{ start, end }] as Dates
+ */
+function generateSlots(store, now = new Date()) {
+    const earliest = now.getTime() + SLOT_LEAD_MINUTES * 60000;
+    const today = localClock(now, store.timezone).date;
+    const slots = [];
+
+    for (let day = 0; day <= SLOT_DAYS_AHEAD; day++) {
+        const date = addDays(today, day);
+        for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_MINUTES) {
+            const start = zonedTime(date, minutes, store.timezone);
+            const slot = { start, end: new Date(start.getTime() + SLOT_MINUTES * 60000) };
+            if (start.getTime() >= earliest && isWithinHours(store, slot)) {
+                slots.push(slot);
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Read the delivery choice of an order request
+ * @param {object} body - { deliveryType, slotStart }
+ * @param {string} timeZone - Clock the slot grid follows (the stores')
+ * @returns {object} - { type, slot } slot is { start, end } for scheduled orders, else null
+ */
+function parseDeliveryChoice({ deliveryType = 'instant', slotStart } = {}, timeZone, now = new Date()) {
+    if (!DELIVERY_TYPES.includes(deliveryType)) {
+        throw new SlotError(`deliveryType must be one of: ${DELIVERY_TYPES.join(', ')}`, 400, { allowed: DELIVERY_TYPES });
+    }
+    if (deliveryType === 'instant') {
+        return { type: 'instant', slot: null };
+    }
+
+    const start = new Date(slotStart);
+    if (!slotStart || isNaN(start.getTime())) {
+        throw new SlotError('slotStart is required for scheduled delivery', 400, { reason: 'invalid_slot' });
+    }
+    const clock = localClock(start, timeZone);
+    if (clock.minutes % SLOT_MINUTES !== 0 || clock.seconds !== 0 || start.getMilliseconds() !== 0) {
+        throw new SlotError(`Slots start on the ${SLOT_MINUTES === 60 ? 'hour' : `${SLOT_MINUTES}-minute mark`}`, 400, { reason: 'invalid_slot' });
+    }
+    if (start.getTime() < now.getTime() + SLOT_LEAD_MINUTES * 60000) {
+        throw new SlotError(`Slots must be booked at least ${SLOT_LEAD_MINUTES} minutes ahead`, 422, { reason: 'too_soon' });
+    }
+    if (clock.date > addDays(localClock(now, timeZone).date, SLOT_DAYS_AHEAD)) {
+        throw new SlotError(`Slots can be booked up to ${SLOT_DAYS_AHEAD} days ahead`, 422, { reason: 'too_far_ahead' });
+    }
+    return { type: 'scheduled', slot: { start, end: new Date(start.getTime() + SLOT_MINUTES * 60000) } };
+}
+
+/**
+ * The stores in range of an address that are open for the whole slot,
+ * nearest first (the scheduled counterpart of checkServiceability)
+ * @returns {object} - { serviceable, reason, message, store, candidates }
+ */
+function checkSlotServiceability(stores, coordinates, slot) {
+    const inRange = rankStoresByDistance(stores, coordinates).filter(store => store.withinRadius);
+    const candidates = inRange.filter(store => isWithinHours(store, slot));
+
+    if (candidates.length > 0) {
+        return { serviceable: true, reason: null, message: null, store: candidates[0], candidates };
+    }
+    if (inRange.length > 0) {
+        return {
+            serviceable: false,
+            reason: 'outside_hours',
+            message: `${inRange[0].name} delivers between ${inRange[0].operatingHours}. Please pick another slot.`,
+            store: inRange[0],
+            candidates: []
+        };
+    }
+    return {
+        serviceable: false,
+        reason: 'out_of_range',
+        message: 'Sorry, we don\'t deliver to your area yet.',
+        store: null,
+        candidates: []
+    };
+}
+
+/**
+ * Scheduled orders per slot start (ISO string) for a store; cancelled ones do not count
+ */
+async function countSlotBookings(db, storeId, from, to) {
+    const result = await db.query(
+        `SELECT delivery_slot_start AS start, COUNT(*)::int AS booked
+         FROM orders
+         WHERE store_id = $1 AND status <> 'cancelled'
+           AND delivery_slot_start >= $2::timestamptz AND delivery_slot_start < $3::timestamptz
+         GROUP BY delivery_slot_start`,
+        [storeId, from.toISOString(), to.toISOString()]
+    );
+    return new Map(result.rows.map(row => [new Date(row.start).toISOString(), row.booked]));
+}
+
+/**
+ * A store's upcoming slots with how many places are left
+ * @param {object} db - pg Pool, or null when bookings cannot be counted
+ * @returns {Promise<Array>} - [{ start, end, label, capacity, remaining, available }]
+ *   remaining is null when bookings could not be counted
+ */
+async function listSlots(db, store, now = new Date()) {
+    const slots = generateSlots(store, now);
+    const capacity = store.slotCapacity || DEFAULT_SLOT_CAPACITY;
+    const bookings = db && slots.length > 0
+        ? await countSlotBookings(db, store.id, slots[0].start, slots[slots.length - 1].end)
+        : null;
+
+    return slots.map(slot => {
+        const remaining = bookings ? Math.max(0, capacity - (bookings.get(slot.start.toISOString()) || 0)) : null;
+        return {
+            start: slot.start.toISOString(),
+            end: slot.end.toISOString(),
+            label: formatSlotLabel(slot, store.timezone),
+            capacity,
+            remaining,
+            available: remaining !== 0
+        };
+    });
+}
+
+/**
+ * Stores that still have a place in a slot, for an order inside its transaction
+ * Per-store, per-slot locks (taken in store id order) make concurrent orders take
+ * places one at a time; the order takes its place by being assigned to one of them.
+ * @param {number[]} storeIds - Candidate stores, preferred first; the order is kept
+ * @returns {Promise<number[]>} - The candidates with room in the slot
+ * @throws {SlotError} 409 when the slot is full at every candidate
+ */
+async function storesWithSlotRoom(client, storeIds, slot) {
+    const start = slot.start.toISOString();
+    for (const storeId of [...storeIds].sort((a, b) => a - b)) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`delivery_slot:${storeId}:${start}`]);
+    }
+
+    const result = await client.query(
+        `SELECT s.id FROM stores s
+         WHERE s.id = ANY($1::int[])
+           AND s.slot_capacity > (SELECT COUNT(*) FROM orders o
+                                  WHERE o.store_id = s.id AND o.status <> 'cancelled' AND o.delivery_slot_start = $2::timestamptz)`,
+        [storeIds, start]
+    );
+    const open = new Set(result.rows.map(row => row.id));
+    const withRoom = storeIds.filter(storeId => open.has(storeId));
+    if (withRoom.length === 0) {
+        throw new SlotError('This delivery slot is full, please pick another one', 409, { reason: 'slot_full', slotStart: start });
+    }
+    return withRoom;
+}
+
+/**
+ * "Today, 9:00 AM - 10:00 AM" style label on the store's clock
+ */
+function formatSlotLabel(slot, timeZone, now = new Date()) {
+    const time = (at) => new Intl.DateTimeFormat('en-IN', { timeZone, hour: 'numeric', minute: '2-digit', hour12: true })
+        .format(at).toUpperCase();
+    const date = localClock(slot.start, timeZone).date;
+    const today = localClock(now, timeZone).date;
+    const day = date === today ? 'Today'
+        : date === addDays(today, 1) ? 'Tomorrow'
+        : new Intl.DateTimeFormat('en-IN', { timeZone, weekday: 'short', day: 'numeric', month: 'short' }).format(slot.start);
+    return `${day}, ${time(slot.start)} - ${time(slot.end)}`;
+}
+
+/**
+ * The delivery promise on a new order: the ETA window for instant orders
+ * (the store's usual time without one), the slot for scheduled ones
+ * @param {object|null} eta - { minMinutes, maxMinutes }
+ * @returns {object} - { deliveryTime, delivery: { type, slotStart, slotEnd } }
+ */
+function describeDelivery({ type, slot }, store, eta = null) {
+    const instantTime = eta ? `${eta.minMinutes}-${eta.maxMinutes} minutes` : `${store.avgDeliveryTime} minutes`;
+    return {
+        deliveryTime: slot ? formatSlotLabel(slot, store.timezone) : instantTime,
+        delivery: {
+            type,
+            slotStart: slot ? slot.start.toISOString() : null,
+            slotEnd: slot ? slot.end.toISOString() : null
+        }
+    };
+}
+
+module.exports = {
+    DELIVERY_TYPES,
+    SLOT_MINUTES,
+    SlotError,
+    generateSlots,
+    parseDeliveryChoice,
+    checkSlotServiceability,
+    listSlots,
+    storesWithSlotRoom,
+    formatSlotLabel,
+    describeDelivery
+};
@@ -0,0 +1,245 @@
+// Delivery ETA
+// Estimates when an order will arrive from the distance between its store and
+// the address, the store's packing queue, how many of its riders are free and
+// the time of day, as a min/max window. The window is stored on the order and
+// recalculated whenever its status changes.
+
+const { formatStore, localMinutes } = require('./stores');
+const { haversineKm, parseCoordinates } = require('./geo');
+
+const ETA_RULES = {
+    packMinutes: 5,             // Picking and packing one order
+    queueMinutesPerOrder: 2,    // Added for every order ahead in the store's queue
+    riderTurnaroundMinutes: 15, // Until a busy rider is back at the store
+    roadFactor: 1.3,            // Roads are longer than the straight line
+    riderSpeedKmh: 18,
+    defaultRidersOnDuty: 4,     // Stores without riders_on_duty (fallback list)
+    windowLow: 0.85,            // Window around the expected time
+    windowHigh: 1.2,
+    minWindowMinutes: 5
+};
+
+// Slower travel at rush hour, faster late at night (local store hours, [from, to))
+const TIME_OF_DAY_FACTORS = [
+    { period: 'morning_peak', from: 8, to: 10, factor: 1.3 },
+    { period: 'evening_peak', from: 18, to: 21, factor: 1.4 },
+    { period: 'night', from: 22, to: 24, factor: 0.9 },
+    { period: 'night', from: 0, to: 6, factor: 0.9 }
+];
+
+// Statuses with nothing left to estimate
+const FINISHED_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+/**
+ * Travel time factor for the store's local time
+ */
+function timeOfDayFactor(store, at) {
+    const hour = Math.floor(localMinutes(at, store.timezone) / 60);
+    const match = TIME_OF_DAY_FACTORS.find(entry => hour >= entry.from && hour < entry.to);
+    return match ? { period: match.period, factor: match.factor } : { period: 'normal', factor: 1 };
+}
+
+/**
+ * Estimate the delivery window of an order (or of a new order to an address)
+ * @param {object} input - { store, coordinates, status, load, slot, at }
+ *   load is { ordersAhead, ridersOnDuty, ridersOut, waitingForRider } from loadStoreLoad,
+ *   plus riderAssigned when the order already has its rider;
+ *   slot ({ start, end }) is the scheduled slot, if any
+ * @returns {object|null} - { earliest, latest, minMinutes, maxMinutes, factors }, null once finished
+ */
+function estimateDelivery({ store, coordinates, status = 'pending', load = {}, slot = null, at = new Date() }) {
+    if (FINISHED_STATUSES.includes(status)) {
+        return null;
+    }
+
+    const distanceKm = haversineKm(store.coordinates.lat, store.coordinates.lng, coordinates.lat, coordinates.lng);
+    const timeOfDay = timeOfDayFactor(store, at);
+    const travelMinutes = rideMinutes(distanceKm, timeOfDay);
+
+    // Scheduled orders arrive in their slot until a rider takes them out
+    if (slot && status !== 'out_for_delivery' && slot.start > at) {
+        return {
+            earliest: slot.start,
+            latest: slot.end,
+            minMinutes: Math.round((slot.start - at) / 60000),
+            maxMinutes: Math.round((slot.end - at) / 60000),
+            factors: { distanceKm: round(distanceKm), travelMinutes: round(travelMinutes), scheduled: true, timeOfDay: timeOfDay.period }
+        };
+    }
+
+    const { ordersAhead = 0, ridersOut = 0, waitingForRider = 0 } = load;
+    const ridersOnDuty = load.ridersOnDuty !== undefined ? load.ridersOnDuty
+        : store.ridersOnDuty !== undefined && store.ridersOnDuty !== null ? store.ridersOnDuty
+        : ETA_RULES.defaultRidersOnDuty;
+
+    // Still to be packed: the orders ahead are packed first
+    const packingMinutes = ['pending', 'confirmed'].includes(status)
+        ? ETA_RULES.packMinutes + ordersAhead * ETA_RULES.queueMinutesPerOrder
+        : 0;
+
+    // Waits for a rider when every rider is out or taken by packed orders ahead
+    let riderWaitMinutes = 0;
+    if (status !== 'out_for_delivery' && !load.riderAssigned) {
+        const freeRiders = ridersOnDuty - ridersOut;
+        const position = waitingForRider + (status === 'packed' ? 0 : 1);
+        if (position > freeRiders) {
+            const rounds = Math.ceil((position - Math.max(freeRiders, 0)) / Math.max(ridersOnDuty, 1));
+            riderWaitMinutes = rounds * ETA_RULES.riderTurnaroundMinutes * timeOfDay.factor;
+        }
+    }
+
+    return {
+        ...toWindow(packingMinutes + riderWaitMinutes + travelMinutes, at),
+        factors: {
+            distanceKm: round(distanceKm),
+            travelMinutes: round(travelMinutes),
+            packingMinutes,
+            riderWaitMinutes: round(riderWaitMinutes),
+            ordersAhead,
+            ridersOnDuty,
+            ridersOut,
+            timeOfDay: timeOfDay.period
+        }
+    };
+}
+
+/**
+ * Window for a rider already on the move, from where they are now
+ * @param {object} input - { store, position, coordinates, viaStore, at } viaStore
+ *   adds the ride to the store for a rider still collecting the order
+ * @returns {object} - { earliest, latest, minMinutes, maxMinutes, remainingKm }
+ */
+function estimateFromPosition({ store, position, coordinates, viaStore = false, at = new Date() }) {
+    const remainingKm = viaStore
+        ? haversineKm(position.lat, position.lng, store.coordinates.lat, store.coordinates.lng) +
+          haversineKm(store.coordinates.lat, store.coordinates.lng, coordinates.lat, coordinates.lng)
+        : haversineKm(position.lat, position.lng, coordinates.lat, coordinates.lng);
+    return {
+        ...toWindow(rideMinutes(remainingKm, timeOfDayFactor(store, at)), at),
+        remainingKm: round(remainingKm)
+    };
+}
+
+const rideMinutes = (distanceKm, timeOfDay) =>
+    (distanceKm * ETA_RULES.roadFactor / ETA_RULES.riderSpeedKmh) * 60 * timeOfDay.factor;
+
+// Expected minutes → { earliest, latest, minMinutes, maxMinutes }
+function toWindow(expected, at) {
+    const minMinutes = Math.max(1, Math.floor(expected * ETA_RULES.windowLow));
+    const maxMinutes = Math.max(minMinutes + ETA_RULES.minWindowMinutes, Math.ceil(expected * ETA_RULES.windowHigh));
+    return {
+        earliest: new Date(at.getTime() + minMinutes * 60000),
+        latest: new Date(at.getTime() + maxMinutes * 60000),
+        minMinutes,
+        maxMinutes
+    };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * How busy a store is: orders waiting to be packed and for a rider, and
+ * riders out on deliveries. Riders on duty are the store's riders on shift,
+ * or its riders_on_duty setting while it has no riders registered
+ * @param {object} db - pg Pool or client
+ * @param {number|null} beforeOrderId - Count only orders placed before this one
+ * @returns {Promise<object>} - { ordersAhead, waitingForRider, ridersOut, ridersOnDuty }
+ */
+async function loadStoreLoad(db, storeId, beforeOrderId = null) {
+    // Scheduled orders join the queue an hour before their slot
+    const result = await db.query(
+        `SELECT
+            COUNT(*) FILTER (WHERE o.status IN ('pending', 'confirmed'))::int AS orders_ahead,
+            COUNT(*) FILTER (WHERE o.status = 'packed' AND o.rider_id IS NULL)::int AS waiting_for_rider,
+            COUNT(*) FILTER (WHERE o.status = 'out_for_delivery' OR (o.status = 'packed' AND o.rider_id IS NOT NULL))::int AS riders_out,
+            (SELECT CASE WHEN COUNT(*) = 0 THEN (SELECT riders_on_duty FROM stores WHERE id = $1)
+                         ELSE COUNT(*) FILTER (WHERE shift_status = 'on_shift') END
+             FROM riders WHERE store_id = $1 AND is_active)::int AS riders_on_duty
+         FROM orders o
+         WHERE o.store_id = $1
+           AND o.status IN ('pending', 'confirmed', 'packed', 'out_for_delivery')
+           AND (o.delivery_slot_start IS NULL OR o.delivery_slot_start <= NOW() + INTERVAL '1 hour')
+           AND ($2::int IS NULL OR o.id < $2 OR o.status = 'out_for_delivery' OR o.rider_id IS NOT NULL)`,
+        [storeId, beforeOrderId]
+    );
+    const row = result.rows[0];
+    return {
+        ordersAhead: row.orders_ahead,
+        waitingForRider: row.waiting_for_rider,
+        ridersOut: row.riders_out,
+        ridersOnDuty: row.riders_on_duty === null ? ETA_RULES.defaultRidersOnDuty : row.riders_on_duty
+    };
+}
+
+/**
+ * Estimate for a new order from a store to an address, for the storefront
+ * @param {object} db - pg Pool, or null to estimate without the store's queue
+ */
+async function estimateForAddress(db, store, coordinates, at = new Date()) {
+    const load = db ? await loadStoreLoad(db, store.id) : {};
+    return estimateDelivery({ store, coordinates, status: 'pending', load, at });
+}
+
+/**
+ * Recalculate and store an order's delivery window from its current status
+ * @param {object} client - pg client inside the caller's transaction
+ * @param {object} order - orders row (after the change)
+ * @returns {Promise<object>} - The updated orders row
+ */
+async function refreshOrderEta(client, order, at = new Date()) {
+    const coordinates = parseCoordinates(order.delivery_address);
+    let estimate = null;
+
+    if (order.store_id && coordinates && !FINISHED_STATUSES.includes(order.status)) {
+        const storeResult = await client.query('SELECT * FROM stores WHERE id = $1', [order.store_id]);
+        if (storeResult.rows.length > 0) {
+            const slot = order.delivery_slot_start
+                ? { start: new Date(order.delivery_slot_start), end: new Date(order.delivery_slot_end) }
+                : null;
+            estimate = estimateDelivery({
+                store: formatStore(storeResult.rows[0]),
+                coordinates,
+                status: order.status,
+                load: { ...await loadStoreLoad(client, order.store_id, order.id), riderAssigned: Boolean(order.rider_id) },
+                slot,
+                at
+            });
+        }
+    }
+
+    const updated = await client.query(
+        `UPDATE orders SET eta_earliest = $2::timestamptz, eta_latest = $3::timestamptz, eta_updated_at = $4::timestamptz
+         WHERE id = $1 RETURNING *`,
+        [order.id, estimate ? estimate.earliest.toISOString() : null, estimate ? estimate.latest.toISOString() : null, at.toISOString()]
+    );
+    return updated.rows[0];
+}
+
+/**
+ * Shape an order's stored window for API responses, with minutes from now
+ * @returns {object|null} - { earliest, latest, minMinutes, maxMinutes, updatedAt }
+ */
+function formatEta(order, now = new Date()) {
+    if (!order.eta_earliest || !order.eta_latest) {
+        return null;
+    }
+    const earliest = new Date(order.eta_earliest);
+    const latest = new Date(order.eta_latest);
+    return {
+        earliest: earliest.toISOString(),
+        latest: latest.toISOString(),
+        minMinutes: Math.max(0, Math.round((earliest - now) / 60000)),
+        maxMinutes: Math.max(0, Math.round((latest - now) / 60000)),
+        updatedAt: order.eta_updated_at
+    };
+}
+
+module.exports = {
+    ETA_RULES,
+    estimateDelivery,
+    estimateFromPosition,
+    loadStoreLoad,
+    estimateForAddress,
+    refreshOrderEta,
+    formatEta
+};
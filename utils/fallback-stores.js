@@ -0,0 +1,38 @@
+// Fallback Store List
+// Served (and used for delivery checks) when the database is not available,
+// and seeded into the stores table by database/init.js
+
+const fallbackStores = [
+    {
+        id: 1,
+        name: 'Shapoorji Store',
+        address: 'Shapoorji Pallonji Housing Complex, Action Area 3, New Town, Kolkata 700135',
+        area: 'Action Area 3, New Town',
+        city: 'Kolkata',
+        latitude: 22.5601,
+        longitude: 88.5104,
+        delivery_radius_km: 5,
+        avg_delivery_minutes: 12,
+        opens_at: '06:00',
+        closes_at: '23:00',
+        timezone: 'Asia/Kolkata',
+        contact_number: null
+    },
+    {
+        id: 2,
+        name: 'New Town Store',
+        address: 'Action Area 1, New Town, Kolkata 700156',
+        area: 'Action Area 1, New Town',
+        city: 'Kolkata',
+        latitude: 22.5875,
+        longitude: 88.4698,
+        delivery_radius_km: 5,
+        avg_delivery_minutes: 12,
+        opens_at: '06:00',
+        closes_at: '23:00',
+        timezone: 'Asia/Kolkata',
+        contact_number: null
+    }
+];
+
+module.exports = fallbackStores;
@@ -0,0 +1,46 @@
+// Geo Helpers
+// Distance and coordinate parsing shared by store, delivery and tracking code
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points using the Haversine formula
+ * @returns {number} - Distance in km
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Read { lat, lng } from the shapes the frontend sends: { lat, lng },
+ * { latitude, longitude } or an address with a `coordinates` object
+ * @returns {object|null} - { lat, lng } as numbers, or null if missing/invalid
+ */
+function parseCoordinates(source) {
+    if (!source || typeof source !== 'object') {
+        return null;
+    }
+    if (source.coordinates) {
+        return parseCoordinates(source.coordinates);
+    }
+
+    const lat = parseFloat(source.lat !== undefined ? source.lat : source.latitude);
+    const lng = parseFloat(source.lng !== undefined ? source.lng : source.longitude);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return { lat, lng };
+}
+
+module.exports = {
+    haversineKm,
+    parseCoordinates
+};
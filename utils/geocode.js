@@ -0,0 +1,386 @@
+// Geocoding
+// Reverse (coordinates → address) and forward (text → places) lookups through
+// a chain of providers named in GEOCODE_PROVIDERS, tried in order until one
+// answers. "local" resolves from the bundled service-area gazetteer and needs
+// no network; the others call public geocoders. Results are cached in memory
+// (reverse lookups by coordinates rounded to GEOCODE_CACHE_PRECISION decimals),
+// each client may make GEOCODE_RATE_LIMIT lookups a minute, and calls to a public
+// geocoder are spaced out to its usage policy (Nominatim: one a second).
+
+const serviceAreas = require('./service-areas');
+const { haversineKm } = require('./geo');
+
+const GEOCODE_PROVIDERS = (process.env.GEOCODE_PROVIDERS || 'nominatim,local')
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+const GEOCODE_CACHE_SECONDS = parseInt(process.env.GEOCODE_CACHE_SECONDS) || 24 * 60 * 60;
+const GEOCODE_CACHE_PRECISION = parseInt(process.env.GEOCODE_CACHE_PRECISION) || 4;  // 4 decimals is about 11 m
+const GEOCODE_RATE_LIMIT = parseInt(process.env.GEOCODE_RATE_LIMIT) || 30;
+const GEOCODE_TIMEOUT_MS = parseInt(process.env.GEOCODE_TIMEOUT_MS) || 4000;
+const OPENCAGE_API_KEY = process.env.OPENCAGE_API_KEY || '';
+
+const CACHE_MAX_ENTRIES = 5000;
+const RATE_WINDOW_SECONDS = 60;
+const MAX_SEARCH_RESULTS = 10;
+const USER_AGENT = 'FoodDeliveryApp/1.0';
+
+/**
+ * Raised for lookups that cannot be answered;
+ * details.reason is invalid_query, rate_limited, not_found or unavailable
+ */
+class GeocodeError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'GeocodeError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Address in the shape the frontend fills its forms from
+ */
+function buildAddress(fields) {
+    return {
+        formattedAddress: fields.formattedAddress || '',
+        street: fields.street || '',
+        area: fields.area || '',
+        city: fields.city || '',
+        state: fields.state || '',
+        country: fields.country || '',
+        pincode: fields.pincode || '',
+        landmark: fields.landmark || '',
+        lat: fields.lat !== undefined ? Number(fields.lat) : null,
+        lng: fields.lng !== undefined ? Number(fields.lng) : null
+    };
+}
+
+// --- local: the service-area gazetteer ---
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function gazetteerAddress(entry, lat = entry.latitude, lng = entry.longitude) {
+    const area = entry.locality && entry.locality !== entry.name ? `${entry.name}, ${entry.locality}` : entry.name;
+    return buildAddress({
+        formattedAddress: `${area}, ${entry.city}, ${entry.state} ${entry.pincode}, India`,
+        area,
+        city: entry.city,
+        state: entry.state,
+        country: 'India',
+        pincode: entry.pincode,
+        lat,
+        lng
+    });
+}
+
+const localProvider = {
+    name: 'local',
+
+    // The closest locality whose radius covers the point
+    async reverse(lat, lng) {
+        let best = null;
+        for (const entry of serviceAreas) {
+            const distanceKm = haversineKm(lat, lng, entry.latitude, entry.longitude);
+            if (distanceKm <= entry.radius_km && (!best || distanceKm < best.distanceKm)) {
+                best = { entry, distanceKm };
+            }
+        }
+        return best ? gazetteerAddress(best.entry, lat, lng) : null;
+    },
+
+    // Localities named in the query (or whose pincode it contains), best match first
+    async search(query, limit) {
+        const text = ` ${normalize(query)} `;
+        const scored = serviceAreas.map(entry => {
+            const names = [entry.name, ...entry.aliases].map(normalize);
+            let score = 0;
+            if (names.some(name => text.includes(` ${name} `))) score += 3;
+            else if (names.some(name => name.includes(text.trim()))) score += 2;
+            if (text.includes(` ${entry.pincode} `)) score += 2;
+            if (text.includes(` ${normalize(entry.locality)} `)) score += 1;
+            return { entry, score };
+        }).filter(match => match.score > 0);
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, limit).map(match => gazetteerAddress(match.entry));
+    }
+};
+
+// --- public geocoders ---
+
+async function fetchJson(url) {
+    const response = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'en' },
+        signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+function parseNominatim(data) {
+    const addr = data.address || {};
+    return buildAddress({
+        formattedAddress: data.display_name,
+        street: addr.road || addr.pedestrian || addr.footway || '',
+        area: addr.suburb || addr.neighbourhood || addr.residential || '',
+        city: addr.city || addr.town || addr.village || addr.municipality || addr.state_district || '',
+        state: addr.state || '',
+        country: addr.country || '',
+        pincode: addr.postcode || '',
+        landmark: addr.amenity || addr.building || '',
+        lat: data.lat,
+        lng: data.lon
+    });
+}
+
+const nominatimProvider = {
+    name: 'nominatim',
+    minIntervalMs: 1000,  // https://operations.osmfoundation.org/policies/nominatim/
+
+    async reverse(lat, lng) {
+        const data = await fetchJson(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`);
+        return data && data.address ? { ...parseNominatim(data), lat, lng } : null;
+    },
+
+    async search(query, limit) {
+        const data = await fetchJson(`https://nominatim.openstreetmap.org/search?format=json&addressdetails=1&countrycodes=in&limit=${limit}&q=${encodeURIComponent(query)}`);
+        return Array.isArray(data) ? data.map(parseNominatim) : [];
+    }
+};
+
+function parseOpenCage(result) {
+    const comp = result.components || {};
+    return buildAddress({
+        formattedAddress: result.formatted,
+        street: comp.road || comp.street || '',
+        area: comp.suburb || comp.neighbourhood || '',
+        city: comp.city || comp.town || comp.village || '',
+        state: comp.state || comp.state_district || '',
+        country: comp.country || '',
+        pincode: comp.postcode || '',
+        landmark: comp.building || comp.amenity || '',
+        lat: result.geometry ? result.geometry.lat : undefined,
+        lng: result.geometry ? result.geometry.lng : undefined
+    });
+}
+
+const opencageProvider = {
+    name: 'opencage',
+
+    async reverse(lat, lng) {
+        const data = await fetchJson(`https://api.opencagedata.com/geocode/v1/json?q=${lat}+${lng}&key=${OPENCAGE_API_KEY}&limit=1&no_annotations=1`);
+        const result = data && data.results && data.results[0];
+        return result ? { ...parseOpenCage(result), lat, lng } : null;
+    },
+
+    async search(query, limit) {
+        const data = await fetchJson(`https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(query)}&key=${OPENCAGE_API_KEY}&countrycode=in&limit=${limit}&no_annotations=1`);
+        return data && data.results ? data.results.map(parseOpenCage) : [];
+    }
+};
+
+// BigDataCloud's free endpoint only does reverse lookups
+const bigDataCloudProvider = {
+    name: 'bigdatacloud',
+
+    async reverse(lat, lng) {
+        const data = await fetchJson(`https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lng}&localityLanguage=en`);
+        if (!data || !(data.locality || data.city)) {
+            return null;
+        }
+        return buildAddress({
+            formattedAddress: [data.locality, data.city, data.principalSubdivision, data.countryName].filter(Boolean).join(', '),
+            area: data.locality || '',
+            city: data.city || '',
+            state: data.principalSubdivision || '',
+            country: data.countryName || '',
+            pincode: data.postcode || '',
+            lat,
+            lng
+        });
+    }
+};
+
+const PROVIDERS = {
+    local: localProvider,
+    nominatim: nominatimProvider,
+    opencage: opencageProvider,
+    bigdatacloud: bigDataCloudProvider
+};
+
+/**
+ * The configured providers that can be used; unknown names and OpenCage
+ * without OPENCAGE_API_KEY are left out with a warning
+ */
+function configuredProviders() {
+    return GEOCODE_PROVIDERS.filter(name => {
+        if (!PROVIDERS[name]) {
+            console.warn(`Unknown geocoding provider "${name}" in GEOCODE_PROVIDERS`);
+            return false;
+        }
+        if (name === 'opencage' && !OPENCAGE_API_KEY) {
+            console.warn('Geocoding provider "opencage" needs OPENCAGE_API_KEY; skipping it');
+            return false;
+        }
+        return true;
+    }).map(name => PROVIDERS[name]);
+}
+
+const providerChain = configuredProviders();
+
+// --- cache, rate limit and provider throttle ---
+
+const cache = new Map();
+
+function cacheGet(key) {
+    const entry = cache.get(key);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+    return entry.value;
+}
+
+function cacheSet(key, value) {
+    if (cache.size >= CACHE_MAX_ENTRIES) {
+        // Maps iterate in insertion order, so this drops the oldest entry
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { value, expiresAt: Date.now() + GEOCODE_CACHE_SECONDS * 1000 });
+}
+
+const rateWindows = new Map();
+
+/**
+ * Count a lookup against a client's allowance for the current minute
+ * @param {string} clientKey - IP address or user ID
+ * @throws {GeocodeError} 429 with details.retryAfter (seconds) once the allowance is used up
+ */
+function checkRateLimit(clientKey) {
+    const now = Date.now();
+    let window = rateWindows.get(clientKey);
+    if (!window || window.resetAt <= now) {
+        // Drop finished windows now and then so the map does not grow without bound
+        if (rateWindows.size >= CACHE_MAX_ENTRIES) {
+            for (const [key, value] of rateWindows) {
+                if (value.resetAt <= now) rateWindows.delete(key);
+            }
+        }
+        window = { count: 0, resetAt: now + RATE_WINDOW_SECONDS * 1000 };
+        rateWindows.set(clientKey, window);
+    }
+    window.count += 1;
+    if (window.count > GEOCODE_RATE_LIMIT) {
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+        throw new GeocodeError('Too many geocoding requests; try again shortly', 429, { reason: 'rate_limited', retryAfter });
+    }
+}
+
+const nextCallAt = new Map();
+
+/**
+ * Wait until a provider may be called again; the wait is per server instance.
+ * Each caller takes the next free turn, so concurrent lookups queue up behind
+ * one another.
+ * @throws {Error} when the turn is more than GEOCODE_TIMEOUT_MS away, so the
+ *   chain moves on to the next provider instead of queueing further
+ */
+async function waitForTurn(provider) {
+    if (!provider.minIntervalMs) {
+        return;
+    }
+    const now = Date.now();
+    const turn = Math.max(now, nextCallAt.get(provider.name) || 0);
+    if (turn - now > GEOCODE_TIMEOUT_MS) {
+        throw new Error('Too many lookups waiting for this provider');
+    }
+    nextCallAt.set(provider.name, turn + provider.minIntervalMs);
+    if (turn > now) {
+        await new Promise(resolve => setTimeout(resolve, turn - now));
+    }
+}
+
+// --- lookups ---
+
+/**
+ * Ask each provider in turn; a provider that fails or finds nothing passes to the next
+ * @returns {Promise<object>} - { value, provider }
+ * @throws {GeocodeError} 404 when no provider found anything, 503 when every one failed
+ */
+async function runChain(method, args, isEmpty) {
+    const providers = providerChain.filter(provider => typeof provider[method] === 'function');
+    let failures = 0;
+    for (const provider of providers) {
+        try {
+            await waitForTurn(provider);
+            const value = await provider[method](...args);
+            if (!isEmpty(value)) {
+                return { value, provider: provider.name };
+            }
+        } catch (error) {
+            failures += 1;
+            console.warn(`Geocoding provider ${provider.name} failed:`, error.message);
+        }
+    }
+    if (providers.length > 0 && failures === providers.length) {
+        throw new GeocodeError('Geocoding is unavailable right now', 503, { reason: 'unavailable' });
+    }
+    throw new GeocodeError('No address found', 404, { reason: 'not_found' });
+}
+
+/**
+ * Address at a point; the point is rounded to GEOCODE_CACHE_PRECISION
+ * decimals before the lookup so nearby requests share a cache entry
+ * @returns {Promise<object>} - { address, provider, cached }
+ */
+async function reverseGeocode(lat, lng) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new GeocodeError('Valid lat and lng are required', 400, { reason: 'invalid_query' });
+    }
+    const rounded = [latitude, longitude].map(value => Number(value.toFixed(GEOCODE_CACHE_PRECISION)));
+    const key = `reverse:${rounded.join(',')}`;
+
+    const hit = cacheGet(key);
+    if (hit) {
+        return { ...hit, cached: true };
+    }
+    const { value, provider } = await runChain('reverse', rounded, address => !address || !address.formattedAddress);
+    const result = { address: value, provider };
+    cacheSet(key, result);
+    return { ...result, cached: false };
+}
+
+/**
+ * Places matching a free-text query, best first
+ * @returns {Promise<object>} - { results, provider, cached }
+ */
+async function searchAddress(query, limit = 5) {
+    const text = String(query || '').trim().replace(/\s+/g, ' ');
+    if (text.length < 3) {
+        throw new GeocodeError('q must be at least 3 characters', 400, { reason: 'invalid_query' });
+    }
+    const count = Math.min(Math.max(parseInt(limit) || 5, 1), MAX_SEARCH_RESULTS);
+    const key = `search:${count}:${text.toLowerCase()}`;
+
+    const hit = cacheGet(key);
+    if (hit) {
+        return { ...hit, cached: true };
+    }
+    const { value, provider } = await runChain('search', [text, count], results => !results || results.length === 0);
+    const result = { results: value, provider };
+    cacheSet(key, result);
+    return { ...result, cached: false };
+}
+
+module.exports = {
+    GeocodeError,
+    checkRateLimit,
+    reverseGeocode,
+    searchAddress
+};
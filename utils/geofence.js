@@ -0,0 +1,69 @@
+// Geofences
+// Distances that turn rider positions into order events: leaving the store
+// (the order is out for delivery), coming within reach of the address (the
+// customer is told the rider is nearby) and where the rider was when the order
+// was marked delivered (flagged when that was too far from the address).
+
+const { haversineKm, parseCoordinates } = require('./geo');
+
+const STORE_GEOFENCE_M = parseInt(process.env.STORE_GEOFENCE_M) || 150;
+const RIDER_NEARBY_M = parseInt(process.env.RIDER_NEARBY_M) || 300;
+const DELIVERY_FLAG_DISTANCE_M = parseInt(process.env.DELIVERY_FLAG_DISTANCE_M) || 500;
+const FIX_MAX_AGE_SECONDS = 300;  // An older position says nothing about where the order was handed over
+
+const distanceM = (from, to) => Math.round(haversineKm(from.lat, from.lng, to.lat, to.lng) * 1000);
+
+/**
+ * Whether a rider moving from one position to the next left the store's geofence
+ * @param {object|null} previous - Last known position ({ lat, lng }), if any
+ */
+function leftStore(storeCoordinates, previous, current) {
+    return Boolean(previous) &&
+        distanceM(storeCoordinates, previous) <= STORE_GEOFENCE_M &&
+        distanceM(storeCoordinates, current) > STORE_GEOFENCE_M;
+}
+
+/**
+ * Whether a rider is close enough to the address to tell the customer
+ */
+function isNearby(position, destination) {
+    return distanceM(position, destination) <= RIDER_NEARBY_M;
+}
+
+/**
+ * Store how far the rider was from the address when an order was marked
+ * delivered, and flag it when that was more than DELIVERY_FLAG_DISTANCE_M
+ * beyond the accuracy of their fix. Nothing is stored without a recent fix.
+ * @param {object} client - pg client inside the caller's transaction
+ * @param {object} order - orders row (after the change)
+ * @returns {Promise<object>} - The orders row
+ */
+async function recordDeliveryLocation(client, order) {
+    const destination = parseCoordinates(order.delivery_address);
+    const result = await client.query(
+        `SELECT last_latitude, last_longitude, last_accuracy_m
+         FROM riders WHERE id = $1 AND last_seen_at >= NOW() - make_interval(secs => $2)`,
+        [order.rider_id, FIX_MAX_AGE_SECONDS]
+    );
+    const rider = result.rows[0];
+    if (!destination || !rider || rider.last_latitude === null) {
+        return order;
+    }
+
+    const distance = distanceM({ lat: Number(rider.last_latitude), lng: Number(rider.last_longitude) }, destination);
+    const flagged = distance - (rider.last_accuracy_m || 0) > DELIVERY_FLAG_DISTANCE_M;
+    const updated = await client.query(
+        'UPDATE orders SET delivered_distance_m = $2, delivery_flagged = $3 WHERE id = $1 RETURNING *',
+        [order.id, distance, flagged]
+    );
+    return updated.rows[0];
+}
+
+module.exports = {
+    STORE_GEOFENCE_M,
+    RIDER_NEARBY_M,
+    DELIVERY_FLAG_DISTANCE_M,
+    leftStore,
+    isNearby,
+    recordDeliveryLocation
+};
@@ -0,0 +1,191 @@
+// Idempotency Keys
+// Stores the first response for an Idempotency-Key header and replays it for
+// retries, so double-clicks and network retries don't create duplicate rows
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+// Fallback in-memory storage for when database is not available
+const memoryKeys = new Map();
+const MEMORY_MAX_KEYS = 5000;
+
+/**
+ * JSON with sorted object keys, so equal bodies always hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 of the request body, used to detect a key reused for a different request
+ */
+function hashRequestBody(body) {
+    return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+const databaseStore = (pool) => ({
+    async reserve(scope, key, requestHash) {
+        // Insert a new reservation, or take over one that has expired
+        const reserved = await pool.query(
+            `INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at)
+             VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')
+             ON CONFLICT (scope, idempotency_key) DO UPDATE
+                SET request_hash = EXCLUDED.request_hash,
+                    status_code = NULL,
+                    response_body = NULL,
+                    created_at = NOW(),
+                    expires_at = EXCLUDED.expires_at
+                WHERE idempotency_keys.expires_at < NOW()
+             RETURNING *`,
+            [scope, key, requestHash, IDEMPOTENCY_TTL_SECONDS]
+        );
+        if (reserved.rows.length > 0) {
+            await pool.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+            return null;
+        }
+
+        const existing = await pool.query(
+            'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+            [scope, key]
+        );
+        const row = existing.rows[0];
+        return { requestHash: row.request_hash, statusCode: row.status_code, body: row.response_body };
+    },
+
+    async complete(scope, key, statusCode, body) {
+        await pool.query(
+            `UPDATE idempotency_keys SET status_code = $3, response_body = $4
+             WHERE scope = $1 AND idempotency_key = $2`,
+            [scope, key, statusCode, JSON.stringify(body)]
+        );
+    },
+
+    async release(scope, key) {
+        await pool.query('DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2', [scope, key]);
+    }
+});
+
+const memoryStore = {
+    async reserve(scope, key, requestHash) {
+        const id = `${scope}:${key}`;
+        const now = Date.now();
+        const existing = memoryKeys.get(id);
+        if (existing && existing.expiresAt > now) {
+            return existing;
+        }
+        memoryKeys.delete(id);
+
+        // Drop expired keys once the map is full, then the oldest if it still is;
+        // Maps iterate in insertion order
+        if (memoryKeys.size >= MEMORY_MAX_KEYS) {
+            for (const [storedId, entry] of memoryKeys) {
+                if (entry.expiresAt <= now) memoryKeys.delete(storedId);
+            }
+            if (memoryKeys.size >= MEMORY_MAX_KEYS) {
+                memoryKeys.delete(memoryKeys.keys().next().value);
+            }
+        }
+        memoryKeys.set(id, { requestHash, statusCode: null, body: null, expiresAt: now + IDEMPOTENCY_TTL_SECONDS * 1000 });
+        return null;
+    },
+
+    async complete(scope, key, statusCode, body) {
+        const entry = memoryKeys.get(`${scope}:${key}`);
+        if (entry) {
+            entry.statusCode = statusCode;
+            entry.body = body;
+        }
+    },
+
+    async release(scope, key) {
+        memoryKeys.delete(`${scope}:${key}`);
+    }
+};
+
+/**
+ * Run a POST handler at most once per Idempotency-Key
+ * Requests without the header run normally. A repeated key replays the stored
+ * response, a key still being processed gets 409, and a key reused with a
+ * different body gets 422. Server errors (5xx) are not stored so the client
+ * can retry with the same key.
+ * @param {object} pool - pg Pool
+ * @param {string} scope - Endpoint the key belongs to, e.g. 'orders'
+ * @param {Function} handler - async (req, res) handler that responds with res.json
+ */
+async function withIdempotency(pool, scope, req, res, handler) {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+        return handler(req, res);
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ success: false, error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const requestHash = hashRequestBody(req.body);
+    let store = databaseStore(pool);
+    let existing;
+    try {
+        existing = await store.reserve(scope, key, requestHash);
+    } catch (error) {
+        console.error('Database error, using fallback storage:', error.message);
+        store = memoryStore;
+        existing = await store.reserve(scope, key, requestHash);
+    }
+
+    if (existing) {
+        if (existing.requestHash !== requestHash) {
+            return res.status(422).json({
+                success: false,
+                error: 'Idempotency-Key was already used with a different request body'
+            });
+        }
+        if (existing.statusCode === null) {
+            return res.status(409).json({
+                success: false,
+                error: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+    }
+
+    // Capture the response the handler sends so it can be replayed later
+    let captured = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        captured = { statusCode: res.statusCode, body };
+        return json(body);
+    };
+
+    try {
+        await handler(req, res);
+    } catch (error) {
+        await store.release(scope, key).catch(releaseError => console.error('Failed to release idempotency key:', releaseError.message));
+        throw error;
+    }
+
+    try {
+        if (captured && captured.statusCode < 500) {
+            await store.complete(scope, key, captured.statusCode, captured.body);
+        } else {
+            await store.release(scope, key);
+        }
+    } catch (error) {
+        console.error('Failed to store idempotent response:', error.message);
+    }
+}
+
+module.exports = {
+    IDEMPOTENCY_TTL_SECONDS,
+    hashRequestBody,
+    withIdempotency
+};
@@ -0,0 +1,316 @@
+// Store Inventory
+// Stock per store and product variant. Placing an order reserves stock in one
+// store; cancelling releases it and shipping the order takes it off the shelf.
+
+/**
+ * Raised when an order cannot be fulfilled from stock
+ */
+class InventoryError extends Error {
+    constructor(message, statusCode = 409, details = {}) {
+        super(message);
+        this.name = 'InventoryError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Merge order lines for the same variant into one quantity
+ * @param {Array} items - Priced order items ({ productId, unit, quantity })
+ */
+function aggregateItems(items) {
+    const merged = new Map();
+    items.forEach(item => {
+        const key = `${item.productId}|${item.unit}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            merged.set(key, { productId: parseInt(item.productId), unit: item.unit, quantity: item.quantity });
+        }
+    });
+    return [...merged.values()];
+}
+
+/**
+ * Find what a store is missing for a set of items, locking its inventory rows
+ * @returns {Promise<Array>} - [{ productId, unit, requested, available }]
+ */
+async function findShortfalls(client, storeId, items) {
+    const result = await client.query(
+        `SELECT product_id, unit, quantity - reserved AS available
+         FROM inventory
+         WHERE store_id = $1 AND (product_id, unit) IN (SELECT * FROM unnest($2::int[], $3::text[]))
+         FOR UPDATE`,
+        [storeId, items.map(item => item.productId), items.map(item => item.unit)]
+    );
+
+    const available = new Map(result.rows.map(row => [`${row.product_id}|${row.unit}`, row.available]));
+    return items
+        .map(item => ({
+            productId: item.productId,
+            unit: item.unit,
+            requested: item.quantity,
+            available: available.get(`${item.productId}|${item.unit}`) || 0
+        }))
+        .filter(line => line.available < line.requested);
+}
+
+/**
+ * Reserve stock for a new order in the first candidate store that has every item
+ * Without candidates every store is tried in ID order.
+ * @param {object} client - pg client inside the caller's transaction
+ * @param {number} orderId - Order the stock is held for
+ * @param {Array} items - Priced order items
+ * @param {object} options - { storeIds } candidate stores, preferred first
+ * @returns {Promise<object>} - { storeId, items }
+ */
+async function reserveStock(client, orderId, items, { storeIds = null } = {}) {
+    const lines = aggregateItems(items);
+
+    let candidates = storeIds;
+    if (!candidates) {
+        const stores = await client.query('SELECT id FROM stores ORDER BY id');
+        candidates = stores.rows.map(row => row.id);
+    }
+    if (candidates.length === 0) {
+        throw new InventoryError('No store is available to fulfil this order', 409);
+    }
+
+    let firstShortfalls = null;
+    for (const candidate of candidates) {
+        const shortfalls = await findShortfalls(client, candidate, lines);
+        if (shortfalls.length > 0) {
+            firstShortfalls = firstShortfalls || { storeId: candidate, items: shortfalls };
+            continue;
+        }
+
+        for (const line of lines) {
+            await client.query(
+                `UPDATE inventory SET reserved = reserved + $4, updated_at = NOW()
+                 WHERE store_id = $1 AND product_id = $2 AND unit = $3`,
+                [candidate, line.productId, line.unit, line.quantity]
+            );
+            await client.query(
+                `INSERT INTO stock_reservations (order_id, store_id, product_id, unit, quantity)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [orderId, candidate, line.productId, line.unit, line.quantity]
+            );
+        }
+        return { storeId: candidate, items: lines };
+    }
+
+    throw new InventoryError('Some items are out of stock', 409, firstShortfalls);
+}
+
+/**
+ * Put an order's reserved stock back on sale (cancellation, failed payment, refund before dispatch)
+ * @returns {Promise<number>} - Number of reservation lines released
+ */
+async function releaseStock(client, orderId) {
+    const result = await client.query(
+        `WITH released AS (
+            UPDATE stock_reservations SET status = 'released', updated_at = NOW()
+            WHERE order_id = $1 AND status = 'reserved'
+            RETURNING store_id, product_id, unit, quantity
+         )
+         UPDATE inventory i SET reserved = i.reserved - r.quantity, updated_at = NOW()
+         FROM released r
+         WHERE i.store_id = r.store_id AND i.product_id = r.product_id AND i.unit = r.unit`,
+        [orderId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Take an order's reserved stock off the shelf once it leaves the store
+ * @returns {Promise<number>} - Number of reservation lines fulfilled
+ */
+async function fulfilStock(client, orderId) {
+    const result = await client.query(
+        `WITH fulfilled AS (
+            UPDATE stock_reservations SET status = 'fulfilled', updated_at = NOW()
+            WHERE order_id = $1 AND status = 'reserved'
+            RETURNING store_id, product_id, unit, quantity
+         )
+         UPDATE inventory i
+         SET quantity = i.quantity - f.quantity, reserved = i.reserved - f.quantity, updated_at = NOW()
+         FROM fulfilled f
+         WHERE i.store_id = f.store_id AND i.product_id = f.product_id AND i.unit = f.unit`,
+        [orderId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Keep reservations in step with an order status change
+ * A refunded order that never left the store (confirmed/packed → refunded) still
+ * holds its reservation; once out for delivery the stock was already taken off
+ * the shelf, so releasing finds nothing left to release.
+ */
+async function syncStockWithStatus(client, orderId, toStatus) {
+    if (toStatus === 'cancelled' || toStatus === 'refunded') {
+        return releaseStock(client, orderId);
+    }
+    if (toStatus === 'out_for_delivery') {
+        return fulfilStock(client, orderId);
+    }
+    return 0;
+}
+
+/**
+ * Stock available for sale per product variant, in one store or across all
+ * @returns {Promise<Map>} - "productId|unit" => available quantity
+ */
+async function getStockLevels(db, { storeId = null } = {}) {
+    const result = storeId
+        ? await db.query(
+            `SELECT product_id, unit, SUM(quantity - reserved)::int AS available
+             FROM inventory WHERE store_id = $1 GROUP BY product_id, unit`,
+            [storeId]
+        )
+        : await db.query(
+            `SELECT product_id, unit, SUM(quantity - reserved)::int AS available
+             FROM inventory GROUP BY product_id, unit`
+        );
+    return new Map(result.rows.map(row => [`${row.product_id}|${row.unit}`, row.available]));
+}
+
+/**
+ * Add inStock flags to products and their variants
+ * Without stock levels (database unavailable) everything is shown as in stock.
+ * @param {Array} products - Catalog rows
+ * @param {Map|null} levels - Result of getStockLevels
+ */
+function applyStockFlags(products, levels) {
+    return products.map(product => {
+        const variants = (typeof product.variants === 'string' ? JSON.parse(product.variants) : product.variants) || [];
+        const flagged = variants.map(variant => ({
+            ...variant,
+            inStock: levels ? (levels.get(`${product.id}|${variant.unit}`) || 0) > 0 : true
+        }));
+        return {
+            ...product,
+            variants: flagged,
+            inStock: flagged.some(variant => variant.inStock)
+        };
+    });
+}
+
+/**
+ * Give a product a zero-stock inventory row in every store for each of its
+ * units that has none yet, so its stock can be counted in and set
+ * @param {object} client - pg client (or pool)
+ * @param {Array} units - Variant units
+ * @returns {Promise<number>} - Number of rows created
+ */
+async function addInventoryRows(client, productId, units) {
+    const result = await client.query(
+        `INSERT INTO inventory (store_id, product_id, unit, quantity)
+         SELECT s.id, $1, u.unit, 0 FROM stores s CROSS JOIN UNNEST($2::text[]) AS u(unit)
+         ON CONFLICT (store_id, product_id, unit) DO NOTHING`,
+        [productId, units]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Move a variant's stock and open reservations to its new unit when the unit is renamed
+ * @param {object} client - pg client inside the caller's transaction
+ */
+async function renameInventoryUnit(client, productId, fromUnit, toUnit) {
+    // Rows left behind by an earlier variant with the new unit are only replaced while empty
+    const stocked = await client.query(
+        `SELECT store_id FROM inventory
+         WHERE product_id = $1 AND unit = $2 AND (quantity > 0 OR reserved > 0)`,
+        [productId, toUnit]
+    );
+    if (stocked.rows.length > 0) {
+        throw new InventoryError(`Stock is still recorded for "${toUnit}"`, 409, {
+            unit: toUnit,
+            storeIds: stocked.rows.map(row => row.store_id)
+        });
+    }
+    await client.query('DELETE FROM inventory WHERE product_id = $1 AND unit = $2', [productId, toUnit]);
+
+    await client.query(
+        'UPDATE inventory SET unit = $3, updated_at = NOW() WHERE product_id = $1 AND unit = $2',
+        [productId, fromUnit, toUnit]
+    );
+    await client.query(
+        `UPDATE stock_reservations SET unit = $3, updated_at = NOW()
+         WHERE product_id = $1 AND unit = $2 AND status = 'reserved'`,
+        [productId, fromUnit, toUnit]
+    );
+}
+
+/**
+ * Set how many of a variant a store has on hand (after a stock count or a delivery)
+ * It cannot go below what is already reserved for open orders.
+ * @param {object} db - pg Pool
+ * @param {object} stock - { storeId, productId, unit, quantity }
+ * @returns {Promise<object>} - { storeId, productId, unit, quantity, reserved, available }
+ */
+async function setStock(db, { storeId, productId, unit, quantity }) {
+    const store = parseInt(storeId);
+    const product = parseInt(productId);
+    if (isNaN(store) || isNaN(product) || typeof unit !== 'string' || !unit) {
+        throw new InventoryError('storeId, productId and unit are required', 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        throw new InventoryError('quantity must be a whole number of at least 0', 400, { quantity });
+    }
+
+    const catalog = await db.query(
+        `SELECT 1 FROM products p, jsonb_array_elements(p.variants) v
+         WHERE p.id = $1 AND p.archived_at IS NULL AND v->>'unit' = $2 AND NOT COALESCE((v->>'archived')::boolean, false)`,
+        [product, unit]
+    );
+    if (catalog.rows.length === 0) {
+        throw new InventoryError(`Product ${product} has no variant "${unit}" on sale`, 404, { productId: product, unit });
+    }
+    const stores = await db.query('SELECT 1 FROM stores WHERE id = $1', [store]);
+    if (stores.rows.length === 0) {
+        throw new InventoryError('Store not found', 404, { storeId: store });
+    }
+
+    const result = await db.query(
+        `INSERT INTO inventory (store_id, product_id, unit, quantity) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (store_id, product_id, unit)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()
+         WHERE inventory.reserved <= EXCLUDED.quantity
+         RETURNING *`,
+        [store, product, unit, quantity]
+    );
+    if (result.rows.length === 0) {
+        const current = await db.query(
+            'SELECT reserved FROM inventory WHERE store_id = $1 AND product_id = $2 AND unit = $3',
+            [store, product, unit]
+        );
+        const reserved = current.rows.length > 0 ? current.rows[0].reserved : 0;
+        throw new InventoryError(`${reserved} are reserved for open orders`, 409, { reserved, quantity });
+    }
+
+    const row = result.rows[0];
+    return {
+        storeId: row.store_id,
+        productId: row.product_id,
+        unit: row.unit,
+        quantity: row.quantity,
+        reserved: row.reserved,
+        available: row.quantity - row.reserved
+    };
+}
+
+module.exports = {
+    InventoryError,
+    reserveStock,
+    releaseStock,
+    fulfilStock,
+    syncStockWithStatus,
+    addInventoryRows,
+    renameInventoryUnit,
+    setStock,
+    getStockLevels,
+    applyStockFlags
+};
@@ -0,0 +1,390 @@
+// Store Operations
+// What store staff and admins work with: order queues by store and status,
+// bulk status updates, moving an order to another store, daily totals and
+// user roles.
+
+const { ROLES } = require('./auth');
+const { ORDER_STATUSES, OrderStatusError, recordStatusChange, transitionOrder } = require('./order-status');
+const { releaseStock, reserveStock } = require('./inventory');
+const { formatOrder } = require('./orders');
+const { refreshOrderEta } = require('./eta');
+const { ACTIVE_DELIVERY_STATUSES, dispatchRider } = require('./riders');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const MAX_BULK_ORDERS = 100;
+const MAX_REPORT_DAYS = 92;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Stock is still on the shelf until an order is packed, so only these can move
+const REASSIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+// Roles that belong to a store; the others never carry a store ID
+const STORE_ROLES = ['store_staff', 'rider'];
+
+/**
+ * Raised when an operations request is invalid or targets something missing
+ */
+class OperationsError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'OperationsError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Read a comma separated status filter ("confirmed,packed")
+ * @returns {Array<string>} - Empty for no filter
+ */
+function parseStatuses(value) {
+    if (!value) {
+        return [];
+    }
+    const statuses = String(value).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = statuses.filter(status => !ORDER_STATUSES.includes(status));
+    if (unknown.length > 0) {
+        throw new OperationsError(`Unknown status: ${unknown.join(', ')}`, 400, { allowed: ORDER_STATUSES });
+    }
+    return statuses;
+}
+
+/**
+ * Orders of a store (or of every store), newest first
+ * @param {object} filters - { storeId, statuses, flagged, limit } flagged keeps only
+ *   orders marked delivered far from the address
+ */
+async function listStoreOrders(db, { storeId = null, statuses = [], flagged = false, limit = DEFAULT_LIST_LIMIT } = {}) {
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LIST_LIMIT) {
+        throw new OperationsError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+    }
+
+    const result = await db.query(
+        `SELECT * FROM orders
+         WHERE ($1::int IS NULL OR store_id = $1)
+           AND (cardinality($2::text[]) = 0 OR status = ANY($2::text[]))
+           AND (NOT $4 OR delivery_flagged)
+         ORDER BY created_at DESC, id DESC
+         LIMIT $3`,
+        [storeId, statuses, count, flagged]
+    );
+    return result.rows.map(formatOrder);
+}
+
+/**
+ * Move several orders to a status (or one step along the fulfilment flow)
+ * Each order changes in its own transaction, so one order that cannot move
+ * does not hold back the others.
+ * @param {Array} orderIds - Orders to update
+ * @param {object} options - { status, changedBy, note, storeId, otpRequired } storeId limits the update to
+ *   that store's orders; otpRequired leaves orders that would become delivered (see transitionOrder)
+ * @returns {Promise<Array>} - [{ orderId, success, status?, change?, error?, details? }]
+ */
+async function advanceOrders(pool, orderIds, { status = null, changedBy = 'system', note = null, storeId = null, otpRequired = false } = {}) {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        throw new OperationsError('orderIds must be a non-empty array');
+    }
+    if (orderIds.length > MAX_BULK_ORDERS) {
+        throw new OperationsError(`At most ${MAX_BULK_ORDERS} orders can be updated at once`);
+    }
+    const ids = [...new Set(orderIds.map(id => parseInt(id)))];
+    if (ids.some(id => isNaN(id))) {
+        throw new OperationsError('orderIds must be order IDs');
+    }
+    if (status !== null && !ORDER_STATUSES.includes(status)) {
+        throw new OperationsError(`Invalid status: ${status}`, 400, { allowed: ORDER_STATUSES });
+    }
+
+    const results = [];
+    for (const orderId of ids) {
+        try {
+            const { order, change } = await transitionOrder(pool, orderId, status, { changedBy, note, storeId, otpRequired });
+            results.push({ orderId, success: true, status: order.status, change });
+        } catch (error) {
+            if (!(error instanceof OrderStatusError)) {
+                throw error;
+            }
+            results.push({ orderId, success: false, error: error.message, details: error.details });
+        }
+    }
+    return results;
+}
+
+/**
+ * Move an order's stock reservation to another store
+ * The new store must have every item; otherwise nothing changes.
+ * @returns {Promise<object>} - { order, change, fromStoreId }
+ */
+async function reassignOrderStore(pool, orderId, storeId, { changedBy = 'system', note = null } = {}) {
+    const id = parseInt(orderId);
+    const targetStoreId = parseInt(storeId);
+    if (isNaN(id) || isNaN(targetStoreId)) {
+        throw new OperationsError('orderId and storeId are required');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new OperationsError('Order not found', 404);
+        }
+        const order = current.rows[0];
+        if (!REASSIGNABLE_STATUSES.includes(order.status)) {
+            throw new OperationsError(`A ${order.status} order cannot be moved to another store`, 409, {
+                status: order.status,
+                allowed: REASSIGNABLE_STATUSES
+            });
+        }
+        if (order.store_id === targetStoreId) {
+            throw new OperationsError('Order is already assigned to that store', 409);
+        }
+
+        const store = await client.query('SELECT id FROM stores WHERE id = $1 AND is_active', [targetStoreId]);
+        if (store.rows.length === 0) {
+            throw new OperationsError('Store not found', 404);
+        }
+
+        await releaseStock(client, id);
+        await reserveStock(client, id, order.items, { storeIds: [targetStoreId] });
+        const updated = await client.query('UPDATE orders SET store_id = $1 WHERE id = $2 RETURNING *', [targetStoreId, id]);
+        const moved = await refreshOrderEta(client, updated.rows[0]);
+
+        // Recorded on the timeline so the move shows up in the order's audit trail
+        const change = await recordStatusChange(client, {
+            orderId: id,
+            fromStatus: order.status,
+            toStatus: order.status,
+            changedBy,
+            note: note || `Moved from store ${order.store_id} to store ${targetStoreId}`
+        });
+
+        await client.query('COMMIT');
+        return { order: formatOrder(moved), change, fromStoreId: order.store_id };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Hand a packed or out-for-delivery order to another rider, who must be on
+ * shift and free; the previous rider picks up the next waiting order
+ * @param {object} options - { changedBy, note, storeId } storeId limits the change to that store's orders
+ * @returns {Promise<object>} - { order, change, fromRiderId }
+ */
+async function reassignOrderRider(pool, orderId, riderId, { changedBy = 'system', note = null, storeId = null } = {}) {
+    const id = parseInt(orderId);
+    const targetRiderId = parseInt(riderId);
+    if (isNaN(id) || isNaN(targetRiderId)) {
+        throw new OperationsError('orderId and riderId are required');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new OperationsError('Order not found', 404);
+        }
+        const order = current.rows[0];
+        if (storeId !== null && order.store_id !== storeId) {
+            throw new OperationsError('Order belongs to another store', 403, { storeId: order.store_id });
+        }
+        if (!ACTIVE_DELIVERY_STATUSES.includes(order.status)) {
+            throw new OperationsError(`A ${order.status} order has no rider to change`, 409, {
+                status: order.status,
+                allowed: ACTIVE_DELIVERY_STATUSES
+            });
+        }
+        if (order.rider_id === targetRiderId) {
+            throw new OperationsError('Order is already assigned to that rider', 409);
+        }
+
+        const rider = await client.query('SELECT * FROM riders WHERE id = $1 AND is_active FOR UPDATE', [targetRiderId]);
+        if (rider.rows.length === 0) {
+            throw new OperationsError('Rider not found', 404);
+        }
+        if (rider.rows[0].shift_status !== 'on_shift') {
+            throw new OperationsError(`${rider.rows[0].name} is not on shift`, 409, { shiftStatus: rider.rows[0].shift_status });
+        }
+        const busy = await client.query(
+            'SELECT id FROM orders WHERE rider_id = $1 AND status = ANY($2::text[])',
+            [targetRiderId, ACTIVE_DELIVERY_STATUSES]
+        );
+        if (busy.rows.length > 0) {
+            throw new OperationsError(`${rider.rows[0].name} already has an active delivery`, 409, { orderIds: busy.rows.map(row => row.id) });
+        }
+
+        const updated = await client.query(
+            'UPDATE orders SET rider_id = $1, rider_assigned_at = NOW() WHERE id = $2 RETURNING *',
+            [targetRiderId, id]
+        );
+        const change = await recordStatusChange(client, {
+            orderId: id,
+            fromStatus: order.status,
+            toStatus: order.status,
+            changedBy,
+            note: note || `Assigned to rider ${rider.rows[0].name}`
+        });
+        if (order.rider_id) {
+            await dispatchRider(client, order.rider_id);
+        }
+        const reassigned = await refreshOrderEta(client, updated.rows[0]);
+
+        await client.query('COMMIT');
+        return { order: formatOrder(reassigned), change, fromRiderId: order.rider_id };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) in a time zone
+ */
+function localDate(date, timeZone = DEFAULT_TIMEZONE) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Read a from/to date range, the last 7 days by default
+ * @returns {object} - { from, to } as YYYY-MM-DD
+ */
+function parseDateRange({ from, to } = {}) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+    const end = to || localDate(new Date());
+    const start = from || localDate(new Date(Date.parse(`${end}T00:00:00Z`) - 6 * 86400000), 'UTC');
+    if (!isDate(start) || !isDate(end)) {
+        throw new OperationsError('from and to must be dates (YYYY-MM-DD)');
+    }
+
+    const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000 + 1;
+    if (days < 1) {
+        throw new OperationsError('from cannot be after to');
+    }
+    if (days > MAX_REPORT_DAYS) {
+        throw new OperationsError(`A report can cover at most ${MAX_REPORT_DAYS} days`);
+    }
+    return { from: start, to: end };
+}
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Order counts and sales per store and day (in the store's time zone)
+ * Sales leave out cancelled and fully refunded orders; net sales also take
+ * off partial refunds.
+ * @param {object} filters - { from, to, storeId }
+ * @returns {Promise<object>} - { from, to, days: [...], totals }
+ */
+async function getDailyTotals(db, { from, to, storeId = null } = {}) {
+    const range = parseDateRange({ from, to });
+
+    const result = await db.query(
+        `WITH order_days AS (
+            SELECT o.store_id, o.status, o.total_amount,
+                   (o.created_at::timestamptz AT TIME ZONE COALESCE(s.timezone, $4))::date AS day,
+                   COALESCE((SELECT SUM(r.amount) FROM refunds r WHERE r.order_id = o.id AND r.status <> 'failed'), 0) AS refunded
+            FROM orders o
+            LEFT JOIN stores s ON s.id = o.store_id
+            WHERE o.created_at >= $1::date - INTERVAL '1 day'
+              AND o.created_at < $2::date + INTERVAL '2 days'
+              AND ($3::int IS NULL OR o.store_id = $3)
+         )
+         SELECT to_char(day, 'YYYY-MM-DD') AS date, store_id,
+                COUNT(*)::int AS orders,
+                COUNT(*) FILTER (WHERE status = 'delivered')::int AS delivered,
+                COUNT(*) FILTER (WHERE status = 'cancelled')::int AS cancelled,
+                COALESCE(SUM(total_amount) FILTER (WHERE status NOT IN ('cancelled', 'refunded')), 0) AS sales,
+                COALESCE(SUM(refunded), 0) AS refunded,
+                COALESCE(SUM(total_amount - refunded) FILTER (WHERE status NOT IN ('cancelled', 'refunded')), 0) AS net_sales
+         FROM order_days
+         WHERE day BETWEEN $1::date AND $2::date
+         GROUP BY day, store_id
+         ORDER BY day DESC, store_id`,
+        [range.from, range.to, storeId, DEFAULT_TIMEZONE]
+    );
+
+    const days = result.rows.map(row => {
+        const counted = row.orders - row.cancelled;
+        return {
+            date: row.date,
+            storeId: row.store_id,
+            orders: row.orders,
+            delivered: row.delivered,
+            cancelled: row.cancelled,
+            sales: toAmount(row.sales),
+            refunded: toAmount(row.refunded),
+            netSales: toAmount(row.net_sales),
+            averageOrderValue: counted > 0 ? toAmount(row.sales / counted) : 0
+        };
+    });
+
+    const totals = days.reduce((sum, day) => ({
+        orders: sum.orders + day.orders,
+        delivered: sum.delivered + day.delivered,
+        cancelled: sum.cancelled + day.cancelled,
+        sales: toAmount(sum.sales + day.sales),
+        refunded: toAmount(sum.refunded + day.refunded),
+        netSales: toAmount(sum.netSales + day.netSales)
+    }), { orders: 0, delivered: 0, cancelled: 0, sales: 0, refunded: 0, netSales: 0 });
+
+    return { ...range, days, totals };
+}
+
+/**
+ * Give a user a role; store staff must belong to a store, riders may
+ * @param {object} assignment - { role, storeId }
+ * @returns {Promise<object>} - The users row
+ */
+async function setUserRole(db, userId, { role, storeId = null } = {}) {
+    if (!userId || typeof userId !== 'string') {
+        throw new OperationsError('userId is required');
+    }
+    if (!ROLES.includes(role)) {
+        throw new OperationsError(`role must be one of: ${ROLES.join(', ')}`, 400, { allowed: ROLES });
+    }
+
+    let store = null;
+    if (STORE_ROLES.includes(role) && storeId !== null && storeId !== undefined) {
+        store = parseInt(storeId);
+        const exists = isNaN(store) ? { rows: [] } : await db.query('SELECT id FROM stores WHERE id = $1', [store]);
+        if (exists.rows.length === 0) {
+            throw new OperationsError('Store not found', 404);
+        }
+    }
+    if (role === 'store_staff' && store === null) {
+        throw new OperationsError('storeId is required for store staff');
+    }
+
+    const result = await db.query(
+        `INSERT INTO users (user_id, role, store_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id)
+         DO UPDATE SET role = $2, store_id = $3
+         RETURNING *`,
+        [userId, role, store]
+    );
+    return result.rows[0];
+}
+
+module.exports = {
+    OperationsError,
+    REASSIGNABLE_STATUSES,
+    parseStatuses,
+    listStoreOrders,
+    advanceOrders,
+    reassignOrderStore,
+    reassignOrderRider,
+    getDailyTotals,
+    setUserRole
+};
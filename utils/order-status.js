@@ -0,0 +1,290 @@
+// Order Status State Machine
+// Defines the order lifecycle and records every transition in order_status_history
+
+const { syncStockWithStatus } = require('./inventory');
+const { refreshOrderEta } = require('./eta');
+const { ACTIVE_DELIVERY_STATUSES, assignNearestRider, dispatchRider } = require('./riders');
+const { recordDeliveryLocation } = require('./geofence');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed next statuses for each status
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['packed', 'cancelled', 'refunded'],
+    packed: ['out_for_delivery', 'cancelled', 'refunded'],
+    out_for_delivery: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// The usual path of an order; bulk updates advance orders one step along it
+const FULFILMENT_FLOW = ['pending', 'confirmed', 'packed', 'out_for_delivery', 'delivered'];
+
+/**
+ * Raised when a status change is not allowed
+ */
+class OrderStatusError extends Error {
+    constructor(message, statusCode = 409, details = {}) {
+        super(message);
+        this.name = 'OrderStatusError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Check whether an order may move from one status to another
+ */
+function canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Next status along the fulfilment flow
+ * @returns {string|null} - null once the order has left the flow
+ */
+function nextStatus(status) {
+    const index = FULFILMENT_FLOW.indexOf(status);
+    return index >= 0 && index < FULFILMENT_FLOW.length - 1 ? FULFILMENT_FLOW[index + 1] : null;
+}
+
+/**
+ * Validate a requested status change, throwing OrderStatusError if it is illegal
+ * @param {object} [options] - { otpRequired } refuses to mark orders delivered
+ *   (riders do that with the customer's OTP)
+ */
+function assertTransition(fromStatus, toStatus, { otpRequired = false } = {}) {
+    if (!toStatus || !ORDER_STATUSES.includes(toStatus)) {
+        throw new OrderStatusError(`Invalid status: ${toStatus}`, 400, { allowed: ORDER_STATUSES });
+    }
+
+    if (!canTransition(fromStatus, toStatus)) {
+        throw new OrderStatusError(`Cannot change order status from ${fromStatus} to ${toStatus}`, 409, {
+            from: fromStatus,
+            to: toStatus,
+            allowed: ORDER_TRANSITIONS[fromStatus] || []
+        });
+    }
+
+    if (toStatus === 'delivered' && otpRequired) {
+        throw new OrderStatusError('Orders are marked delivered by their rider with the customer\'s OTP', 403, {
+            reason: 'otp_required'
+        });
+    }
+}
+
+/**
+ * Write a status change to order_status_history
+ * @param {object} client - pg Pool or client (inside the caller's transaction)
+ */
+async function recordStatusChange(client, { orderId, fromStatus = null, toStatus, changedBy = 'system', note = null }) {
+    const result = await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [orderId, fromStatus, toStatus, changedBy, note]
+    );
+    return formatHistoryEntry(result.rows[0]);
+}
+
+/**
+ * Write an already validated status change: update the order, record the
+ * history entry, move its stock reservation along, dispatch a rider, check
+ * where a delivered order was handed over and recalculate its ETA
+ * @param {object} client - pg client inside the caller's transaction
+ * @param {object} order - Locked orders row
+ * @returns {Promise<object>} - { order, change }
+ */
+async function applyTransition(client, order, toStatus, { changedBy = 'system', note = null } = {}) {
+    const updated = await client.query(
+        'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
+        [toStatus, order.id]
+    );
+    const change = await recordStatusChange(client, { orderId: order.id, fromStatus: order.status, toStatus, changedBy, note });
+    await syncStockWithStatus(client, order.id, toStatus);
+
+    // Packed orders go to the nearest free rider; a finished delivery frees
+    // the rider for the next waiting order
+    let current = updated.rows[0];
+    if (toStatus === 'delivered' && current.rider_id) {
+        current = await recordDeliveryLocation(client, current);
+    }
+    if (toStatus === 'packed' && !current.rider_id) {
+        current = await assignNearestRider(client, current);
+    } else if (current.rider_id && !ACTIVE_DELIVERY_STATUSES.includes(toStatus)) {
+        await dispatchRider(client, current.rider_id);
+    }
+    return { order: await refreshOrderEta(client, current), change };
+}
+
+/**
+ * Move an order to a new status inside a transaction
+ * @param {string|null} toStatus - Target status, or null for the next step of the fulfilment flow
+ * @param {object} options - { changedBy, note, storeId, otpRequired } storeId limits the change to that
+ *   store's orders; otpRequired refuses to mark orders delivered (riders do that with the customer's OTP)
+ * @returns {Promise<object>} - { order, change }
+ */
+async function transitionOrder(pool, orderId, toStatus, { changedBy = 'system', note = null, storeId = null, otpRequired = false } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (current.rows.length === 0) {
+            throw new OrderStatusError('Order not found', 404);
+        }
+
+        const order = current.rows[0];
+        if (storeId !== null && order.store_id !== storeId) {
+            throw new OrderStatusError('Order belongs to another store', 403, { storeId: order.store_id });
+        }
+
+        const target = toStatus || nextStatus(order.status);
+        if (!target) {
+            throw new OrderStatusError(`Order is already ${order.status}`, 409, { from: order.status });
+        }
+        assertTransition(order.status, target, { otpRequired });
+        const result = await applyTransition(client, order, target, { changedBy, note });
+
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Why a payment cannot pay for an order, or null if it can
+ * @param {object} order - orders row
+ * @param {object} payment - { amount, userId }; userId is left out when the gateway
+ *   already ties the payment to the order (Razorpay orders are created per order)
+ * @returns {string|null} - 'amount_mismatch' or 'not_your_order'
+ */
+function paymentMismatch(order, { amount, userId }) {
+    if (amount === null || amount === undefined ||
+        Math.round(Number(amount) * 100) !== Math.round(Number(order.total_amount) * 100)) {
+        return 'amount_mismatch';
+    }
+    if (userId !== undefined && String(order.user_id) !== String(userId)) {
+        return 'not_your_order';
+    }
+    return null;
+}
+
+/**
+ * Attach a successful payment to an order and confirm it if still pending.
+ * The payment must be for the order's full total and, when userId is given,
+ * made by the user who placed the order. Only a pending or confirmed order
+ * with no other payment takes it; applying the same payment again is a no-op.
+ * @param {object} client - pg client inside the caller's transaction
+ * @returns {Promise<object|null>} - Updated order row, or null if the order does not exist
+ * @throws {OrderStatusError} 422 amount_mismatch, 403 not_your_order, 409 already_paid,
+ *   order_cancelled (cancelled or refunded) or not_payable (already being fulfilled)
+ */
+async function confirmPaidOrder(client, orderId, paymentId, { amount, userId, changedBy = 'payment', note = null } = {}) {
+    const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (current.rows.length === 0) {
+        return null;
+    }
+
+    const mismatch = paymentMismatch(current.rows[0], { amount, userId });
+    if (mismatch === 'amount_mismatch') {
+        throw new OrderStatusError(`Payment ${paymentId} is not for the order total`, 422, {
+            reason: mismatch,
+            total: Number(current.rows[0].total_amount)
+        });
+    }
+    if (mismatch) {
+        throw new OrderStatusError(`Payment ${paymentId} was not made by the customer who placed the order`, 403, {
+            reason: mismatch
+        });
+    }
+
+    const order = current.rows[0];
+    if (order.payment_id === paymentId) {
+        return order;
+    }
+    if (order.payment_id) {
+        throw new OrderStatusError(`Order ${orderId} was already paid with another payment`, 409, { reason: 'already_paid' });
+    }
+    if (order.status !== 'pending' && order.status !== 'confirmed') {
+        const cancelled = order.status === 'cancelled' || order.status === 'refunded';
+        throw new OrderStatusError(`Order ${orderId} is ${order.status} and cannot take a payment`, 409, {
+            reason: cancelled ? 'order_cancelled' : 'not_payable',
+            status: order.status
+        });
+    }
+
+    const fromStatus = order.status;
+    const toStatus = canTransition(fromStatus, 'confirmed') ? 'confirmed' : fromStatus;
+
+    const updated = await client.query(
+        'UPDATE orders SET payment_id = $1, status = $2 WHERE id = $3 RETURNING *',
+        [paymentId, toStatus, orderId]
+    );
+
+    if (toStatus !== fromStatus) {
+        await recordStatusChange(client, {
+            orderId,
+            fromStatus,
+            toStatus,
+            changedBy,
+            note: note || `Payment ${paymentId} received`
+        });
+        return refreshOrderEta(client, updated.rows[0]);
+    }
+
+    return updated.rows[0];
+}
+
+/**
+ * Load the status timeline for a set of orders
+ * @returns {Promise<object>} - Map of order ID to ordered history entries
+ */
+async function getStatusHistory(pool, orderIds) {
+    const timelines = {};
+    if (orderIds.length === 0) {
+        return timelines;
+    }
+
+    const result = await pool.query(
+        'SELECT * FROM order_status_history WHERE order_id = ANY($1::int[]) ORDER BY changed_at, id',
+        [orderIds]
+    );
+
+    result.rows.forEach(row => {
+        (timelines[row.order_id] = timelines[row.order_id] || []).push(formatHistoryEntry(row));
+    });
+    return timelines;
+}
+
+function formatHistoryEntry(row) {
+    return {
+        from: row.from_status,
+        to: row.to_status,
+        changedBy: row.changed_by,
+        note: row.note,
+        changedAt: row.changed_at
+    };
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    FULFILMENT_FLOW,
+    OrderStatusError,
+    canTransition,
+    nextStatus,
+    assertTransition,
+    recordStatusChange,
+    applyTransition,
+    transitionOrder,
+    paymentMismatch,
+    confirmPaidOrder,
+    getStatusHistory,
+    formatHistoryEntry
+};
@@ -0,0 +1,156 @@
+// Order Creation
+// Writes a priced order together with its first status history entry, its
+// stock reservation, its delivery slot, its first ETA, its delivery OTP and
+// (for prepaid checkouts) the payment link
+
+const { recordStatusChange, OrderStatusError } = require('./order-status');
+const { linkPaymentToOrder, releaseUnpaidOrders } = require('./payments');
+const { reserveStock } = require('./inventory');
+const { redeemCoupon } = require('./coupons');
+const { storesWithSlotRoom } = require('./delivery-slots');
+const { refreshOrderEta, formatEta } = require('./eta');
+const { generateDeliveryOtp } = require('./delivery-proof');
+
+const GUEST_ORDERS_PER_HOUR = parseInt(process.env.GUEST_ORDERS_PER_HOUR) || 5;
+
+/**
+ * Refuse a guest order once the client has placed GUEST_ORDERS_PER_HOUR in the
+ * last hour, so anonymous requests cannot tie up the stock. Clients are taken
+ * one at a time, so concurrent orders cannot slip past the count.
+ * @throws {OrderStatusError} 429 with details.retryAfter (seconds)
+ */
+async function checkGuestOrderLimit(client, guestClient) {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('guest-orders:' || $1))`, [guestClient]);
+    const recent = await client.query(
+        `SELECT COUNT(*)::int AS count,
+                CEIL(EXTRACT(EPOCH FROM MIN(created_at) + INTERVAL '1 hour' - NOW()))::int AS retry_after
+         FROM orders
+         WHERE guest_client = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+        [guestClient]
+    );
+    const { count, retry_after: retryAfter } = recent.rows[0];
+    if (count >= GUEST_ORDERS_PER_HOUR) {
+        throw new OrderStatusError('Too many orders without signing in; sign in or try again later', 429, {
+            reason: 'guest_limit',
+            retryAfter: Math.max(retryAfter, 1)
+        });
+    }
+}
+
+/**
+ * Insert an order atomically; nothing is written if stock cannot be reserved
+ * @param {object} pool - pg Pool
+ * @param {object} order - { userId, pricing, paymentMethod, paymentId, deliveryAddress, addressId, couponCode, storeIds, slot, guestClient }
+ *   guestClient is the address a guest order comes from (see checkGuestOrderLimit); storeIds are the stores that may fulfil the order, preferred first; couponCode is the
+ *   coupon already applied to pricing, whose use is claimed here; slot ({ start, end })
+ *   makes it a scheduled order and takes a place in that slot at the chosen store, so
+ *   only stores with room in the slot are tried (storeIds is then required)
+ * @returns {Promise<object>} - The new orders row
+ */
+async function insertOrder(pool, { userId, pricing, paymentMethod, paymentId, deliveryAddress, addressId = null, couponCode = null, storeIds = null, slot = null, guestClient = null }) {
+    // Stock held by abandoned prepaid checkouts goes back on sale first
+    await releaseUnpaidOrders(pool);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        if (guestClient) {
+            await checkGuestOrderLimit(client, guestClient);
+        }
+        const coupon = couponCode ? await redeemCoupon(client, couponCode, userId) : null;
+
+        const result = await client.query(
+            `INSERT INTO orders (user_id, items, total_amount, payment_method, delivery_address, address_id,
+                                 price_breakdown, coupon_id, discount_amount, delivery_otp, guest_client)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+            [userId, JSON.stringify(pricing.items), pricing.total, paymentMethod, JSON.stringify(deliveryAddress), addressId,
+             JSON.stringify(pricing), coupon ? coupon.id : null, pricing.discount, generateDeliveryOtp(), guestClient]
+        );
+        let newOrder = result.rows[0];
+
+        await recordStatusChange(client, {
+            orderId: newOrder.id,
+            toStatus: newOrder.status,
+            changedBy: userId,
+            note: 'Order placed'
+        });
+
+        // A scheduled order goes to the first store with both the stock and a place in the slot
+        const candidates = slot ? await storesWithSlotRoom(client, storeIds, slot) : storeIds;
+        const reservation = await reserveStock(client, newOrder.id, pricing.items, { storeIds: candidates });
+        const assigned = await client.query(
+            `UPDATE orders SET store_id = $1, delivery_type = $3,
+                               delivery_slot_start = $4::timestamptz, delivery_slot_end = $5::timestamptz
+             WHERE id = $2 RETURNING *`,
+            [reservation.storeId, newOrder.id, slot ? 'scheduled' : 'instant',
+             slot ? slot.start.toISOString() : null, slot ? slot.end.toISOString() : null]
+        );
+        newOrder = assigned.rows[0];
+
+        // Orders placed after a successful payment start out confirmed; payment_id is only
+        // set once the payment is known to be the customer's own, for this order's total
+        if (paymentId) {
+            newOrder = (await linkPaymentToOrder(client, paymentId, newOrder.id)) || newOrder;
+        }
+        newOrder = await refreshOrderEta(client, newOrder);
+
+        await client.query('COMMIT');
+        return newOrder;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Shape an orders row for API responses
+ */
+function formatOrder(order) {
+    return {
+        id: order.id,
+        userId: order.user_id,
+        items: order.items,
+        total: order.total_amount,
+        status: order.status,
+        paymentMethod: order.payment_method,
+        orderDate: order.created_at,
+        deliveryAddress: order.delivery_address,
+        addressId: order.address_id,
+        storeId: order.store_id,
+        riderId: order.rider_id || null,
+        discount: Number(order.discount_amount || 0),
+        delivery: {
+            type: order.delivery_type || 'instant',
+            slotStart: order.delivery_slot_start || null,
+            slotEnd: order.delivery_slot_end || null
+        },
+        eta: formatEta(order),
+        riderNearbyAt: order.rider_nearby_at || null,
+        deliveryCheck: order.delivered_distance_m === null || order.delivered_distance_m === undefined
+            ? null
+            : { distanceM: order.delivered_distance_m, flagged: order.delivery_flagged },
+        pricing: order.price_breakdown
+    };
+}
+
+/**
+ * User who placed an order
+ * @returns {Promise<string|null>} - null when there is no such order
+ */
+async function findOrderOwner(db, orderId) {
+    const id = parseInt(orderId);
+    if (isNaN(id)) {
+        return null;
+    }
+    const result = await db.query('SELECT user_id FROM orders WHERE id = $1', [id]);
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+    insertOrder,
+    formatOrder,
+    findOrderOwner
+};
@@ -0,0 +1,184 @@
+// Payment Storage
+// Persists every payment attempt in the payments table, links successful
+// payments to their order, and cancels prepaid orders left unpaid
+
+const { OrderStatusError, confirmPaidOrder, applyTransition } = require('./order-status');
+
+// /api/payment only simulates a gateway, so its payments are taken (and pay for
+// orders) only in development with PAYMENT_SIMULATOR=true; real orders are paid
+// through Razorpay (utils/razorpay.js)
+const paymentSimulatorEnabled = () => process.env.PAYMENT_SIMULATOR === 'true';
+
+// A failed attempt leaves the order open for another try (Razorpay checkout retries on
+// the same gateway order); prepaid orders still unpaid after this long are cancelled
+const UNPAID_ORDER_MINUTES = parseInt(process.env.UNPAID_ORDER_MINUTES) || 30;
+
+/**
+ * Our order IDs are integers; checkout pages may send display IDs like "#ORD-1234"
+ */
+function toOrderId(orderReference) {
+    return /^\d+$/.test(String(orderReference)) ? parseInt(orderReference) : null;
+}
+
+/**
+ * Store a payment attempt (success or failure)
+ * A successful payment for the payer's own order, for its full total, sets
+ * orders.payment_id and confirms the order; any other successful payment is stored
+ * without an order. A failed one is only stored: the order stays open for a retry.
+ * @param {object} pool - pg Pool
+ * @param {object} record - Payment record as built by api/payment.js (userId is the payer)
+ * @returns {Promise<object>} - { payment, order, rejected } where rejected is why the
+ *   payment was not applied to the order (details.reason of the OrderStatusError)
+ */
+async function savePaymentAttempt(pool, record) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const orderId = toOrderId(record.orderId);
+        let order = null;
+        let rejected = null;
+        if (record.status === 'success' && orderId) {
+            try {
+                order = await confirmPaidOrder(client, orderId, record.transactionId, {
+                    amount: record.amount,
+                    userId: record.userId
+                });
+            } catch (error) {
+                // Checked before the order is written, so the payment is still stored
+                if (!(error instanceof OrderStatusError)) {
+                    throw error;
+                }
+                console.warn(`Payment ${record.transactionId} not applied to order ${orderId}: ${error.message}`);
+                rejected = error.details.reason;
+            }
+        }
+
+        const result = await client.query(
+            `INSERT INTO payments (transaction_id, order_reference, order_id, amount, payment_method, status,
+                                   customer_email, customer_phone, gateway_response, created_at, user_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+            [
+                record.transactionId,
+                String(record.orderId),
+                order ? order.id : null,
+                record.amount,
+                record.paymentMethod,
+                record.status,
+                record.customerEmail,
+                record.customerPhone,
+                JSON.stringify(record.gatewayResponse),
+                record.timestamp,
+                record.userId
+            ]
+        );
+
+        await client.query('COMMIT');
+        return { payment: formatPayment(result.rows[0]), order, rejected };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Link an earlier successful payment to an order created after it
+ * (checkout pays first, then places the order with paymentId).
+ * Throws OrderStatusError unless the simulator is on and the payer placed the
+ * order and paid its full total.
+ * @param {object} client - pg client inside the caller's transaction
+ * @returns {Promise<object|null>} - Updated order row, or null if there was nothing to link
+ */
+async function linkPaymentToOrder(client, transactionId, orderId) {
+    if (!paymentSimulatorEnabled()) {
+        throw new OrderStatusError('Orders are paid through Razorpay', 422, { reason: 'simulator_disabled' });
+    }
+    const result = await client.query(
+        `UPDATE payments SET order_id = $1
+         WHERE transaction_id = $2 AND status = 'success' AND order_id IS NULL
+         RETURNING *`,
+        [orderId, transactionId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    const payment = result.rows[0];
+    return confirmPaidOrder(client, orderId, transactionId, {
+        amount: payment.amount,
+        userId: payment.user_id
+    });
+}
+
+/**
+ * Cancel prepaid orders that were not paid within UNPAID_ORDER_MINUTES, putting
+ * their stock back on sale. Runs whenever orders are placed or paid for, so
+ * abandoned checkouts do not hold stock for long.
+ * @param {object} pool - pg Pool
+ * @returns {Promise<number>} - Number of orders cancelled
+ */
+async function releaseUnpaidOrders(pool, { limit = 50 } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const unpaid = await client.query(
+            `SELECT * FROM orders
+             WHERE status = 'pending' AND payment_id IS NULL AND UPPER(payment_method) <> 'COD'
+               AND created_at < NOW() - make_interval(mins => $1)
+             ORDER BY created_at
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED`,
+            [UNPAID_ORDER_MINUTES, limit]
+        );
+        for (const order of unpaid.rows) {
+            await applyTransition(client, order, 'cancelled', {
+                changedBy: 'system',
+                note: `Not paid within ${UNPAID_ORDER_MINUTES} minutes`
+            });
+        }
+        await client.query('COMMIT');
+        return unpaid.rows.length;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Look up a payment by transaction ID
+ * @returns {Promise<object|null>}
+ */
+async function findPayment(db, transactionId) {
+    const result = await db.query('SELECT * FROM payments WHERE transaction_id = $1', [transactionId]);
+    return result.rows.length > 0 ? formatPayment(result.rows[0]) : null;
+}
+
+/**
+ * Shape a payments row like the records api/payment.js has always returned
+ */
+function formatPayment(row) {
+    return {
+        transactionId: row.transaction_id,
+        orderId: row.order_id || row.order_reference,
+        amount: parseFloat(row.amount),
+        paymentMethod: row.payment_method,
+        status: row.status,
+        timestamp: row.created_at,
+        customerEmail: row.customer_email,
+        customerPhone: row.customer_phone,
+        userId: row.user_id,
+        gatewayResponse: row.gateway_response
+    };
+}
+
+module.exports = {
+    paymentSimulatorEnabled,
+    savePaymentAttempt,
+    linkPaymentToOrder,
+    releaseUnpaidOrders,
+    findPayment,
+    formatPayment
+};
@@ -0,0 +1,189 @@
+// Order Pricing Engine
+// Recomputes order totals on the server from the product catalog so the
+// amount we store and charge never depends on what the browser sends
+
+const fallbackProducts = require('./fallback-products');
+
+const PRICING_RULES = {
+    deliveryFee: 40,            // Flat delivery fee per order (₹)
+    gstRate: 0.05,              // GST applied to the subtotal after discounts
+    mismatchTolerance: 0.5,     // Client/server difference (₹) ignored as rounding
+    strictTotals: process.env.PRICING_STRICT_TOTALS === 'true'
+};
+
+/**
+ * Raised when an order cannot be priced (unknown product, bad quantity, ...)
+ */
+class PricingError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PricingError';
+        this.statusCode = 400;
+        this.details = details;
+    }
+}
+
+/**
+ * Round an amount to paise
+ */
+function roundCurrency(amount) {
+    return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Load the catalog rows referenced by a list of order items
+ * @param {object} pool - pg Pool (or client)
+ * @param {Array} items - Order items with productId
+ * @returns {Promise<Array>} - Product rows with their variants
+ */
+async function loadCatalogProducts(pool, items) {
+    const ids = [...new Set(items.map(item => parseInt(item.productId)))].filter(id => !isNaN(id));
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const result = await pool.query(
+        'SELECT id, name, category, variants FROM products WHERE id = ANY($1::int[]) AND archived_at IS NULL',
+        [ids]
+    );
+    return result.rows;
+}
+
+/**
+ * Price a list of order items against catalog products
+ * @param {Array} items - [{ productId, unit, quantity }]
+ * @param {Array} products - Catalog products ({ id, name, category, variants })
+ * @param {object} options - { discounts: [{ code, description, amount }], rules }
+ * @returns {object} - Itemized price breakdown
+ */
+function priceOrder(items, products, options = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new PricingError('Items are required and must be a non-empty array');
+    }
+
+    const rules = { ...PRICING_RULES, ...options.rules };
+    const catalog = new Map(products.map(product => [String(product.id), product]));
+
+    const lines = items.map((item, index) => {
+        const product = catalog.get(String(item.productId));
+        if (!product) {
+            throw new PricingError(`Unknown product: ${item.productId}`, { index, productId: item.productId });
+        }
+
+        const variants = typeof product.variants === 'string' ? JSON.parse(product.variants) : product.variants;
+        const variant = (variants || []).find(v => v.unit === item.unit && !v.archived);
+        if (!variant || typeof variant.price !== 'number') {
+            throw new PricingError(`Variant "${item.unit}" is not available for ${product.name}`, {
+                index,
+                productId: product.id,
+                unit: item.unit
+            });
+        }
+
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new PricingError(`Invalid quantity for ${product.name}`, { index, productId: product.id });
+        }
+
+        return {
+            productId: product.id,
+            name: product.name,
+            category: product.category,
+            unit: variant.unit,
+            quantity,
+            price: variant.price,
+            lineTotal: roundCurrency(variant.price * quantity)
+        };
+    });
+
+    return summarizeOrder(lines, options.discounts, rules);
+}
+
+/**
+ * Totals for priced lines after discounts
+ * @param {Array} lines - Priced lines from priceOrder
+ * @param {Array} discountList - [{ code, description, amount }]
+ * @returns {object} - Itemized price breakdown
+ */
+function summarizeOrder(lines, discountList = [], rules = PRICING_RULES) {
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    // Discounts are produced on the server only; the combined discount can
+    // never take the subtotal below zero
+    const discounts = (discountList || []).map(discount => ({
+        code: discount.code,
+        description: discount.description,
+        amount: roundCurrency(discount.amount)
+    }));
+    const discount = roundCurrency(Math.min(subtotal, discounts.reduce((sum, d) => sum + d.amount, 0)));
+
+    const taxableAmount = roundCurrency(subtotal - discount);
+    const gst = roundCurrency(taxableAmount * rules.gstRate);
+    const deliveryFee = roundCurrency(rules.deliveryFee);
+    const total = roundCurrency(taxableAmount + gst + deliveryFee);
+
+    return {
+        currency: 'INR',
+        items: lines,
+        subtotal,
+        discounts,
+        discount,
+        deliveryFee,
+        gstRate: rules.gstRate,
+        gst,
+        total
+    };
+}
+
+/**
+ * Price order items, using the fallback catalog when the database is down
+ */
+async function quoteOrder(pool, items, options = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new PricingError('Items are required and must be a non-empty array');
+    }
+
+    let products;
+    try {
+        products = await loadCatalogProducts(pool, items);
+    } catch (error) {
+        console.error('Database error, pricing against fallback catalog:', error.message);
+        products = fallbackProducts;
+    }
+
+    return priceOrder(items, products, options);
+}
+
+/**
+ * Compare the total the client expects with the server price
+ * @returns {object|null} - Mismatch details, or null when they agree
+ */
+function compareClientTotal(pricing, clientTotal, tolerance = PRICING_RULES.mismatchTolerance) {
+    if (clientTotal === undefined || clientTotal === null || clientTotal === '') {
+        return null;
+    }
+
+    const expected = parseFloat(clientTotal);
+    const difference = isNaN(expected) ? null : roundCurrency(expected - pricing.total);
+
+    if (difference !== null && Math.abs(difference) <= tolerance) {
+        return null;
+    }
+
+    return {
+        clientTotal: isNaN(expected) ? clientTotal : expected,
+        serverTotal: pricing.total,
+        difference
+    };
+}
+
+module.exports = {
+    PRICING_RULES,
+    PricingError,
+    roundCurrency,
+    loadCatalogProducts,
+    priceOrder,
+    summarizeOrder,
+    quoteOrder,
+    compareClientTotal
+};
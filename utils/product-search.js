@@ -0,0 +1,286 @@
+// Product Search
+// Text search, category and price filters, sorting and cursor pagination for
+// /api/products. Search terms are expanded with common Hindi transliterations
+// so "Pyaz" finds onions and "Onion" finds "Pyaz".
+
+const { ProductError } = require('./products');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Each group lists names that mean the same thing to a shopper
+const SYNONYM_GROUPS = [
+    ['onion', 'pyaz', 'kanda'],
+    ['potato', 'aloo'],
+    ['tomato', 'tamatar'],
+    ['apple', 'seb'],
+    ['banana', 'kela'],
+    ['mango', 'aam'],
+    ['grape', 'angoor'],
+    ['orange', 'santra', 'narangi'],
+    ['lemon', 'nimbu'],
+    ['carrot', 'gajar'],
+    ['cauliflower', 'phool gobi', 'gobi'],
+    ['cabbage', 'patta gobi', 'bandh gobi'],
+    ['spinach', 'palak'],
+    ['okra', 'ladyfinger', 'bhindi'],
+    ['peas', 'matar'],
+    ['ginger', 'adrak'],
+    ['garlic', 'lehsun', 'lasun'],
+    ['coriander', 'dhaniya'],
+    ['chilli', 'chili', 'mirch', 'mirchi'],
+    ['cucumber', 'kheera'],
+    ['brinjal', 'eggplant', 'baingan'],
+    ['milk', 'doodh'],
+    ['curd', 'yogurt', 'dahi'],
+    ['butter', 'makhan'],
+    ['cottage cheese', 'paneer'],
+    ['egg', 'anda'],
+    ['bread', 'pav'],
+    ['rice', 'chawal'],
+    ['flour', 'atta'],
+    ['lentil', 'dal'],
+    ['sugar', 'chini', 'shakkar'],
+    ['salt', 'namak'],
+    ['oil', 'tel'],
+    ['tea', 'chai'],
+    ['water', 'pani']
+];
+
+// Products without an active price (min_price NULL) sort after the priced ones
+// in both directions; the keyset comparison needs a value, never NULL
+const UNPRICED_ASC = 99999999.99; // largest DECIMAL(10,2)
+const UNPRICED_DESC = -1;
+
+// Sort name → SQL expression, direction and the type used to read cursors back
+const SORTS = {
+    default: { expression: 'id', direction: 'ASC', type: 'int' },
+    price_asc: { expression: `COALESCE(min_price, ${UNPRICED_ASC})`, direction: 'ASC', type: 'numeric' },
+    price_desc: { expression: `COALESCE(min_price, ${UNPRICED_DESC})`, direction: 'DESC', type: 'numeric' },
+    name_asc: { expression: 'lower(name)', direction: 'ASC', type: 'text' },
+    name_desc: { expression: 'lower(name)', direction: 'DESC', type: 'text' },
+    newest: { expression: 'created_at', direction: 'DESC', type: 'timestamp' }
+};
+
+/**
+ * Fold spelling differences that transliterations usually have
+ * ("pyaaz" → "pyaz", "doodh" → "dudh")
+ */
+function normaliseTerm(term) {
+    return term
+        .toLowerCase()
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/(.)\1+/g, '$1');
+}
+
+const synonymIndex = new Map();
+SYNONYM_GROUPS.forEach(group => {
+    group.forEach(term => synonymIndex.set(normaliseTerm(term), group));
+});
+
+/**
+ * Split a query into words, each with the alternatives it may match
+ * Plural "s"/"es" endings are dropped so "Tomatoes" matches "tomato".
+ * @returns {Array<Array<string>>} - One list of alternatives per word
+ */
+function expandSearchTerms(query) {
+    const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const text = words.join(' ');
+    const groups = [];
+
+    // Multi-word synonyms ("phool gobi") are matched before single words
+    let remaining = ` ${text} `;
+    SYNONYM_GROUPS.forEach(group => {
+        group.filter(term => term.includes(' ')).forEach(term => {
+            if (remaining.includes(` ${term} `)) {
+                groups.push(group);
+                remaining = remaining.replace(` ${term} `, ' ');
+            }
+        });
+    });
+
+    remaining.trim().split(/\s+/).filter(Boolean).forEach(word => {
+        const forms = word.length > 3 ? [word, word.replace(/s$/, ''), word.replace(/es$/, '')] : [word];
+        const known = forms.find(form => synonymIndex.has(normaliseTerm(form)));
+        const stem = known || forms[forms.length - 1];
+        const group = known ? synonymIndex.get(normaliseTerm(known)) : [];
+        groups.push([...new Set([stem, ...group])]);
+    });
+    return groups;
+}
+
+const parsePrice = (value, name) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new ProductError(`${name} must be a non-negative number`);
+    }
+    return price;
+};
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Number.isInteger(id) || (typeof value !== 'string' && typeof value !== 'number')) {
+            throw new Error('bad cursor');
+        }
+        return { value, id };
+    } catch (error) {
+        throw new ProductError('Invalid cursor');
+    }
+}
+
+/**
+ * Read search options from a request query
+ * @returns {object} - { terms, category, minPrice, maxPrice, sort, limit, cursor }
+ */
+function parseSearchParams(query = {}) {
+    const sort = query.sort || 'default';
+    if (!SORTS[sort]) {
+        throw new ProductError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ProductError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const minPrice = parsePrice(query.minPrice, 'minPrice');
+    const maxPrice = parsePrice(query.maxPrice, 'maxPrice');
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        throw new ProductError('minPrice cannot be greater than maxPrice');
+    }
+
+    return {
+        terms: expandSearchTerms(query.q),
+        category: query.category || null,
+        minPrice,
+        maxPrice,
+        sort,
+        limit,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null
+    };
+}
+
+const escapeLike = (term) => term.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Search active products in the database
+ * @returns {Promise<object>} - { products, nextCursor }
+ */
+async function searchProducts(db, params) {
+    const conditions = ['archived_at IS NULL'];
+    const values = [];
+    const addValue = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    params.terms.forEach(alternatives => {
+        conditions.push(`lower(name) LIKE ANY(${addValue(alternatives.map(term => `%${escapeLike(term)}%`))}::text[])`);
+    });
+    if (params.category) {
+        conditions.push(`lower(category) = lower(${addValue(params.category)})`);
+    }
+
+    // A product matches a price range when one of its active variants does;
+    // the min/max columns narrow the search before the variants are read
+    if (params.minPrice !== null || params.maxPrice !== null) {
+        const min = addValue(params.minPrice === null ? 0 : params.minPrice);
+        const max = addValue(params.maxPrice === null ? Number.MAX_SAFE_INTEGER : params.maxPrice);
+        conditions.push(`max_price >= ${min} AND min_price <= ${max}`);
+        conditions.push(`EXISTS (
+            SELECT 1 FROM jsonb_array_elements(variants) AS variant
+            WHERE NOT COALESCE((variant->>'archived')::boolean, FALSE)
+              AND (variant->>'price')::numeric BETWEEN ${min} AND ${max}
+        )`);
+    }
+
+    const sort = SORTS[params.sort];
+    if (params.cursor) {
+        const operator = sort.direction === 'ASC' ? '>' : '<';
+        conditions.push(
+            `(${sort.expression}, id) ${operator} (${addValue(params.cursor.value)}::${sort.type}, ${addValue(params.cursor.id)})`
+        );
+    }
+
+    const result = await db.query(
+        `SELECT *, (${sort.expression})::text AS cursor_value FROM products
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${sort.expression} ${sort.direction}, id ${sort.direction}
+         LIMIT ${addValue(params.limit + 1)}`,
+        values
+    );
+
+    const rows = result.rows.slice(0, params.limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > params.limit ? encodeCursor(last.cursor_value, last.id) : null;
+    return {
+        products: rows.map(({ cursor_value, ...product }) => product),
+        nextCursor
+    };
+}
+
+const activePrices = (product) => (product.variants || [])
+    .filter(variant => !variant.archived)
+    .map(variant => variant.price);
+
+const lowestPrice = (product, unpriced) => {
+    const prices = activePrices(product);
+    return prices.length > 0 ? Math.min(...prices) : unpriced;
+};
+
+// Sort keys for the in-memory search, matching the SQL expressions above
+const fallbackSortValue = {
+    default: (product) => product.id,
+    price_asc: (product) => lowestPrice(product, UNPRICED_ASC),
+    price_desc: (product) => lowestPrice(product, UNPRICED_DESC),
+    name_asc: (product) => product.name.toLowerCase(),
+    name_desc: (product) => product.name.toLowerCase(),
+    newest: (product) => product.id
+};
+
+/**
+ * Same search over an in-memory catalog (used when the database is down)
+ * @returns {object} - { products, nextCursor }
+ */
+function searchFallbackProducts(products, params) {
+    const sortValue = fallbackSortValue[params.sort];
+    const direction = SORTS[params.sort].direction === 'ASC' ? 1 : -1;
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const compareKeys = (valueA, idA, valueB, idB) => direction * (compare(valueA, valueB) || compare(idA, idB));
+
+    const matches = products
+        .filter(product => params.terms.every(alternatives =>
+            alternatives.some(term => product.name.toLowerCase().includes(term))))
+        .filter(product => !params.category || product.category.toLowerCase() === params.category.toLowerCase())
+        .filter(product => (params.minPrice === null && params.maxPrice === null) ||
+            activePrices(product).some(price =>
+                (params.minPrice === null || price >= params.minPrice) &&
+                (params.maxPrice === null || price <= params.maxPrice)))
+        .sort((a, b) => compareKeys(sortValue(a), a.id, sortValue(b), b.id))
+        .filter(product => !params.cursor ||
+            compareKeys(sortValue(product), product.id, params.cursor.value, params.cursor.id) > 0);
+
+    const page = matches.slice(0, params.limit);
+    const last = page[page.length - 1];
+    return {
+        products: page,
+        nextCursor: matches.length > params.limit ? encodeCursor(sortValue(last), last.id) : null
+    };
+}
+
+module.exports = {
+    SYNONYM_GROUPS,
+    expandSearchTerms,
+    parseSearchParams,
+    searchProducts,
+    searchFallbackProducts
+};
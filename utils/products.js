@@ -0,0 +1,293 @@
+// Product Catalog Management
+// Create, update and archive products and their variants. Archived products
+// and variants stay in the database (orders still reference them) but are no
+// longer listed or orderable. Every variant has an inventory row in every
+// store (zero stock until it is counted in), and renaming a variant's unit
+// takes its stock along.
+
+const { addInventoryRows, renameInventoryUnit } = require('./inventory');
+
+const MAX_VARIANTS = 20;
+
+/**
+ * Raised when a catalog change is invalid or targets a missing product
+ */
+class ProductError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'ProductError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const isNonEmptyString = (value, maxLength) =>
+    typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+
+/**
+ * Validate and normalise a variants list
+ * @param {Array} variants - [{ unit, price, archived?, renamedFrom? }]; renamedFrom is
+ *   the variant's current unit when an update renames it
+ * @returns {Array} - Variants with trimmed units and numeric prices
+ */
+function validateVariants(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        throw new ProductError('variants must be a non-empty array');
+    }
+    if (variants.length > MAX_VARIANTS) {
+        throw new ProductError(`A product can have at most ${MAX_VARIANTS} variants`);
+    }
+
+    const units = new Set();
+    const normalised = variants.map((variant, index) => {
+        if (!variant || !isNonEmptyString(variant.unit, 50)) {
+            throw new ProductError('Each variant needs a unit of at most 50 characters', 400, { index });
+        }
+        const unit = variant.unit.trim();
+        if (units.has(unit.toLowerCase())) {
+            throw new ProductError(`Duplicate variant unit "${unit}"`, 400, { index, unit });
+        }
+        units.add(unit.toLowerCase());
+
+        const price = Number(variant.price);
+        if (typeof variant.price === 'boolean' || !Number.isFinite(price) || price <= 0 || Math.abs(Math.round(price * 100) - price * 100) > 1e-6) {
+            throw new ProductError(`Invalid price for variant "${unit}"`, 400, { index, unit, price: variant.price });
+        }
+
+        const result = { unit, price };
+        if (variant.archived === true) {
+            result.archived = true;
+        }
+        if (variant.renamedFrom !== undefined && variant.renamedFrom !== unit) {
+            if (!isNonEmptyString(variant.renamedFrom, 50)) {
+                throw new ProductError(`renamedFrom must be the current unit of variant "${unit}"`, 400, { index, unit });
+            }
+            result.renamedFrom = variant.renamedFrom.trim();
+        }
+        return result;
+    });
+
+    if (!normalised.some(variant => !variant.archived)) {
+        throw new ProductError('A product needs at least one variant that is not archived');
+    }
+    return normalised;
+}
+
+/**
+ * Lowest and highest price among the active variants (kept on the row for
+ * price filters and sorting)
+ */
+function priceRange(variants) {
+    const prices = variants.filter(variant => !variant.archived).map(variant => variant.price);
+    return { minPrice: Math.min(...prices), maxPrice: Math.max(...prices) };
+}
+
+/**
+ * Validate a create (all fields) or update (only the fields sent) payload
+ * @param {object} body - { name, image, category, variants }
+ * @param {object} options - { partial } for updates
+ * @returns {object} - Fields to write
+ */
+function validateProductInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new ProductError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+    if (body.name !== undefined || !partial) {
+        if (!isNonEmptyString(body.name, 255)) {
+            throw new ProductError('name is required (at most 255 characters)');
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.category !== undefined || !partial) {
+        if (!isNonEmptyString(body.category, 100)) {
+            throw new ProductError('category is required (at most 100 characters)');
+        }
+        fields.category = body.category.trim();
+    }
+    if (body.image !== undefined) {
+        if (body.image !== null && (typeof body.image !== 'string' || body.image.length > 500)) {
+            throw new ProductError('image must be a URL of at most 500 characters');
+        }
+        fields.image = body.image;
+    }
+    if (body.variants !== undefined || !partial) {
+        fields.variants = validateVariants(body.variants);
+    }
+
+    if (partial && Object.keys(fields).length === 0 && body.archived === undefined) {
+        throw new ProductError('Nothing to update');
+    }
+    return fields;
+}
+
+/**
+ * Hide archived variants from a catalog row
+ */
+function withoutArchivedVariants(product) {
+    const variants = typeof product.variants === 'string' ? JSON.parse(product.variants) : product.variants;
+    return { ...product, variants: (variants || []).filter(variant => !variant.archived) };
+}
+
+/**
+ * Catalog rows, active only unless includeArchived is set
+ */
+async function listProducts(db, { includeArchived = false } = {}) {
+    if (includeArchived) {
+        const result = await db.query('SELECT * FROM products ORDER BY id');
+        return result.rows;
+    }
+    const result = await db.query('SELECT * FROM products WHERE archived_at IS NULL ORDER BY id');
+    return result.rows.map(withoutArchivedVariants);
+}
+
+// What is stored for a variant; renamedFrom only describes the change
+const storedVariants = (variants) => variants.map(({ renamedFrom, ...variant }) => variant);
+
+/**
+ * Add a product with zero stock of each variant in every store
+ * @param {object} pool - pg Pool
+ */
+async function createProduct(pool, body) {
+    const fields = validateProductInput(body);
+    if (fields.variants.some(variant => variant.renamedFrom)) {
+        throw new ProductError('renamedFrom is only used when updating a product');
+    }
+    const { minPrice, maxPrice } = priceRange(fields.variants);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            `INSERT INTO products (name, image, category, variants, min_price, max_price)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [fields.name, fields.image || null, fields.category, JSON.stringify(fields.variants), minPrice, maxPrice]
+        );
+        await addInventoryRows(client, result.rows[0].id, fields.variants.map(variant => variant.unit));
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Check variant renames against the product's current variants
+ */
+function assertRenames(currentVariants, variants) {
+    const currentUnits = new Set((currentVariants || []).map(variant => variant.unit));
+    variants.filter(variant => variant.renamedFrom).forEach(variant => {
+        if (!currentUnits.has(variant.renamedFrom)) {
+            throw new ProductError(`Variant "${variant.renamedFrom}" not found`, 404, { unit: variant.renamedFrom });
+        }
+        if (currentUnits.has(variant.unit)) {
+            throw new ProductError(`Variant "${variant.unit}" already exists`, 409, { unit: variant.unit });
+        }
+    });
+}
+
+/**
+ * Update the fields sent; `archived: false` restores an archived product.
+ * New variants get zero-stock inventory rows; renamed ones keep their stock.
+ * @param {object} pool - pg Pool
+ */
+async function updateProduct(pool, id, body) {
+    const fields = validateProductInput(body, { partial: true });
+    const variants = fields.variants;
+    if (variants) {
+        const { minPrice, maxPrice } = priceRange(variants);
+        fields.variants = storedVariants(variants);
+        fields.min_price = minPrice;
+        fields.max_price = maxPrice;
+    }
+
+    const assignments = [];
+    const values = [];
+    Object.entries(fields).forEach(([column, value]) => {
+        values.push(column === 'variants' ? JSON.stringify(value) : value);
+        assignments.push(`${column} = $${values.length}`);
+    });
+    if (body.archived === false) {
+        assignments.push('archived_at = NULL');
+    } else if (body.archived === true) {
+        assignments.push('archived_at = COALESCE(archived_at, NOW())');
+    }
+    assignments.push('updated_at = NOW()');
+
+    values.push(id);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await client.query('SELECT variants FROM products WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new ProductError('Product not found', 404);
+        }
+        if (variants) {
+            assertRenames(current.rows[0].variants, variants);
+        }
+
+        const result = await client.query(
+            `UPDATE products SET ${assignments.join(', ')} WHERE id = $${values.length} RETURNING *`,
+            values
+        );
+        if (variants) {
+            for (const variant of variants.filter(variant => variant.renamedFrom)) {
+                await renameInventoryUnit(client, id, variant.renamedFrom, variant.unit);
+            }
+            await addInventoryRows(client, id, variants.map(variant => variant.unit));
+        }
+
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Soft-archive a product, or just one of its variants when a unit is given
+ * @param {object} db - pg Pool
+ */
+async function archiveProduct(db, id, { unit = null } = {}) {
+    if (!unit) {
+        const result = await db.query(
+            `UPDATE products SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [id]
+        );
+        if (result.rows.length === 0) {
+            throw new ProductError('Product not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    const existing = await db.query('SELECT variants FROM products WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+        throw new ProductError('Product not found', 404);
+    }
+    const variants = existing.rows[0].variants || [];
+    if (!variants.some(variant => variant.unit === unit)) {
+        throw new ProductError(`Variant "${unit}" not found`, 404, { unit });
+    }
+    return updateProduct(db, id, {
+        variants: variants.map(variant => (variant.unit === unit ? { ...variant, archived: true } : variant))
+    });
+}
+
+module.exports = {
+    ProductError,
+    priceRange,
+    validateProductInput,
+    listProducts,
+    createProduct,
+    updateProduct,
+    archiveProduct
+};
@@ -0,0 +1,320 @@
+// Razorpay Helpers
+// Creates the gateway order for each of our orders, verifies checkout and
+// webhook signatures, and records verified payments against the order their
+// gateway order was created for
+
+const crypto = require('crypto');
+const { OrderStatusError, paymentMismatch, confirmPaidOrder } = require('./order-status');
+const { releaseUnpaidOrders } = require('./payments');
+
+/**
+ * Read gateway credentials from the environment
+ */
+function getRazorpayConfig() {
+    return {
+        keyId: process.env.RAZORPAY_KEY_ID || '',
+        keySecret: process.env.RAZORPAY_KEY_SECRET || '',
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+        // http://localhost:4010 with scripts/razorpay-simulator.js
+        apiUrl: (process.env.RAZORPAY_API_URL || 'https://api.razorpay.com').replace(/\/$/, '')
+    };
+}
+
+const GATEWAY_TIMEOUT_MS = 10000;
+
+/**
+ * Raised when a gateway order or payment cannot be created or checked;
+ * details.reason is not_payable, gateway_unavailable or gateway_error
+ */
+class RazorpayError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'RazorpayError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+// Razorpay amounts are integers in paise
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * HMAC-SHA256 hex digest of a payload
+ */
+function hmacSha256(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+function signaturesMatch(expected, received) {
+    if (typeof received !== 'string' || received.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Signature Razorpay returns to checkout: HMAC of "order_id|payment_id"
+ */
+function generatePaymentSignature(razorpayOrderId, razorpayPaymentId, keySecret) {
+    return hmacSha256(`${razorpayOrderId}|${razorpayPaymentId}`, keySecret);
+}
+
+/**
+ * Verify the signature returned by checkout for a payment
+ */
+function verifyPaymentSignature({ razorpayOrderId, razorpayPaymentId, signature }, keySecret) {
+    if (!keySecret || !razorpayOrderId || !razorpayPaymentId) {
+        return false;
+    }
+    return signaturesMatch(generatePaymentSignature(razorpayOrderId, razorpayPaymentId, keySecret), signature);
+}
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook against its raw body
+ */
+function verifyWebhookSignature(rawBody, signature, webhookSecret) {
+    if (!webhookSecret || !rawBody) {
+        return false;
+    }
+    return signaturesMatch(hmacSha256(rawBody, webhookSecret), signature);
+}
+
+/**
+ * Call the Razorpay API with the key pair (Basic auth)
+ * @throws {RazorpayError} 503 when keys are missing, 502 when the gateway fails
+ *   (details.gatewayStatus is the HTTP status when Razorpay answered with an error)
+ */
+async function razorpayRequest(method, path, body = null, extraHeaders = {}) {
+    const { keyId, keySecret, apiUrl } = getRazorpayConfig();
+    if (!keyId || !keySecret) {
+        throw new RazorpayError('Razorpay is not configured', 503, { reason: 'gateway_unavailable' });
+    }
+
+    let response;
+    try {
+        response = await fetch(`${apiUrl}${path}`, {
+            method,
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+                'Content-Type': 'application/json',
+                ...extraHeaders
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS)
+        });
+    } catch (error) {
+        console.error(`Razorpay ${method} ${path} failed:`, error.message);
+        throw new RazorpayError('Razorpay could not be reached', 502, { reason: 'gateway_unavailable' });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const description = data.error && data.error.description;
+        console.error(`Razorpay ${method} ${path} returned ${response.status}:`, description);
+        throw new RazorpayError(description || 'Razorpay request failed', 502, { reason: 'gateway_error', gatewayStatus: response.status });
+    }
+    return data;
+}
+
+/**
+ * The Razorpay order to pay one of our orders with, created for its
+ * total_amount on first use and reused after that
+ * @param {object} pool - pg Pool
+ * @param {string|null} userId - The customer paying; null skips the owner check (admins)
+ * @returns {Promise<object>} - { orderId, razorpayOrderId, amount (paise), currency, keyId }
+ * @throws {RazorpayError} 404/403 for someone else's order, 409 when it is not waiting for payment
+ */
+async function createGatewayOrder(pool, orderId, userId) {
+    const id = parseInt(orderId);
+    if (isNaN(id)) {
+        throw new RazorpayError('orderId is required');
+    }
+
+    // An order left unpaid too long is cancelled here rather than paid for late
+    await releaseUnpaidOrders(pool);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // The lock keeps two checkouts of the same order on one gateway order
+        const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        const order = current.rows[0];
+        if (!order) {
+            throw new RazorpayError('Order not found', 404);
+        }
+        if (userId !== null && order.user_id !== userId) {
+            throw new RazorpayError('You can only pay for your own orders', 403);
+        }
+        if (order.status !== 'pending' || order.payment_id) {
+            throw new RazorpayError('This order is not waiting for payment', 409, { reason: 'not_payable', status: order.status });
+        }
+
+        let razorpayOrderId = order.razorpay_order_id;
+        if (!razorpayOrderId) {
+            const created = await razorpayRequest('POST', '/v1/orders', {
+                amount: toPaise(order.total_amount),
+                currency: 'INR',
+                receipt: `order_${order.id}`,
+                notes: { orderId: String(order.id) }
+            });
+            razorpayOrderId = created.id;
+            await client.query('UPDATE orders SET razorpay_order_id = $1 WHERE id = $2', [razorpayOrderId, order.id]);
+        }
+
+        await client.query('COMMIT');
+        return {
+            orderId: order.id,
+            razorpayOrderId,
+            amount: toPaise(order.total_amount),
+            currency: 'INR',
+            keyId: getRazorpayConfig().keyId
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * A payment as Razorpay has it (amount in paise, status, order_id)
+ */
+async function fetchGatewayPayment(razorpayPaymentId) {
+    return razorpayRequest('GET', `/v1/payments/${encodeURIComponent(razorpayPaymentId)}`);
+}
+
+/**
+ * Refund part or all of a captured payment through Razorpay
+ * @param {number} amount - Rupees
+ * @param {string} refundId - Our refund ID, sent as the receipt and idempotency key
+ *   so resending the same refund never pays it out twice
+ * @returns {Promise<object>} - Razorpay refund (id, amount in paise, status)
+ */
+async function refundGatewayPayment(razorpayPaymentId, amount, refundId, notes = {}) {
+    return razorpayRequest('POST', `/v1/payments/${encodeURIComponent(razorpayPaymentId)}/refund`, {
+        amount: toPaise(amount),
+        receipt: refundId,
+        notes
+    }, { 'X-Refund-Idempotency': refundId });
+}
+
+/**
+ * Our order a Razorpay order was created for
+ * @returns {Promise<object|null>} - orders row
+ */
+async function findOrderByGatewayOrder(db, razorpayOrderId) {
+    if (!razorpayOrderId) {
+        return null;
+    }
+    const result = await db.query('SELECT * FROM orders WHERE razorpay_order_id = $1', [razorpayOrderId]);
+    return result.rows[0] || null;
+}
+
+// Why a payment stored earlier did or did not confirm its order
+function replayOutcome(payment, order) {
+    if (order && order.payment_id === payment.razorpay_payment_id) {
+        return { confirmed: true, reason: null };
+    }
+    if (payment.unapplied_reason) {
+        return { confirmed: false, reason: payment.unapplied_reason };
+    }
+    if (!order) {
+        return { confirmed: false, reason: 'unknown_order' };
+    }
+    const reason = paymentMismatch(order, { amount: payment.amount }) || 'already_paid';
+    return { confirmed: false, reason };
+}
+
+/**
+ * Store a verified gateway payment against the order its Razorpay order was
+ * created for, and confirm that order when the captured amount is its total
+ * and the order is still waiting for a payment. A payment that is not applied
+ * keeps the reason in unapplied_reason, so it can be refunded through /api/refunds.
+ * Replays of the same razorpay_payment_id return the stored record unchanged.
+ * @param {object} pool - pg Pool
+ * @param {object} payment - { razorpayOrderId, razorpayPaymentId, signature, amount (₹ captured), source }
+ * @returns {Promise<object>} - { payment, order, confirmed, reason, replayed }
+ *   reason is unknown_order, amount_mismatch, order_cancelled, already_paid or
+ *   not_payable when the order was not confirmed
+ */
+async function recordGatewayPayment(pool, { razorpayOrderId, razorpayPaymentId, signature, amount = null, source = 'checkout' }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await client.query('SELECT * FROM orders WHERE razorpay_order_id = $1 FOR UPDATE', [razorpayOrderId]);
+        let order = found.rows[0] || null;
+
+        const inserted = await client.query(
+            `INSERT INTO razorpay_payments (razorpay_payment_id, razorpay_order_id, order_id, signature, amount, source)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (razorpay_payment_id) DO NOTHING
+             RETURNING *`,
+            [razorpayPaymentId, razorpayOrderId, order ? order.id : null, signature, amount, source]
+        );
+
+        if (inserted.rows.length === 0) {
+            const existing = await client.query(
+                'SELECT * FROM razorpay_payments WHERE razorpay_payment_id = $1',
+                [razorpayPaymentId]
+            );
+            await client.query('COMMIT');
+            return { payment: existing.rows[0], order, ...replayOutcome(existing.rows[0], order), replayed: true };
+        }
+
+        let reason = null;
+        let payment = inserted.rows[0];
+        if (!order) {
+            reason = 'unknown_order';
+        } else {
+            try {
+                // The gateway order was created for this order's owner, so only the amount is checked
+                order = await confirmPaidOrder(client, order.id, razorpayPaymentId, {
+                    amount,
+                    changedBy: 'razorpay',
+                    note: `Payment ${razorpayPaymentId} verified`
+                });
+            } catch (error) {
+                if (!(error instanceof OrderStatusError)) {
+                    throw error;
+                }
+                reason = error.details.reason;
+            }
+        }
+        if (reason) {
+            // Captured but not applied: flag it so the money goes back to the customer
+            console.warn(`Razorpay payment ${razorpayPaymentId} not applied to an order: ${reason}`);
+            const flagged = await client.query(
+                'UPDATE razorpay_payments SET unapplied_reason = $2 WHERE razorpay_payment_id = $1 RETURNING *',
+                [razorpayPaymentId, reason]
+            );
+            payment = flagged.rows[0];
+        }
+
+        await client.query('COMMIT');
+        return { payment, order, confirmed: !reason, reason, replayed: false };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    RazorpayError,
+    getRazorpayConfig,
+    generatePaymentSignature,
+    verifyPaymentSignature,
+    verifyWebhookSignature,
+    hmacSha256,
+    createGatewayOrder,
+    fetchGatewayPayment,
+    refundGatewayPayment,
+    findOrderByGatewayOrder,
+    recordGatewayPayment
+};
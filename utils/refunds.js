@@ -0,0 +1,400 @@
+// Refund Processing
+// Full and item-level partial refunds against stored payments: those made
+// through /api/payment and Razorpay checkout payments, which are refunded
+// through Razorpay. Cumulative refunds for a transaction (failed ones aside)
+// can never exceed the captured amount.
+
+const crypto = require('crypto');
+const { roundCurrency } = require('./pricing');
+const { assertTransition, canTransition, applyTransition } = require('./order-status');
+const { RazorpayError, refundGatewayPayment } = require('./razorpay');
+
+/**
+ * Raised when a refund request cannot be honoured
+ */
+class RefundError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+function generateRefundId() {
+    return 'RFND' + Date.now() + crypto.randomBytes(2).toString('hex').toUpperCase();
+}
+
+const lineKey = (item) => `${item.productId}|${item.unit}`;
+
+/**
+ * Work out the refund for specific order lines
+ * Line amounts carry the order's discount and GST proportionally; the
+ * delivery fee is only returned with a full refund.
+ * @param {object} order - orders row
+ * @param {Array} requestedItems - [{ productId, unit, quantity }]
+ * @param {Array} previousRefunds - refunds rows already issued for the payment
+ */
+function calculateItemRefund(order, requestedItems, previousRefunds) {
+    const pricing = order.price_breakdown;
+    const lines = (pricing && pricing.items) || order.items || [];
+    const factor = pricing && pricing.subtotal > 0
+        ? (1 - pricing.discount / pricing.subtotal) * (1 + pricing.gstRate)
+        : 1;
+
+    const refundedQuantities = {};
+    previousRefunds.forEach(refund => {
+        (refund.items || []).forEach(item => {
+            refundedQuantities[lineKey(item)] = (refundedQuantities[lineKey(item)] || 0) + item.quantity;
+        });
+    });
+
+    const items = requestedItems.map(requested => {
+        const line = lines.find(l => String(l.productId) === String(requested.productId) && l.unit === requested.unit);
+        if (!line) {
+            throw new RefundError(`Item ${requested.productId} (${requested.unit}) is not part of this order`, 400, { item: requested });
+        }
+
+        const quantity = Number(requested.quantity);
+        const refundable = line.quantity - (refundedQuantities[lineKey(line)] || 0);
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > refundable) {
+            throw new RefundError(`Invalid refund quantity for ${line.name || line.productId}`, 400, {
+                item: requested,
+                refundableQuantity: refundable
+            });
+        }
+
+        return {
+            productId: line.productId,
+            name: line.name,
+            unit: line.unit,
+            quantity,
+            amount: roundCurrency(line.price * quantity * factor)
+        };
+    });
+
+    return {
+        items,
+        amount: roundCurrency(items.reduce((sum, item) => sum + item.amount, 0))
+    };
+}
+
+const fromStoredPayment = (row) => ({
+    transactionId: row.transaction_id,
+    gateway: null,
+    orderId: row.order_id,
+    amount: parseFloat(row.amount),
+    status: row.status
+});
+
+// Only signature-verified, captured payments are stored in razorpay_payments
+const fromGatewayPayment = (row) => ({
+    transactionId: row.razorpay_payment_id,
+    gateway: 'razorpay',
+    orderId: row.order_id,
+    amount: parseFloat(row.amount),
+    status: 'success'
+});
+
+/**
+ * Find and lock the payment to refund, by transaction ID (ours or Razorpay's
+ * payment ID) or as the payment that paid for an order
+ * @param {object} client - pg client inside the caller's transaction
+ * @returns {Promise<object|null>} - { transactionId, gateway, orderId, amount, status }
+ */
+async function lockPayment(client, { transactionId, orderId }) {
+    if (transactionId) {
+        const stored = await client.query('SELECT * FROM payments WHERE transaction_id = $1 FOR UPDATE', [transactionId]);
+        if (stored.rows.length > 0) {
+            return fromStoredPayment(stored.rows[0]);
+        }
+        const gateway = await client.query(
+            'SELECT * FROM razorpay_payments WHERE razorpay_payment_id = $1 FOR UPDATE',
+            [transactionId]
+        );
+        return gateway.rows.length > 0 ? fromGatewayPayment(gateway.rows[0]) : null;
+    }
+
+    const stored = await client.query(
+        `SELECT * FROM payments WHERE order_id = $1 AND status = 'success'
+         ORDER BY created_at DESC LIMIT 1 FOR UPDATE`,
+        [orderId]
+    );
+    if (stored.rows.length > 0) {
+        return fromStoredPayment(stored.rows[0]);
+    }
+    // Other Razorpay payments linked to the order did not pay for it (wrong amount)
+    const gateway = await client.query(
+        `SELECT rp.* FROM razorpay_payments rp
+         JOIN orders o ON o.id = rp.order_id AND o.payment_id = rp.razorpay_payment_id
+         WHERE rp.order_id = $1 FOR UPDATE OF rp`,
+        [orderId]
+    );
+    return gateway.rows.length > 0 ? fromGatewayPayment(gateway.rows[0]) : null;
+}
+
+// Refunds that did not fail count against the captured amount, including
+// gateway refunds still waiting for Razorpay's answer
+const ACTIVE_REFUNDS = "status <> 'failed'";
+
+/**
+ * Move an order to refunded once the payment that paid for it is fully refunded
+ */
+async function refundOrderWhenSettled(client, order, payment, totalRefunded, { changedBy, note }) {
+    const paidForOrder = order && order.payment_id === payment.transactionId;
+    if (paidForOrder && totalRefunded >= payment.amount && canTransition(order.status, 'refunded')) {
+        ({ order } = await applyTransition(client, order, 'refunded', { changedBy, note }));
+    }
+    return order;
+}
+
+/**
+ * Send a pending gateway refund to Razorpay and store the outcome. The refund ID
+ * is the idempotency key, so a refund resent after a lost answer is paid out once.
+ * A refund Razorpay turns down is marked failed; one whose outcome is unknown
+ * stays pending and is resent by the next refund request for the payment.
+ * @param {object} pool - pg Pool
+ * @param {object} pending - refunds row with status pending and no gateway_refund_id
+ * @returns {Promise<object>} - { refund, order, totalRefunded, remaining }
+ */
+async function sendGatewayRefund(pool, pending) {
+    let gatewayRefund;
+    try {
+        gatewayRefund = await refundGatewayPayment(pending.razorpay_payment_id, parseFloat(pending.amount), pending.refund_id, {
+            orderId: pending.order_id ? String(pending.order_id) : '',
+            reason: pending.reason
+        });
+    } catch (error) {
+        const status = error instanceof RazorpayError && error.details.gatewayStatus;
+        if (status >= 400 && status < 500) {
+            await pool.query("UPDATE refunds SET status = 'failed' WHERE refund_id = $1", [pending.refund_id]);
+            throw error;
+        }
+        console.error(`Refund ${pending.refund_id} left pending:`, error.message);
+        throw new RefundError('Razorpay did not confirm the refund; it is resent with the next refund request for this payment', 502, {
+            reason: 'refund_pending',
+            refundId: pending.refund_id
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const paymentResult = await client.query(
+            'SELECT * FROM razorpay_payments WHERE razorpay_payment_id = $1 FOR UPDATE',
+            [pending.razorpay_payment_id]
+        );
+        const payment = fromGatewayPayment(paymentResult.rows[0]);
+        const updated = await client.query(
+            'UPDATE refunds SET status = $2, gateway_refund_id = $3 WHERE refund_id = $1 RETURNING *',
+            [pending.refund_id, gatewayRefund.status || 'processed', gatewayRefund.id]
+        );
+        const refunded = await client.query(
+            `SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE razorpay_payment_id = $1 AND ${ACTIVE_REFUNDS}`,
+            [payment.transactionId]
+        );
+        const totalRefunded = roundCurrency(parseFloat(refunded.rows[0].total));
+
+        let order = null;
+        if (pending.order_id) {
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [pending.order_id]);
+            order = await refundOrderWhenSettled(client, orderResult.rows[0] || null, payment, totalRefunded, {
+                changedBy: pending.initiated_by,
+                note: pending.reason
+            });
+        }
+
+        await client.query('COMMIT');
+        return {
+            refund: formatRefund(updated.rows[0]),
+            order,
+            totalRefunded,
+            remaining: roundCurrency(payment.amount - totalRefunded)
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Resend gateway refunds left pending for a payment or order (see sendGatewayRefund)
+ */
+async function resendPendingRefunds(pool, { transactionId, orderId }) {
+    const pending = await pool.query(
+        `SELECT * FROM refunds
+         WHERE status = 'pending' AND gateway_refund_id IS NULL AND razorpay_payment_id IS NOT NULL
+           AND (razorpay_payment_id = $1 OR order_id = $2)
+         ORDER BY created_at`,
+        [transactionId || null, orderId || null]
+    );
+    for (const refund of pending.rows) {
+        await sendGatewayRefund(pool, refund);
+    }
+}
+
+/**
+ * Issue a refund against a stored payment, optionally cancelling the order first.
+ * Razorpay payments are refunded in three steps, so money never leaves without a
+ * record: the refund is stored as pending, sent to Razorpay, then marked with
+ * Razorpay's outcome (see sendGatewayRefund). A cancellation stands even if the
+ * gateway refund then fails.
+ * @param {object} pool - pg Pool
+ * @param {object} request - { transactionId, orderId, items, reason, initiatedBy, cancel }
+ * @returns {Promise<object>} - { refund, order, totalRefunded, remaining }
+ */
+async function createRefund(pool, { transactionId, orderId, items = [], reason, initiatedBy = 'system', cancel = false }) {
+    if (!reason || typeof reason !== 'string') {
+        throw new RefundError('A refund reason is required');
+    }
+    if (!transactionId && !orderId) {
+        throw new RefundError('transactionId or orderId is required');
+    }
+
+    // Earlier refunds must be settled before what is left can be worked out
+    await resendPendingRefunds(pool, { transactionId, orderId });
+
+    const client = await pool.connect();
+    let pending;
+    try {
+        await client.query('BEGIN');
+
+        // Lock the payment so concurrent refunds see each other
+        const payment = await lockPayment(client, { transactionId, orderId });
+        if (transactionId && !payment) {
+            throw new RefundError('Transaction not found', 404);
+        }
+        // A payment is only ever refunded against the order it paid for
+        if (payment && orderId && String(payment.orderId) !== String(orderId)) {
+            throw new RefundError(`Payment ${payment.transactionId} is not for order ${orderId}`, 409, {
+                reason: 'order_mismatch',
+                paymentOrderId: payment.orderId
+            });
+        }
+
+        const linkedOrderId = orderId || (payment && payment.orderId);
+        let order = null;
+        if (linkedOrderId) {
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [linkedOrderId]);
+            order = orderResult.rows[0] || null;
+        }
+
+        if (cancel) {
+            if (!order) {
+                throw new RefundError('Order not found', 404);
+            }
+            assertTransition(order.status, 'cancelled');
+            ({ order } = await applyTransition(client, order, 'cancelled', { changedBy: initiatedBy, note: reason }));
+
+            // Unpaid (e.g. COD) orders are simply cancelled
+            if (!payment) {
+                await client.query('COMMIT');
+                return { refund: null, order, totalRefunded: 0, remaining: 0 };
+            }
+        }
+
+        if (!payment) {
+            throw new RefundError('Transaction not found', 404);
+        }
+        if (payment.status !== 'success') {
+            throw new RefundError('Only successful payments can be refunded', 409);
+        }
+
+        const previous = await client.query(
+            payment.gateway
+                ? `SELECT * FROM refunds WHERE razorpay_payment_id = $1 AND ${ACTIVE_REFUNDS}`
+                : `SELECT * FROM refunds WHERE transaction_id = $1 AND ${ACTIVE_REFUNDS}`,
+            [payment.transactionId]
+        );
+        const captured = payment.amount;
+        const alreadyRefunded = roundCurrency(previous.rows.reduce((sum, r) => sum + parseFloat(r.amount), 0));
+        const remaining = roundCurrency(captured - alreadyRefunded);
+
+        if (remaining <= 0) {
+            throw new RefundError('Payment has already been fully refunded', 409, { captured, alreadyRefunded });
+        }
+
+        let refundItems = [];
+        let amount = remaining;
+        if (items.length > 0 && !cancel) {
+            if (!order) {
+                throw new RefundError('Item-level refunds need the payment to be linked to an order', 409);
+            }
+            ({ items: refundItems, amount } = calculateItemRefund(order, items, previous.rows));
+        }
+
+        if (amount > remaining) {
+            throw new RefundError('Refund exceeds the amount still refundable', 409, { requested: amount, remaining });
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO refunds (refund_id, transaction_id, razorpay_payment_id, order_id, amount,
+                                  items, reason, initiated_by, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [generateRefundId(), payment.gateway ? null : payment.transactionId, payment.gateway ? payment.transactionId : null,
+             order ? order.id : null, amount, JSON.stringify(refundItems), reason, initiatedBy,
+             payment.gateway ? 'pending' : 'processed']
+        );
+
+        if (payment.gateway) {
+            await client.query('COMMIT');
+            pending = inserted.rows[0];
+        } else {
+            const totalRefunded = roundCurrency(alreadyRefunded + amount);
+            order = await refundOrderWhenSettled(client, order, payment, totalRefunded, { changedBy: initiatedBy, note: reason });
+
+            await client.query('COMMIT');
+            return {
+                refund: formatRefund(inserted.rows[0]),
+                order,
+                totalRefunded,
+                remaining: roundCurrency(captured - totalRefunded)
+            };
+        }
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return sendGatewayRefund(pool, pending);
+}
+
+/**
+ * List refunds for a transaction or an order
+ */
+async function listRefunds(db, { transactionId, orderId }) {
+    const result = transactionId
+        ? await db.query(
+            'SELECT * FROM refunds WHERE transaction_id = $1 OR razorpay_payment_id = $1 ORDER BY created_at',
+            [transactionId]
+        )
+        : await db.query('SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at', [orderId]);
+    return result.rows.map(formatRefund);
+}
+
+function formatRefund(row) {
+    return {
+        refundId: row.refund_id,
+        transactionId: row.transaction_id || row.razorpay_payment_id,
+        gatewayRefundId: row.gateway_refund_id,
+        orderId: row.order_id,
+        amount: parseFloat(row.amount),
+        items: row.items,
+        reason: row.reason,
+        initiatedBy: row.initiated_by,
+        status: row.status,
+        createdAt: row.created_at
+    };
+}
+
+module.exports = {
+    RefundError,
+    calculateItemRefund,
+    createRefund,
+    listRefunds
+};
@@ -0,0 +1,428 @@
+// Riders and Dispatch
+// Delivery riders, their shifts and which rider carries which order. A packed
+// order goes to the nearest free rider on shift; a rider who finishes a
+// delivery (or starts a shift) picks up the oldest packed order waiting nearby.
+// A rider is busy while an order assigned to them is packed or out for delivery.
+
+const { haversineKm } = require('./geo');
+const { formatEta } = require('./eta');
+
+const SHIFT_STATUSES = ['off_shift', 'on_shift', 'on_break'];
+const ACTIVE_DELIVERY_STATUSES = ['packed', 'out_for_delivery'];
+const DISPATCH_RADIUS_KM = 5;  // Riders of other stores are only sent this close to the store
+
+/**
+ * Raised when a rider is invalid, missing or cannot take an order
+ */
+class RiderError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'RiderError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Validate a create (userId, name and storeId required) or update (only the fields sent) payload
+ * @returns {object} - Column values to write
+ */
+function validateRiderInput(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new RiderError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+    if (!partial) {
+        if (!body.userId || typeof body.userId !== 'string') {
+            throw new RiderError('userId is required', 400, { field: 'userId' });
+        }
+        fields.user_id = body.userId.trim();
+    }
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > 100) {
+            throw new RiderError('name is required (at most 100 characters)', 400, { field: 'name' });
+        }
+        fields.name = name;
+    }
+    if (body.phone !== undefined) {
+        if (body.phone !== null && (typeof body.phone !== 'string' || body.phone.trim().length > 20)) {
+            throw new RiderError('phone can be at most 20 characters', 400, { field: 'phone' });
+        }
+        fields.phone = body.phone ? body.phone.trim() : null;
+    }
+    if (body.storeId !== undefined || !partial) {
+        const storeId = parseInt(body.storeId);
+        if (isNaN(storeId)) {
+            throw new RiderError('storeId is required', 400, { field: 'storeId' });
+        }
+        fields.store_id = storeId;
+    }
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            throw new RiderError('isActive must be true or false', 400, { field: 'isActive' });
+        }
+        fields.is_active = body.isActive;
+    }
+    if (partial && Object.keys(fields).length === 0) {
+        throw new RiderError('Nothing to update');
+    }
+    return fields;
+}
+
+/**
+ * Shape a riders row for API responses
+ */
+function formatRider(row) {
+    const hasLocation = row.last_latitude !== null && row.last_longitude !== null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        phone: row.phone,
+        storeId: row.store_id,
+        shiftStatus: row.shift_status,
+        lastLocation: hasLocation
+            ? { lat: Number(row.last_latitude), lng: Number(row.last_longitude), accuracy: row.last_accuracy_m, seenAt: row.last_seen_at }
+            : null,
+        activeDeliveries: row.active_deliveries !== undefined ? row.active_deliveries : undefined,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Riders with how many active deliveries each has
+const RIDER_SELECT = `
+    SELECT r.*,
+           (SELECT COUNT(*)::int FROM orders o
+            WHERE o.rider_id = r.id AND o.status IN ('packed', 'out_for_delivery')) AS active_deliveries
+    FROM riders r`;
+
+/**
+ * @param {object} filters - { storeId, shiftStatus }
+ */
+async function listRiders(db, { storeId = null, shiftStatus = null } = {}) {
+    if (shiftStatus !== null && !SHIFT_STATUSES.includes(shiftStatus)) {
+        throw new RiderError(`shiftStatus must be one of: ${SHIFT_STATUSES.join(', ')}`, 400, { allowed: SHIFT_STATUSES });
+    }
+    const result = await db.query(
+        `${RIDER_SELECT}
+         WHERE ($1::int IS NULL OR r.store_id = $1) AND ($2::text IS NULL OR r.shift_status = $2)
+         ORDER BY r.store_id, r.name, r.id`,
+        [storeId, shiftStatus]
+    );
+    return result.rows.map(formatRider);
+}
+
+/**
+ * @throws {RiderError} 404 when there is no such rider
+ */
+async function getRider(db, riderId) {
+    const id = parseInt(riderId);
+    const result = isNaN(id) ? { rows: [] } : await db.query(`${RIDER_SELECT} WHERE r.id = $1`, [id]);
+    if (result.rows.length === 0) {
+        throw new RiderError('Rider not found', 404);
+    }
+    return formatRider(result.rows[0]);
+}
+
+/**
+ * The rider profile of a signed-in user
+ * @throws {RiderError} 404 when the user is not a rider
+ */
+async function findRiderByUser(db, userId) {
+    const result = await db.query(`${RIDER_SELECT} WHERE r.user_id = $1`, [userId]);
+    if (result.rows.length === 0) {
+        throw new RiderError('No rider profile for your account', 404);
+    }
+    return formatRider(result.rows[0]);
+}
+
+/**
+ * Run work in a transaction, turning constraint errors into RiderErrors
+ */
+async function withTransaction(pool, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            throw new RiderError('That user is already a rider', 409);
+        }
+        if (error.code === '23503') {
+            throw new RiderError('Store not found', 404);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Register a user as a rider of a store; their profile gets the rider role
+ */
+async function createRider(pool, body) {
+    const fields = validateRiderInput(body);
+    return withTransaction(pool, async (client) => {
+        await client.query(
+            `INSERT INTO users (user_id, role, store_id) VALUES ($1, 'rider', $2)
+             ON CONFLICT (user_id) DO UPDATE SET role = 'rider', store_id = $2`,
+            [fields.user_id, fields.store_id]
+        );
+        const result = await client.query(
+            `INSERT INTO riders (user_id, name, phone, store_id, is_active)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [fields.user_id, fields.name, fields.phone || null, fields.store_id, fields.is_active !== false]
+        );
+        return formatRider({ ...result.rows[0], active_deliveries: 0 });
+    });
+}
+
+/**
+ * Change a rider's details; a rider with active deliveries stays active
+ */
+async function updateRider(pool, riderId, body) {
+    const id = parseInt(riderId);
+    const fields = validateRiderInput(body, { partial: true });
+    return withTransaction(pool, async (client) => {
+        const current = isNaN(id) ? { rows: [] } : await client.query('SELECT * FROM riders WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            throw new RiderError('Rider not found', 404);
+        }
+        if (fields.is_active === false && await countActiveDeliveries(client, id) > 0) {
+            throw new RiderError('This rider still has active deliveries', 409);
+        }
+
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+        if (fields.is_active === false) {
+            assignments.push("shift_status = 'off_shift'");
+            await closeShift(client, id);
+        }
+        const result = await client.query(
+            `UPDATE riders SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+            [id, ...columns.map(column => fields[column])]
+        );
+        if (fields.store_id !== undefined) {
+            await client.query('UPDATE users SET store_id = $2 WHERE user_id = $1', [result.rows[0].user_id, fields.store_id]);
+        }
+        return getRider(client, id);
+    });
+}
+
+async function countActiveDeliveries(db, riderId) {
+    const result = await db.query(
+        'SELECT COUNT(*)::int AS count FROM orders WHERE rider_id = $1 AND status = ANY($2::text[])',
+        [riderId, ACTIVE_DELIVERY_STATUSES]
+    );
+    return result.rows[0].count;
+}
+
+const closeShift = (client, riderId) => client.query(
+    'UPDATE rider_shifts SET ended_at = NOW() WHERE rider_id = $1 AND ended_at IS NULL',
+    [riderId]
+);
+
+/**
+ * Start or end a shift, or take a break; a rider starting (or coming back to)
+ * their shift picks up a waiting order straight away
+ * @returns {Promise<object>} - { rider, assignedOrderId }
+ */
+async function setShiftStatus(pool, riderId, shiftStatus) {
+    if (!SHIFT_STATUSES.includes(shiftStatus)) {
+        throw new RiderError(`status must be one of: ${SHIFT_STATUSES.join(', ')}`, 400, { allowed: SHIFT_STATUSES });
+    }
+
+    return withTransaction(pool, async (client) => {
+        const current = await client.query('SELECT * FROM riders WHERE id = $1 FOR UPDATE', [riderId]);
+        if (current.rows.length === 0) {
+            throw new RiderError('Rider not found', 404);
+        }
+        const rider = current.rows[0];
+        if (!rider.is_active) {
+            throw new RiderError('This rider is not active', 409);
+        }
+        if (shiftStatus !== 'on_shift' && await countActiveDeliveries(client, rider.id) > 0) {
+            throw new RiderError('Finish or hand over your active deliveries first', 409);
+        }
+
+        // A break is part of the shift; only going off shift ends it
+        if (rider.shift_status === 'off_shift' && shiftStatus !== 'off_shift') {
+            await client.query('INSERT INTO rider_shifts (rider_id) VALUES ($1)', [rider.id]);
+        } else if (rider.shift_status !== 'off_shift' && shiftStatus === 'off_shift') {
+            await closeShift(client, rider.id);
+        }
+        const updated = await client.query(
+            'UPDATE riders SET shift_status = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+            [rider.id, shiftStatus]
+        );
+
+        const assigned = shiftStatus === 'on_shift' ? await assignWaitingOrder(client, updated.rows[0]) : null;
+        return { rider: await getRider(client, rider.id), assignedOrderId: assigned ? assigned.id : null };
+    });
+}
+
+/**
+ * Where a rider is: their last known location, or their store
+ */
+function riderPosition(row) {
+    return row.last_latitude !== null && row.last_longitude !== null
+        ? { lat: Number(row.last_latitude), lng: Number(row.last_longitude) }
+        : { lat: Number(row.store_latitude), lng: Number(row.store_longitude) };
+}
+
+const claimOrder = async (client, orderId, riderId) => {
+    const result = await client.query(
+        'UPDATE orders SET rider_id = $2, rider_assigned_at = NOW() WHERE id = $1 RETURNING *',
+        [orderId, riderId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Give a packed order to the nearest free rider on shift: riders of its store,
+ * or of other stores within DISPATCH_RADIUS_KM
+ * @param {object} client - pg client inside the caller's transaction (the order is locked)
+ * @returns {Promise<object>} - The orders row, with rider_id set when a rider was free
+ */
+async function assignNearestRider(client, order) {
+    const store = await client.query('SELECT latitude, longitude FROM stores WHERE id = $1', [order.store_id]);
+    if (store.rows.length === 0) {
+        return order;
+    }
+    const storeLat = Number(store.rows[0].latitude);
+    const storeLng = Number(store.rows[0].longitude);
+
+    const free = await client.query(
+        `SELECT r.*, s.latitude AS store_latitude, s.longitude AS store_longitude
+         FROM riders r JOIN stores s ON s.id = r.store_id
+         WHERE r.is_active AND r.shift_status = 'on_shift'
+           AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.rider_id = r.id AND o.status = ANY($1::text[]))`,
+        [ACTIVE_DELIVERY_STATUSES]
+    );
+    const ranked = free.rows
+        .map(row => {
+            const position = riderPosition(row);
+            return { row, distanceKm: haversineKm(storeLat, storeLng, position.lat, position.lng) };
+        })
+        .filter(({ row, distanceKm }) => row.store_id === order.store_id || distanceKm <= DISPATCH_RADIUS_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    // Another order may be claiming the same rider: skip riders locked by it
+    // and check again once locked
+    for (const { row } of ranked) {
+        const locked = await client.query(
+            `SELECT id FROM riders r
+             WHERE r.id = $1 AND r.shift_status = 'on_shift'
+               AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.rider_id = r.id AND o.status = ANY($2::text[]))
+             FOR UPDATE SKIP LOCKED`,
+            [row.id, ACTIVE_DELIVERY_STATUSES]
+        );
+        if (locked.rows.length > 0) {
+            return claimOrder(client, order.id, row.id);
+        }
+    }
+    return order;
+}
+
+/**
+ * Give the oldest packed, unassigned order near a free rider to them
+ * @param {object} rider - Locked riders row
+ * @returns {Promise<object|null>} - The assigned orders row
+ */
+async function assignWaitingOrder(client, rider) {
+    if (!rider.is_active || rider.shift_status !== 'on_shift' || await countActiveDeliveries(client, rider.id) > 0) {
+        return null;
+    }
+    const home = await client.query('SELECT latitude AS store_latitude, longitude AS store_longitude FROM stores WHERE id = $1', [rider.store_id]);
+    const position = riderPosition({ ...rider, ...home.rows[0] });
+
+    const waiting = await client.query(
+        `SELECT o.id, o.store_id, s.latitude, s.longitude
+         FROM orders o JOIN stores s ON s.id = o.store_id
+         WHERE o.status = 'packed' AND o.rider_id IS NULL
+         ORDER BY o.id
+         LIMIT 50`
+    );
+    const nearby = waiting.rows.filter(row =>
+        row.store_id === rider.store_id ||
+        haversineKm(position.lat, position.lng, Number(row.latitude), Number(row.longitude)) <= DISPATCH_RADIUS_KM
+    );
+
+    for (const row of nearby) {
+        const locked = await client.query(
+            "SELECT id FROM orders WHERE id = $1 AND status = 'packed' AND rider_id IS NULL FOR UPDATE SKIP LOCKED",
+            [row.id]
+        );
+        if (locked.rows.length > 0) {
+            return claimOrder(client, row.id, rider.id);
+        }
+    }
+    return null;
+}
+
+/**
+ * A rider's delivery has ended (or was handed over): let them pick up the next waiting order
+ * @returns {Promise<object|null>} - The assigned orders row
+ */
+async function dispatchRider(client, riderId) {
+    const rider = await client.query('SELECT * FROM riders WHERE id = $1 FOR UPDATE', [riderId]);
+    return rider.rows.length > 0 ? assignWaitingOrder(client, rider.rows[0]) : null;
+}
+
+/**
+ * Orders a rider is carrying or is about to pick up, with where to collect them
+ */
+async function listActiveDeliveries(db, riderId) {
+    const result = await db.query(
+        `SELECT o.*, s.name AS store_name, s.address AS store_address, s.latitude AS store_latitude, s.longitude AS store_longitude
+         FROM orders o JOIN stores s ON s.id = o.store_id
+         WHERE o.rider_id = $1 AND o.status = ANY($2::text[])
+         ORDER BY o.rider_assigned_at, o.id`,
+        [riderId, ACTIVE_DELIVERY_STATUSES]
+    );
+    return result.rows.map(formatDelivery);
+}
+
+function formatDelivery(row) {
+    return {
+        orderId: row.id,
+        status: row.status,
+        pickup: {
+            storeId: row.store_id,
+            name: row.store_name,
+            address: row.store_address,
+            coordinates: { lat: Number(row.store_latitude), lng: Number(row.store_longitude) }
+        },
+        deliveryAddress: row.delivery_address,
+        items: row.items,
+        total: row.total_amount,
+        paymentMethod: row.payment_method,
+        // Cash the rider collects at the door
+        collectAmount: row.payment_method === 'COD' ? Number(row.total_amount) : 0,
+        eta: formatEta(row),
+        assignedAt: row.rider_assigned_at
+    };
+}
+
+module.exports = {
+    SHIFT_STATUSES,
+    ACTIVE_DELIVERY_STATUSES,
+    RiderError,
+    formatRider,
+    listRiders,
+    getRider,
+    findRiderByUser,
+    createRider,
+    updateRider,
+    setShiftStatus,
+    assignNearestRider,
+    dispatchRider,
+    listActiveDeliveries
+};
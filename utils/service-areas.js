@@ -0,0 +1,141 @@
+// Service Area Gazetteer
+// Localities around our stores with a centre point and the radius they cover.
+// The local geocoding provider answers from this list, so addresses in the
+// areas we deliver to resolve without any network access.
+
+const serviceAreas = [
+    {
+        name: 'Action Area 1',
+        aliases: ['AA1', 'Action Area I'],
+        locality: 'New Town',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700156',
+        latitude: 22.5875,
+        longitude: 88.4698,
+        radius_km: 1.2
+    },
+    {
+        name: 'Eco Park',
+        aliases: ['Prakriti Tirtha'],
+        locality: 'New Town',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700156',
+        latitude: 22.6018,
+        longitude: 88.4707,
+        radius_km: 0.9
+    },
+    {
+        name: 'Action Area 2',
+        aliases: ['AA2', 'Action Area II'],
+        locality: 'New Town',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700161',
+        latitude: 22.5995,
+        longitude: 88.4815,
+        radius_km: 1.3
+    },
+    {
+        name: 'Action Area 3',
+        aliases: ['AA3', 'Action Area III'],
+        locality: 'New Town',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700135',
+        latitude: 22.5665,
+        longitude: 88.5000,
+        radius_km: 1.5
+    },
+    {
+        name: 'Shapoorji Pallonji Housing Complex',
+        aliases: ['Shapoorji', 'Sukhobrishti'],
+        locality: 'New Town',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700135',
+        latitude: 22.5601,
+        longitude: 88.5104,
+        radius_km: 0.8
+    },
+    {
+        name: 'Hatiara',
+        aliases: [],
+        locality: 'Rajarhat',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700157',
+        latitude: 22.6010,
+        longitude: 88.4520,
+        radius_km: 1.2
+    },
+    {
+        name: 'Chinar Park',
+        aliases: [],
+        locality: 'Rajarhat',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700157',
+        latitude: 22.6185,
+        longitude: 88.4475,
+        radius_km: 1
+    },
+    {
+        name: 'Kestopur',
+        aliases: ['Krishnapur'],
+        locality: 'Bidhannagar',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700102',
+        latitude: 22.5985,
+        longitude: 88.4330,
+        radius_km: 1
+    },
+    {
+        name: 'Baguiati',
+        aliases: [],
+        locality: 'Bidhannagar',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700059',
+        latitude: 22.6135,
+        longitude: 88.4270,
+        radius_km: 1.2
+    },
+    {
+        name: 'Salt Lake Sector V',
+        aliases: ['Sector 5', 'Sector V'],
+        locality: 'Bidhannagar',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700091',
+        latitude: 22.5735,
+        longitude: 88.4331,
+        radius_km: 1.2
+    },
+    {
+        name: 'Salt Lake Sector I',
+        aliases: ['Sector 1', 'Sector I', 'Salt Lake'],
+        locality: 'Bidhannagar',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700064',
+        latitude: 22.5867,
+        longitude: 88.4090,
+        radius_km: 1.5
+    },
+    {
+        name: 'Nabadiganta',
+        aliases: ['Nabadiganta Industrial Township'],
+        locality: 'Bidhannagar',
+        city: 'Kolkata',
+        state: 'West Bengal',
+        pincode: '700091',
+        latitude: 22.5790,
+        longitude: 88.4450,
+        radius_km: 0.8
+    }
+];
+
+module.exports = serviceAreas;
@@ -0,0 +1,153 @@
+// Stores and Serviceability
+// Store list, nearest-store lookup and the delivery radius / operating hours
+// checks used before an order is accepted
+
+const fallbackStores = require('./fallback-stores');
+const { haversineKm } = require('./geo');
+
+/**
+ * Load active stores, using the fallback list when the database is down
+ * @returns {Promise<Array>} - Formatted stores
+ */
+async function loadStores(pool) {
+    try {
+        const result = await pool.query('SELECT * FROM stores WHERE is_active = TRUE ORDER BY id');
+        return result.rows.map(formatStore);
+    } catch (error) {
+        console.error('Database error, using fallback stores:', error.message);
+        return fallbackStores.map(formatStore);
+    }
+}
+
+// "06:00:00" → minutes since midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Minutes → "6:00 AM"
+const formatClock = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Shape a stores row the way the storefront has always described stores
+ */
+function formatStore(row) {
+    const opensAt = toMinutes(row.opens_at);
+    const closesAt = toMinutes(row.closes_at);
+    return {
+        id: row.id,
+        name: row.name,
+        address: row.address,
+        area: row.area,
+        city: row.city,
+        coordinates: { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude) },
+        deliveryRadius: parseFloat(row.delivery_radius_km),
+        avgDeliveryTime: row.avg_delivery_minutes,
+        operatingHours: `${formatClock(opensAt)} - ${formatClock(closesAt)}`,
+        opensAt: String(row.opens_at).slice(0, 5),
+        closesAt: String(row.closes_at).slice(0, 5),
+        timezone: row.timezone,
+        slotCapacity: row.slot_capacity,
+        ridersOnDuty: row.riders_on_duty,
+        contactNumber: row.contact_number
+    };
+}
+
+/**
+ * Minutes since midnight at a moment, in the store's own timezone
+ */
+function localMinutes(at, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(at);
+    const part = (type) => parseInt(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+}
+
+/**
+ * Whether a store takes orders at a given moment (handles hours past midnight)
+ */
+function isStoreOpen(store, at = new Date()) {
+    const now = localMinutes(at, store.timezone);
+    const opensAt = toMinutes(store.opensAt);
+    const closesAt = toMinutes(store.closesAt);
+
+    if (opensAt === closesAt) {
+        return true;
+    }
+    return opensAt < closesAt
+        ? now >= opensAt && now < closesAt
+        : now >= opensAt || now < closesAt;
+}
+
+/**
+ * Stores sorted by distance from a point, with distance, radius and hours flags
+ * @param {Array} stores - Formatted stores
+ * @param {object} coordinates - { lat, lng }
+ */
+function rankStoresByDistance(stores, { lat, lng }, at = new Date()) {
+    return stores
+        .map(store => {
+            const distanceKm = haversineKm(lat, lng, store.coordinates.lat, store.coordinates.lng);
+            return {
+                ...store,
+                distanceKm: Math.round(distanceKm * 100) / 100,
+                withinRadius: distanceKm <= store.deliveryRadius,
+                openNow: isStoreOpen(store, at)
+            };
+        })
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Decide whether an address can be delivered to right now
+ * @returns {object} - { serviceable, reason, message, store, candidates }
+ *   candidates are the in-range, open stores nearest first; store is the
+ *   one the order goes to (or the nearest one when not serviceable)
+ */
+function checkServiceability(stores, coordinates, at = new Date()) {
+    const ranked = rankStoresByDistance(stores, coordinates, at);
+    const inRange = ranked.filter(store => store.withinRadius);
+    const candidates = inRange.filter(store => store.openNow);
+
+    if (candidates.length > 0) {
+        return { serviceable: true, reason: null, message: null, store: candidates[0], candidates };
+    }
+
+    if (inRange.length > 0) {
+        return {
+            serviceable: false,
+            reason: 'closed',
+            message: `${inRange[0].name} is closed right now. Operating hours: ${inRange[0].operatingHours}`,
+            store: inRange[0],
+            candidates: []
+        };
+    }
+
+    const nearest = ranked[0] || null;
+    return {
+        serviceable: false,
+        reason: 'out_of_range',
+        message: nearest
+            ? `Sorry, we don't deliver to your area yet. Nearest store is ${nearest.distanceKm.toFixed(1)} km away.`
+            : 'Sorry, we don\'t deliver to your area yet.',
+        store: nearest,
+        candidates: []
+    };
+}
+
+module.exports = {
+    loadStores,
+    formatStore,
+    localMinutes,
+    isStoreOpen,
+    rankStoresByDistance,
+    checkServiceability
+};
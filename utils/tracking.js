@@ -0,0 +1,377 @@
+// Live Tracking
+// Location pings from riders and what customers see of their delivery. Pings
+// are rate-limited per rider and dropped when the fix is too inaccurate or
+// implies an impossible jump; accepted pings move the rider's last location,
+// are kept as the breadcrumb trail of the order they are carrying and drive
+// its geofence events.
+// Order events (status changes and rider movement) are read back from the
+// status history and the trail, so a stream or a poll can resume from any
+// event ID whichever server instance it reaches.
+
+const { formatStore } = require('./stores');
+const { haversineKm, parseCoordinates } = require('./geo');
+const { estimateFromPosition, formatEta } = require('./eta');
+const { ACTIVE_DELIVERY_STATUSES } = require('./riders');
+const { FULFILMENT_FLOW, applyTransition, recordStatusChange, formatHistoryEntry } = require('./order-status');
+const { leftStore, isNearby } = require('./geofence');
+
+const LOCATION_MIN_INTERVAL_SECONDS = parseInt(process.env.LOCATION_MIN_INTERVAL_SECONDS) || 5;
+const LOCATION_MAX_ACCURACY_M = parseInt(process.env.LOCATION_MAX_ACCURACY_M) || 100;
+const MAX_SPEED_KMH = 120;          // Faster than this between two pings is a bad fix
+const MAX_PING_AGE_SECONDS = 120;   // Fixes older than this are no longer useful
+const MAX_TRAIL_POINTS = 500;
+
+// Event streams: how long one connection is held open and how often it checks for events
+const TRACKING_STREAM_SECONDS = parseInt(process.env.TRACKING_STREAM_SECONDS) || 25;
+const TRACKING_POLL_SECONDS = parseInt(process.env.TRACKING_POLL_SECONDS) || 2;
+
+// Orders still on their way; events stop once an order leaves these
+const LIVE_STATUSES = FULFILMENT_FLOW.slice(0, -1);
+
+/**
+ * Raised when a ping is rejected or an order cannot be tracked;
+ * details.reason is invalid_location, low_accuracy, stale, off_shift, rate_limited or implausible_jump
+ */
+class TrackingError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'TrackingError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Read a ping: { lat, lng, accuracy, speed?, heading?, timestamp? } or an
+ * EnhancedGPS location ({ coordinates: { latitude, longitude, accuracy }, timestamp })
+ * @returns {object} - { lat, lng, accuracy, speedKmh, heading, recordedAt }
+ */
+function parsePing(body, now = new Date()) {
+    const coordinates = parseCoordinates(body);
+    if (!coordinates) {
+        throw new TrackingError('lat and lng are required', 400, { reason: 'invalid_location' });
+    }
+    const source = body.coordinates || body;
+    const accuracy = parseFloat(source.accuracy);
+    if (isNaN(accuracy) || accuracy < 0) {
+        throw new TrackingError('accuracy (metres) is required', 400, { reason: 'invalid_location' });
+    }
+    if (accuracy > LOCATION_MAX_ACCURACY_M) {
+        throw new TrackingError(`Location is only accurate to ${Math.round(accuracy)} m`, 422, {
+            reason: 'low_accuracy',
+            maxAccuracy: LOCATION_MAX_ACCURACY_M
+        });
+    }
+
+    const recordedAt = body.timestamp !== undefined ? new Date(body.timestamp) : now;
+    if (isNaN(recordedAt.getTime())) {
+        throw new TrackingError('timestamp must be a date or epoch milliseconds', 400, { reason: 'invalid_location' });
+    }
+    const ageSeconds = (now - recordedAt) / 1000;
+    if (ageSeconds > MAX_PING_AGE_SECONDS || ageSeconds < -30) {
+        throw new TrackingError('Location fix is too old', 422, { reason: 'stale' });
+    }
+
+    // The Geolocation API reports speed in m/s
+    const speed = parseFloat(source.speed);
+    const heading = parseFloat(source.heading);
+    return {
+        ...coordinates,
+        accuracy: Math.round(accuracy),
+        speedKmh: isNaN(speed) || speed < 0 ? null : Math.round(speed * 36) / 10,
+        heading: isNaN(heading) ? null : Math.round(heading) % 360,
+        recordedAt
+    };
+}
+
+/**
+ * Store a rider's location ping and act on the geofences it crosses
+ * @returns {Promise<object>} - { accepted, orderIds, geofenceEvents, nextPingInSeconds }
+ */
+async function recordLocationPing(pool, riderId, body) {
+    const ping = parsePing(body);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Orders before the rider: status changes lock in that order too
+        const orders = await client.query(
+            `SELECT o.*, s.latitude AS store_latitude, s.longitude AS store_longitude
+             FROM orders o JOIN stores s ON s.id = o.store_id
+             WHERE o.rider_id = $1 AND o.status = ANY($2::text[])
+             ORDER BY o.id
+             FOR UPDATE OF o`,
+            [riderId, ACTIVE_DELIVERY_STATUSES]
+        );
+        const current = await client.query(
+            `SELECT *, EXTRACT(EPOCH FROM (NOW() - last_seen_at))::float AS seconds_since
+             FROM riders WHERE id = $1 FOR UPDATE`,
+            [riderId]
+        );
+        const rider = current.rows[0];
+        if (rider.shift_status === 'off_shift') {
+            throw new TrackingError('Start your shift before sharing your location', 409, { reason: 'off_shift' });
+        }
+        if (rider.seconds_since !== null && rider.seconds_since < LOCATION_MIN_INTERVAL_SECONDS) {
+            throw new TrackingError('Too many location updates', 429, {
+                reason: 'rate_limited',
+                retryAfter: Math.ceil(LOCATION_MIN_INTERVAL_SECONDS - rider.seconds_since)
+            });
+        }
+        const previous = rider.last_latitude !== null
+            ? { lat: Number(rider.last_latitude), lng: Number(rider.last_longitude) }
+            : null;
+        if (rider.seconds_since !== null && previous) {
+            // Both fixes may be off by their accuracy, so only the distance beyond that counts
+            const jitterKm = ((rider.last_accuracy_m || 0) + ping.accuracy) / 1000;
+            const jumpKm = haversineKm(previous.lat, previous.lng, ping.lat, ping.lng) - jitterKm;
+            if (jumpKm > 0 && jumpKm / (rider.seconds_since / 3600) > MAX_SPEED_KMH) {
+                throw new TrackingError('Location jumped further than a rider can travel', 422, { reason: 'implausible_jump' });
+            }
+        }
+
+        await client.query(
+            `UPDATE riders SET last_latitude = $2, last_longitude = $3, last_accuracy_m = $4, last_seen_at = NOW()
+             WHERE id = $1`,
+            [riderId, ping.lat, ping.lng, ping.accuracy]
+        );
+        const orderIds = orders.rows.map(order => order.id);
+        await client.query(
+            `INSERT INTO rider_locations (rider_id, order_id, latitude, longitude, accuracy_m, speed_kmh, heading, recorded_at)
+             SELECT $1, order_id, $3, $4, $5, $6, $7, $8::timestamptz FROM unnest($2::int[]) AS order_id`,
+            [riderId, orderIds, ping.lat, ping.lng, ping.accuracy, ping.speedKmh, ping.heading, ping.recordedAt.toISOString()]
+        );
+
+        const geofenceEvents = [];
+        for (const order of orders.rows) {
+            geofenceEvents.push(...await applyGeofences(client, order, rider, previous, ping));
+        }
+
+        await client.query('COMMIT');
+        return {
+            accepted: true,
+            orderIds,
+            geofenceEvents,
+            nextPingInSeconds: LOCATION_MIN_INTERVAL_SECONDS
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Geofence events of one order for a ping: a packed order goes out for
+ * delivery once its rider leaves the store, and the customer's timeline
+ * notes when the rider first comes within RIDER_NEARBY_M of the address
+ * @param {object} order - Locked orders row with store_latitude/store_longitude
+ * @returns {Promise<Array>} - [{ orderId, event: 'left_store'|'rider_nearby' }]
+ */
+async function applyGeofences(client, order, rider, previous, position) {
+    const events = [];
+    const store = { lat: Number(order.store_latitude), lng: Number(order.store_longitude) };
+    let current = order;
+
+    if (current.status === 'packed' && leftStore(store, previous, position)) {
+        ({ order: current } = await applyTransition(client, current, 'out_for_delivery', {
+            changedBy: rider.user_id,
+            note: 'Rider left the store'
+        }));
+        events.push({ orderId: order.id, event: 'left_store' });
+    }
+
+    const destination = parseCoordinates(current.delivery_address);
+    if (current.status === 'out_for_delivery' && !current.rider_nearby_at && destination && isNearby(position, destination)) {
+        await client.query('UPDATE orders SET rider_nearby_at = NOW() WHERE id = $1', [order.id]);
+        await recordStatusChange(client, {
+            orderId: order.id,
+            fromStatus: current.status,
+            toStatus: current.status,
+            changedBy: rider.user_id,
+            note: 'Rider is nearby'
+        });
+        events.push({ orderId: order.id, event: 'rider_nearby' });
+    }
+    return events;
+}
+
+/**
+ * Load an order with its rider for tracking
+ * @throws {TrackingError} 404 when there is no such order
+ */
+async function loadTrackedOrder(db, orderId) {
+    const id = parseInt(orderId);
+    const result = isNaN(id) ? { rows: [] } : await db.query(
+        `SELECT o.*, r.user_id AS rider_user_id, r.name AS rider_name, r.phone AS rider_phone,
+                r.last_latitude, r.last_longitude, r.last_accuracy_m, r.last_seen_at
+         FROM orders o LEFT JOIN riders r ON r.id = o.rider_id
+         WHERE o.id = $1`,
+        [id]
+    );
+    if (result.rows.length === 0) {
+        throw new TrackingError('Order not found', 404);
+    }
+    return result.rows[0];
+}
+
+/**
+ * Whether the caller may follow an order: its customer, its rider, staff of
+ * its store and admins
+ */
+function canTrackOrder(auth, order) {
+    if (auth.isAdmin) {
+        return true;
+    }
+    if (auth.role === 'store_staff') {
+        return Boolean(auth.storeId) && auth.storeId === order.store_id;
+    }
+    if (auth.role === 'rider') {
+        return order.rider_user_id === auth.userId;
+    }
+    return order.user_id === auth.userId;
+}
+
+/**
+ * Where an order's rider is, how far they still have to go and when they
+ * should arrive; the ETA is worked out from the rider's position once they
+ * have a recent fix, and is the order's stored window otherwise
+ * @param {object} order - Row from loadTrackedOrder
+ * @param {object} options - { includeTrail } adds the breadcrumb trail
+ */
+async function getOrderTracking(db, order, { includeTrail = false, now = new Date() } = {}) {
+    const destination = parseCoordinates(order.delivery_address);
+    const onTheWay = ACTIVE_DELIVERY_STATUSES.includes(order.status) && order.rider_id;
+    const hasFix = onTheWay && order.last_latitude !== null && order.last_seen_at !== null;
+    const riderLocation = hasFix
+        ? {
+            lat: Number(order.last_latitude),
+            lng: Number(order.last_longitude),
+            accuracy: order.last_accuracy_m,
+            recordedAt: order.last_seen_at
+        }
+        : null;
+
+    let remainingDistanceKm = null;
+    let eta = formatEta(order, now);
+    if (riderLocation && destination && order.store_id) {
+        const store = await db.query('SELECT * FROM stores WHERE id = $1', [order.store_id]);
+        const estimate = estimateFromPosition({
+            store: formatStore(store.rows[0]),
+            position: riderLocation,
+            coordinates: destination,
+            viaStore: order.status === 'packed',
+            at: now
+        });
+        remainingDistanceKm = estimate.remainingKm;
+        eta = {
+            earliest: estimate.earliest.toISOString(),
+            latest: estimate.latest.toISOString(),
+            minMinutes: estimate.minMinutes,
+            maxMinutes: estimate.maxMinutes,
+            updatedAt: riderLocation.recordedAt
+        };
+    }
+
+    const tracking = {
+        orderId: order.id,
+        status: order.status,
+        rider: order.rider_id ? { id: order.rider_id, name: order.rider_name, phone: order.rider_phone } : null,
+        riderLocation,
+        destination,
+        remainingDistanceKm,
+        riderNearby: Boolean(order.rider_nearby_at),
+        eta
+    };
+    if (includeTrail) {
+        tracking.trail = await getTrail(db, order.id);
+    }
+    return tracking;
+}
+
+/**
+ * Breadcrumb trail of an order, oldest first (at most MAX_TRAIL_POINTS, the latest ones)
+ */
+async function getTrail(db, orderId) {
+    const result = await db.query(
+        `SELECT * FROM (
+             SELECT latitude, longitude, accuracy_m, speed_kmh, recorded_at FROM rider_locations
+             WHERE order_id = $1 ORDER BY recorded_at DESC, id DESC LIMIT $2
+         ) latest ORDER BY recorded_at`,
+        [orderId, MAX_TRAIL_POINTS]
+    );
+    return result.rows.map(row => ({
+        lat: Number(row.latitude),
+        lng: Number(row.longitude),
+        accuracy: row.accuracy_m,
+        speedKmh: row.speed_kmh === null ? null : Number(row.speed_kmh),
+        recordedAt: row.recorded_at
+    }));
+}
+
+/**
+ * Event IDs are "<last status history id>-<last trail point id>"; anything
+ * else starts from the beginning
+ */
+function parseEventId(value) {
+    const match = /^(\d+)-(\d+)$/.exec(String(value || '').trim());
+    return match
+        ? { statusId: parseInt(match[1]), locationId: parseInt(match[2]) }
+        : { statusId: 0, locationId: 0 };
+}
+
+const formatEventId = (cursor) => `${cursor.statusId}-${cursor.locationId}`;
+
+/**
+ * Events of an order after an event ID: each status change in turn, then
+ * the latest tracking (rider position, distance and ETA) when the status or
+ * the rider's position changed. From the start this replays the whole
+ * timeline and the current tracking.
+ * @param {object} order - Row from loadTrackedOrder (reloaded for the tracking)
+ * @param {string|null} lastEventId - Last event the client has seen
+ * @returns {Promise<object>} - { events: [{ id, type: 'status'|'tracking', data }], lastEventId, finished }
+ */
+async function listOrderEvents(db, order, lastEventId = null) {
+    const cursor = parseEventId(lastEventId);
+    const history = await db.query(
+        'SELECT * FROM order_status_history WHERE order_id = $1 AND id > $2 ORDER BY id',
+        [order.id, cursor.statusId]
+    );
+    const trail = await db.query(
+        'SELECT MAX(id) AS id FROM rider_locations WHERE order_id = $1 AND id > $2',
+        [order.id, cursor.locationId]
+    );
+
+    // Reloaded after the events so the tracking is at least as new as they are
+    const current = await loadTrackedOrder(db, order.id);
+
+    const events = [];
+    history.rows.forEach(row => {
+        cursor.statusId = row.id;
+        events.push({ id: formatEventId(cursor), type: 'status', data: { orderId: order.id, ...formatHistoryEntry(row) } });
+    });
+    if (trail.rows[0].id !== null) {
+        cursor.locationId = Number(trail.rows[0].id);
+    }
+    if (events.length > 0 || trail.rows[0].id !== null) {
+        events.push({ id: formatEventId(cursor), type: 'tracking', data: await getOrderTracking(db, current) });
+    }
+
+    return { events, lastEventId: formatEventId(cursor), finished: !LIVE_STATUSES.includes(current.status) };
+}
+
+module.exports = {
+    LOCATION_MIN_INTERVAL_SECONDS,
+    LOCATION_MAX_ACCURACY_M,
+    TRACKING_STREAM_SECONDS,
+    TRACKING_POLL_SECONDS,
+    TrackingError,
+    parsePing,
+    recordLocationPing,
+    loadTrackedOrder,
+    canTrackOrder,
+    getOrderTracking,
+    listOrderEvents
+};